@@ -0,0 +1,85 @@
+-- Initial schema: every table and index the API routes query
+
+CREATE TABLE users (
+  id            SERIAL PRIMARY KEY,
+  email         VARCHAR(255) NOT NULL UNIQUE,
+  password      VARCHAR(255) NOT NULL,
+  name          VARCHAR(100) NOT NULL,
+  -- Plan tier, carried in access tokens for rate limiting; tier names come from
+  -- the rate limit configuration, which can add tiers, so they aren't constrained
+  tier          VARCHAR(20) NOT NULL DEFAULT 'authenticated',
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_login    TIMESTAMPTZ
+);
+
+-- GET /api/users (ORDER BY created_at DESC), analytics new users per period
+CREATE INDEX idx_users_created_at ON users (created_at DESC);
+
+CREATE TABLE categories (
+  id            SERIAL PRIMARY KEY,
+  name          VARCHAR(100) NOT NULL UNIQUE,
+  description   TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE products (
+  id              SERIAL PRIMARY KEY,
+  name            VARCHAR(200) NOT NULL,
+  description     TEXT,
+  price           NUMERIC(12, 2) NOT NULL CHECK (price >= 0),
+  category_id     INTEGER NOT NULL REFERENCES categories (id),
+  stock_quantity  INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
+  active          BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- GET /api/products: active rows, newest first, optionally by category or price range
+CREATE INDEX idx_products_active_created_at ON products (created_at DESC) WHERE active;
+CREATE INDEX idx_products_active_category ON products (category_id, created_at DESC) WHERE active;
+CREATE INDEX idx_products_active_price ON products (price) WHERE active;
+
+CREATE TABLE orders (
+  id                SERIAL PRIMARY KEY,
+  user_id           INTEGER NOT NULL REFERENCES users (id),
+  status            VARCHAR(20) NOT NULL DEFAULT 'pending'
+                    CHECK (status IN ('pending', 'processing', 'shipped', 'completed', 'cancelled')),
+  total_amount      NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  shipping_address  JSONB NOT NULL,
+  payment_method    VARCHAR(20) NOT NULL
+                    CHECK (payment_method IN ('credit_card', 'paypal', 'bank_transfer')),
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- GET /api/orders (per user, newest first) and analytics per period and status
+CREATE INDEX idx_orders_user_created_at ON orders (user_id, created_at DESC);
+CREATE INDEX idx_orders_created_at ON orders (created_at);
+CREATE INDEX idx_orders_status ON orders (status);
+
+CREATE TABLE order_items (
+  id            SERIAL PRIMARY KEY,
+  order_id      INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+  product_id    INTEGER NOT NULL REFERENCES products (id),
+  quantity      INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price    NUMERIC(12, 2) NOT NULL,
+  total_price   NUMERIC(12, 2) NOT NULL
+);
+
+CREATE INDEX idx_order_items_order_id ON order_items (order_id);
+CREATE INDEX idx_order_items_product_id ON order_items (product_id);
+
+CREATE TABLE request_logs (
+  id              BIGSERIAL PRIMARY KEY,
+  method          VARCHAR(10) NOT NULL,
+  path            TEXT NOT NULL,
+  status_code     SMALLINT NOT NULL,
+  response_time   INTEGER NOT NULL,
+  user_id         INTEGER,
+  ip              INET,
+  timestamp       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- GET /api/analytics/performance: requests of the last hour
+CREATE INDEX idx_request_logs_timestamp ON request_logs (timestamp);
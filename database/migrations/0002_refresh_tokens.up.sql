@@ -0,0 +1,21 @@
+-- Rotating refresh tokens. Each login starts a family; every refresh replaces
+-- the presented token with a new one in the same family. Only SHA-256 hashes
+-- of the tokens are stored.
+
+CREATE TABLE refresh_tokens (
+  id            BIGSERIAL PRIMARY KEY,
+  user_id       INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  family_id     UUID NOT NULL,
+  token_hash    CHAR(64) NOT NULL UNIQUE,
+  expires_at    TIMESTAMPTZ NOT NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at    TIMESTAMPTZ,
+  replaced_by   BIGINT REFERENCES refresh_tokens (id) ON DELETE SET NULL,
+  user_agent    TEXT,
+  ip            INET
+);
+
+-- Logout everywhere: the user's live tokens
+CREATE INDEX idx_refresh_tokens_user_active ON refresh_tokens (user_id) WHERE revoked_at IS NULL;
+-- Reuse detection and single-session logout revoke a whole family
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id);
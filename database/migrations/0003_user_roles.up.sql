@@ -0,0 +1,4 @@
+-- Roles for access control; permissions per role live in src/config/roles.js
+ALTER TABLE users
+  ADD COLUMN roles TEXT[] NOT NULL DEFAULT ARRAY['customer']
+  CONSTRAINT users_roles_known CHECK (roles <@ ARRAY['customer', 'staff', 'admin']);
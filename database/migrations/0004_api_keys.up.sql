@@ -0,0 +1,23 @@
+-- API keys for machine-to-machine clients. A key acts on behalf of its owner,
+-- limited to its scopes. Only SHA-256 hashes of keys are stored; the prefix is
+-- kept in clear so keys can be recognised in listings and logs.
+
+CREATE TABLE api_keys (
+  id            SERIAL PRIMARY KEY,
+  user_id       INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  name          VARCHAR(100) NOT NULL,
+  prefix        VARCHAR(20) NOT NULL,
+  key_hash      CHAR(64) NOT NULL UNIQUE,
+  scopes        TEXT[] NOT NULL DEFAULT '{}',
+  tier          VARCHAR(20) NOT NULL DEFAULT 'authenticated',
+  rate_limit    INTEGER CHECK (rate_limit > 0),
+  created_by    INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at    TIMESTAMPTZ,
+  revoked_at    TIMESTAMPTZ,
+  replaced_by   INTEGER REFERENCES api_keys (id) ON DELETE SET NULL,
+  last_used_at  TIMESTAMPTZ,
+  last_used_ip  INET
+);
+
+CREATE INDEX idx_api_keys_user_id ON api_keys (user_id);
@@ -0,0 +1,20 @@
+-- Email verification and password reset. Tokens are single use and time
+-- limited; only their SHA-256 hashes are stored.
+
+ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMPTZ;
+
+-- Accounts created before verification existed count as verified
+UPDATE users SET email_verified_at = created_at;
+
+CREATE TABLE account_tokens (
+  id            BIGSERIAL PRIMARY KEY,
+  user_id       INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  purpose       VARCHAR(20) NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+  token_hash    CHAR(64) NOT NULL UNIQUE,
+  expires_at    TIMESTAMPTZ NOT NULL,
+  used_at       TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Issuing a token retires the user's earlier unused ones for the same purpose
+CREATE INDEX idx_account_tokens_user_purpose ON account_tokens (user_id, purpose) WHERE used_at IS NULL;
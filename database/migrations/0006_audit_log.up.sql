@@ -0,0 +1,17 @@
+-- Security-relevant account events (lockouts, unlocks, ...). Rows outlive the
+-- users they mention, so references are nulled rather than cascaded.
+
+CREATE TABLE audit_log (
+  id            BIGSERIAL PRIMARY KEY,
+  event         VARCHAR(50) NOT NULL,
+  user_id       INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  actor_id      INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  email         VARCHAR(255),
+  ip            INET,
+  details       JSONB NOT NULL DEFAULT '{}',
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_log_created ON audit_log (created_at DESC);
+CREATE INDEX idx_audit_log_event_created ON audit_log (event, created_at DESC);
+CREATE INDEX idx_audit_log_user_created ON audit_log (user_id, created_at DESC) WHERE user_id IS NOT NULL;
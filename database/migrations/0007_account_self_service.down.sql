@@ -0,0 +1,7 @@
+DELETE FROM account_tokens WHERE purpose = 'change_email';
+ALTER TABLE account_tokens DROP CONSTRAINT account_tokens_purpose_check;
+ALTER TABLE account_tokens ADD CONSTRAINT account_tokens_purpose_check
+  CHECK (purpose IN ('verify_email', 'reset_password'));
+ALTER TABLE account_tokens DROP COLUMN IF EXISTS email;
+ALTER TABLE users DROP COLUMN IF EXISTS pending_email;
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
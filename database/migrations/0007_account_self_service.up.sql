@@ -0,0 +1,12 @@
+-- Self-service account deletion. Deleted users are anonymized rather than
+-- removed, so their orders stay attached to a row for analytics.
+
+ALTER TABLE users ADD COLUMN deleted_at TIMESTAMPTZ;
+
+-- Email changes: the new address waits in pending_email until the token
+-- mailed to it is redeemed, and each token records the address it confirms
+ALTER TABLE users ADD COLUMN pending_email VARCHAR(255);
+ALTER TABLE account_tokens ADD COLUMN email VARCHAR(255);
+ALTER TABLE account_tokens DROP CONSTRAINT account_tokens_purpose_check;
+ALTER TABLE account_tokens ADD CONSTRAINT account_tokens_purpose_check
+  CHECK (purpose IN ('verify_email', 'reset_password', 'change_email'));
@@ -0,0 +1,27 @@
+-- TOTP two-factor authentication. The secret is stored encrypted (AES-256-GCM,
+-- TWO_FACTOR_ENCRYPTION_KEY); it is pending until confirmed with a first code.
+-- two_factor_last_step is the last accepted TOTP time step, so a code can't be
+-- used twice.
+
+ALTER TABLE users
+  ADD COLUMN two_factor_secret TEXT,
+  ADD COLUMN two_factor_enabled_at TIMESTAMPTZ,
+  ADD COLUMN two_factor_last_step BIGINT;
+
+-- One-time recovery codes, stored as SHA-256 hashes
+CREATE TABLE two_factor_recovery_codes (
+  id            BIGSERIAL PRIMARY KEY,
+  user_id       INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  code_hash     CHAR(64) NOT NULL,
+  used_at       TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_two_factor_recovery_codes_user ON two_factor_recovery_codes (user_id) WHERE used_at IS NULL;
+
+-- Roles whose holders need 2FA; without it those roles are withheld from their tokens
+CREATE TABLE two_factor_policies (
+  role          VARCHAR(20) PRIMARY KEY CHECK (role IN ('customer', 'staff', 'admin')),
+  required_by   INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
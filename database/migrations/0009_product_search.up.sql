@@ -0,0 +1,22 @@
+-- Full-text product search (GET /api/products/search). search_vector weights the
+-- name (A) above the description (B) and is stemmed with the product's
+-- search_language; the allowed configurations must match SEARCH_LANGUAGES in
+-- src/utils/productSearch.js. pg_trgm backs typo-tolerant matching on the name.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE products
+  ADD COLUMN search_language REGCONFIG NOT NULL DEFAULT 'english'
+    CONSTRAINT products_search_language_check CHECK (search_language IN (
+      'simple', 'danish', 'dutch', 'english', 'finnish', 'french', 'german',
+      'italian', 'norwegian', 'portuguese', 'russian', 'spanish', 'swedish'
+    ));
+
+ALTER TABLE products
+  ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector(search_language, coalesce(name, '')), 'A') ||
+    setweight(to_tsvector(search_language, coalesce(description, '')), 'B')
+  ) STORED;
+
+CREATE INDEX idx_products_search_vector ON products USING GIN (search_vector) WHERE active;
+CREATE INDEX idx_products_name_trgm ON products USING GIN (name gin_trgm_ops) WHERE active;
@@ -0,0 +1,11 @@
+DROP INDEX IF EXISTS idx_orders_user_created_at;
+CREATE INDEX idx_orders_user_created_at ON orders (user_id, created_at DESC);
+
+DROP INDEX IF EXISTS idx_products_active_category;
+CREATE INDEX idx_products_active_category ON products (category_id, created_at DESC) WHERE active;
+
+DROP INDEX IF EXISTS idx_products_active_created_at;
+CREATE INDEX idx_products_active_created_at ON products (created_at DESC) WHERE active;
+
+DROP INDEX IF EXISTS idx_users_created_at;
+CREATE INDEX idx_users_created_at ON users (created_at DESC);
@@ -0,0 +1,15 @@
+-- Keyset pagination walks (created_at, id) newest first; id breaks ties
+-- between rows created in the same microsecond. Each list index gets id as
+-- a trailing column so a page is a single index range scan.
+
+DROP INDEX IF EXISTS idx_users_created_at;
+CREATE INDEX idx_users_created_at ON users (created_at DESC, id DESC);
+
+DROP INDEX IF EXISTS idx_products_active_created_at;
+CREATE INDEX idx_products_active_created_at ON products (created_at DESC, id DESC) WHERE active;
+
+DROP INDEX IF EXISTS idx_products_active_category;
+CREATE INDEX idx_products_active_category ON products (category_id, created_at DESC, id DESC) WHERE active;
+
+DROP INDEX IF EXISTS idx_orders_user_created_at;
+CREATE INDEX idx_orders_user_created_at ON orders (user_id, created_at DESC, id DESC);
@@ -1,6 +1,9 @@
 const cluster = require('cluster');
 const os = require('os');
+require('dotenv').config();
+
 const logger = require('./utils/logger');
+const keyring = require('./utils/keyring');
 
 class ClusterManager {
   constructor() {
@@ -12,6 +15,9 @@ class ClusterManager {
       logger.info(`🎯 Master process ${process.pid} is running`);
       logger.info(`🚀 Starting ${this.numWorkers} workers`);
 
+      // Ensure a signing key exists before forking, so workers don't each generate one
+      logger.info(`🔑 JWT signing key ${keyring.signingKey().kid}`);
+
       // Fork workers
       for (let i = 0; i < this.numWorkers; i++) {
         cluster.fork();
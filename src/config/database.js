@@ -1,10 +1,84 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const { Pool } = require('pg');
 const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const queryStats = require('../utils/queryStats');
+
+const STICKY_WINDOW_MS = parseInt(process.env.DB_STICKY_WINDOW_MS) || 5000;
+const REPLICA_MAX_LAG_MS = parseInt(process.env.DB_REPLICA_MAX_LAG_MS) || 1000;
+const REPLICA_CHECK_INTERVAL_MS = parseInt(process.env.DB_REPLICA_CHECK_INTERVAL_MS) || 5000;
+
+const TX_MAX_RETRIES = parseInt(process.env.DB_TX_MAX_RETRIES) || 3;
+const TX_TIMEOUT_MS = parseInt(process.env.DB_TX_TIMEOUT_MS) || 15000;
+const TX_RETRY_BASE_MS = 25;
+const TX_RETRY_MAX_MS = 1000;
+
+// serialization_failure and deadlock_detected: safe to re-run the whole transaction
+const RETRYABLE_CODES = new Set(['40001', '40P01']);
+
+const ISOLATION_LEVELS = {
+  'read committed': 'READ COMMITTED',
+  'repeatable read': 'REPEATABLE READ',
+  'serializable': 'SERIALIZABLE'
+};
+
+const READ_STATEMENT = /^\s*(select|with)\b/i;
+const WRITE_CLAUSE = /\b(insert|update|delete|for\s+(update|share|no\s+key\s+update|key\s+share))\b|\b(nextval|setval|pg_advisory\w*)\s*\(/i;
+
+// Replay lag in ms; an idle primary sends no WAL, so caught-up replicas report 0
+const REPLICA_LAG_QUERY = `
+  SELECT CASE
+    WHEN NOT pg_is_in_recovery() THEN 0
+    WHEN pg_last_wal_receive_lsn() = pg_last_wal_replay_lsn() THEN 0
+    ELSE COALESCE(EXTRACT(EPOCH FROM (NOW() - pg_last_xact_replay_timestamp())) * 1000, 0)
+  END AS lag_ms
+`;
+
+class TransactionTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Transaction exceeded ${timeoutMs}ms`);
+    this.name = 'TransactionTimeoutError';
+    this.status = 503;
+  }
+}
+
+// The open transaction for the current async chain, so nested calls become savepoints
+const transactionStorage = new AsyncLocalStorage();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class DatabaseManager {
   constructor() {
-    this.pool = new Pool({
-      connectionString: process.env.DATABASE_URL,
+    this.pool = this.createPool('primary', process.env.DATABASE_URL);
+    this.primary = { name: 'primary', pool: this.pool };
+
+    // Optional read replicas, comma separated in DATABASE_REPLICA_URLS
+    this.replicas = (process.env.DATABASE_REPLICA_URLS || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean)
+      .map((url, i) => ({
+        name: `replica-${i + 1}`,
+        pool: this.createPool(`replica-${i + 1}`, url),
+        healthy: true,
+        lagMs: null,
+        lastError: null
+      }));
+    this.nextReplica = 0;
+
+    // userId -> sticky-until timestamp, mirrored in Redis for the other workers
+    this.stickyUsers = new Map();
+
+    if (this.replicas.length > 0) {
+      this.replicaCheck = setInterval(() => this.checkReplicas(), REPLICA_CHECK_INTERVAL_MS);
+      this.replicaCheck.unref();
+      logger.info(`Database read replicas configured: ${this.replicas.length}`);
+    }
+  }
+
+  createPool(name, connectionString) {
+    const pool = new Pool({
+      connectionString,
       min: parseInt(process.env.DB_POOL_MIN) || 10,
       max: parseInt(process.env.DB_POOL_MAX) || 100,
       idleTimeoutMillis: 30000,
@@ -13,64 +87,334 @@ class DatabaseManager {
       query_timeout: 10000,
     });
 
-    this.pool.on('connect', (client) => {
-      logger.debug(`Database connection established: ${client.processID}`);
+    pool.on('connect', (client) => {
+      logger.debug(`Database connection established (${name}): ${client.processID}`);
     });
 
-    this.pool.on('error', (err) => {
-      logger.error('Database pool error:', err);
+    pool.on('error', (err) => {
+      logger.error(`Database pool error (${name}):`, err);
     });
 
-    this.pool.on('remove', (client) => {
-      logger.debug(`Database connection removed: ${client.processID}`);
+    pool.on('remove', (client) => {
+      logger.debug(`Database connection removed (${name}): ${client.processID}`);
     });
+
+    return pool;
+  }
+
+  // options.primary forces the primary, e.g. for reads that must see a just-committed write
+  async query(text, params, options = {}) {
+    const isRead = this.isReadStatement(text);
+    const replica = isRead && !options.primary ? await this.pickReplica() : null;
+
+    try {
+      const result = await this.execute(replica || this.primary, text, params);
+      if (!isRead) {
+        this.markWrite();
+      }
+      return result;
+    } catch (error) {
+      // Connection-level failures (no server severity) take the replica out and retry on the primary
+      if (replica && !error.severity) {
+        this.markReplicaUnhealthy(replica, error);
+        return this.execute(this.primary, text, params);
+      }
+      throw error;
+    }
   }
 
-  async query(text, params) {
+  // client defaults to the target's pool; transactions pass their own connection
+  async execute(target, text, params, client = target.pool) {
     const start = Date.now();
     try {
-      const result = await this.pool.query(text, params);
+      const result = await client.query(text, params);
       const duration = Date.now() - start;
+      queryStats.record(text, duration, result);
       
       if (duration > 50) {
         logger.warn(`Slow query (${duration}ms): ${text.substring(0, 100)}...`);
       }
+
+      if (queryStats.shouldExplain(text, duration) && this.isReadStatement(text)) {
+        this.explain(target, text, params, duration);
+      }
       
       return result;
     } catch (error) {
       const duration = Date.now() - start;
+      queryStats.record(text, duration, null, error);
       logger.error(`Query error (${duration}ms): ${error.message}`);
       throw error;
     }
   }
 
-  async transaction(callback) {
+  // Re-runs a slow read under EXPLAIN ANALYZE in the background. Only reads are
+  // explained, since ANALYZE executes the statement again. It always runs on a
+  // pool connection, never inside the transaction a slow read came from.
+  explain(target, text, params, durationMs) {
+    target.pool.query(`EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON) ${text}`, params)
+      .then(result => {
+        queryStats.recordPlan(text, durationMs, target.name, result.rows[0]['QUERY PLAN']);
+      })
+      .catch(error => {
+        logger.warn(`EXPLAIN capture failed: ${error.message}`);
+      });
+  }
+
+  isReadStatement(text) {
+    return READ_STATEMENT.test(text) && !WRITE_CLAUSE.test(text);
+  }
+
+  // Round-robin over healthy replicas, unless this request must read its own writes
+  async pickReplica() {
+    const healthy = this.replicas.filter(replica => replica.healthy);
+    if (healthy.length === 0 || await this.requiresPrimary()) {
+      return null;
+    }
+
+    this.nextReplica = (this.nextReplica + 1) % healthy.length;
+    return healthy[this.nextReplica];
+  }
+
+  async requiresPrimary() {
+    const context = requestContext.get();
+    if (!context) return false;
+    if (context.primaryOnly !== undefined) return context.primaryOnly;
+
+    const user = context.req && context.req.user;
+    if (!user) return false;
+
+    // Decided once per request so all its reads see the same database
+    context.primaryOnly = await this.isSticky(user.id);
+    return context.primaryOnly;
+  }
+
+  async isSticky(userId) {
+    const stickyUntil = this.stickyUsers.get(userId);
+    if (stickyUntil && stickyUntil > Date.now()) return true;
+    this.stickyUsers.delete(userId);
+
+    return Boolean(await this.redis().get(this.stickyKey(userId)));
+  }
+
+  // After a write, the user's reads go to the primary until replicas have caught up
+  markWrite() {
+    if (this.replicas.length === 0) return;
+
+    const context = requestContext.get();
+    if (!context) return;
+    context.primaryOnly = true;
+
+    const user = context.req && context.req.user;
+    if (!user) return;
+
+    this.stickyUsers.set(user.id, Date.now() + STICKY_WINDOW_MS);
+    this.redis().set(this.stickyKey(user.id), 1, Math.ceil(STICKY_WINDOW_MS / 1000));
+  }
+
+  stickyKey(userId) {
+    return `db:sticky:${userId}`;
+  }
+
+  // Loaded lazily: only read-your-writes needs Redis, and CLI tools like the
+  // migrator should not open a Redis connection just by using the database
+  redis() {
+    return require('./redis');
+  }
+
+  async checkReplicas() {
+    await Promise.all(this.replicas.map(async (replica) => {
+      try {
+        const result = await replica.pool.query(REPLICA_LAG_QUERY);
+        replica.lagMs = Math.round(parseFloat(result.rows[0].lag_ms));
+        replica.lastError = null;
+
+        const healthy = replica.lagMs <= REPLICA_MAX_LAG_MS;
+        if (healthy !== replica.healthy) {
+          logger[healthy ? 'info' : 'warn'](`Database ${replica.name} ${healthy ? 'back in' : 'out of'} rotation (lag ${replica.lagMs}ms)`);
+        }
+        replica.healthy = healthy;
+      } catch (error) {
+        this.markReplicaUnhealthy(replica, error);
+      }
+    }));
+  }
+
+  markReplicaUnhealthy(replica, error) {
+    if (replica.healthy) {
+      logger.warn(`Database ${replica.name} out of rotation: ${error.message}`);
+    }
+    replica.healthy = false;
+    replica.lastError = error.message;
+  }
+
+  // transaction([options], callback) runs callback(client) on the primary.
+  // options: isolationLevel ('read committed' | 'repeatable read' | 'serializable'),
+  // readOnly, retries, timeoutMs. Deadlocks and serialization failures re-run the
+  // callback, so it must not have side effects outside the database. Nested calls
+  // run in a savepoint of the outer transaction and ignore their options.
+  async transaction(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    const current = transactionStorage.getStore();
+    if (current) {
+      return this.savepoint(current, callback);
+    }
+
+    const begin = this.beginStatement(options);
+    const maxRetries = options.retries !== undefined ? options.retries : TX_MAX_RETRIES;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.runTransaction(begin, options.timeoutMs || TX_TIMEOUT_MS, callback);
+        if (!options.readOnly) {
+          this.markWrite();
+        }
+        return result;
+      } catch (error) {
+        if (!RETRYABLE_CODES.has(error.code) || attempt > maxRetries) {
+          throw error;
+        }
+
+        // Full jitter keeps the conflicting transactions from colliding again in lockstep
+        const delay = Math.floor(Math.random() * Math.min(TX_RETRY_MAX_MS, TX_RETRY_BASE_MS * 2 ** attempt));
+        logger.warn(`Transaction failed with ${error.code}, retry ${attempt}/${maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  beginStatement({ isolationLevel, readOnly }) {
+    const modes = [];
+    if (isolationLevel) {
+      const level = ISOLATION_LEVELS[isolationLevel.toLowerCase()];
+      if (!level) {
+        throw new Error(`Invalid isolation level "${isolationLevel}"`);
+      }
+      modes.push(`ISOLATION LEVEL ${level}`);
+    }
+    if (readOnly) {
+      modes.push('READ ONLY');
+    }
+    return modes.length > 0 ? `BEGIN ${modes.join(', ')}` : 'BEGIN';
+  }
+
+  async runTransaction(begin, timeoutMs, callback) {
     const client = await this.pool.connect();
+    let timer;
+    let discard = false;
+
     try {
-      await client.query('BEGIN');
-      const result = await callback(client);
+      await client.query(begin);
+
+      const transaction = { client, recorded: this.recordingClient(client), savepoints: 0 };
+      const work = transactionStorage.run(transaction, () => callback(transaction.recorded));
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new TransactionTimeoutError(timeoutMs)), timeoutMs);
+      });
+
+      let result;
+      try {
+        result = await Promise.race([work, timeout]);
+      } catch (error) {
+        if (error instanceof TransactionTimeoutError) {
+          // The callback may still be mid-query; dropping the connection makes
+          // Postgres abort the transaction without waiting for it
+          work.catch(() => {});
+          discard = true;
+        }
+        throw error;
+      }
+
       await client.query('COMMIT');
       return result;
     } catch (error) {
-      await client.query('ROLLBACK');
+      if (!discard) {
+        discard = !(await this.rollback(client, 'ROLLBACK', error));
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      client.release(discard);
+    }
+  }
+
+  // What transaction callbacks get instead of the raw client: their queries go
+  // through execute() like pool queries, so they show up in queryStats and slow
+  // reads get explained
+  recordingClient(client) {
+    return {
+      query: (text, params) => this.execute(this.primary, text, params, client)
+    };
+  }
+
+  async savepoint(transaction, callback) {
+    const name = `sp_${++transaction.savepoints}`;
+    await transaction.client.query(`SAVEPOINT ${name}`);
+
+    try {
+      const result = await callback(transaction.recorded);
+      await transaction.client.query(`RELEASE SAVEPOINT ${name}`);
+      return result;
+    } catch (error) {
+      await this.rollback(transaction.client, `ROLLBACK TO SAVEPOINT ${name}`, error);
       throw error;
+    }
+  }
+
+  // Logs rather than throws, so the caller rethrows the error that caused the rollback
+  async rollback(client, statement, cause) {
+    try {
+      await client.query(statement);
+      return true;
+    } catch (rollbackError) {
+      logger.error(`${statement} failed after "${cause.message}": ${rollbackError.message}`);
+      return false;
+    }
+  }
+
+  // Runs callback with a dedicated primary client, e.g. for session-level advisory locks
+  async withClient(callback) {
+    const client = await this.pool.connect();
+    try {
+      return await callback(client);
     } finally {
       client.release();
     }
   }
 
+  poolStats(pool) {
+    return {
+      totalConnections: pool.totalCount,
+      idleConnections: pool.idleCount,
+      waitingClients: pool.waitingCount
+    };
+  }
+
   async getStats() {
     return {
-      totalConnections: this.pool.totalCount,
-      idleConnections: this.pool.idleCount,
-      waitingClients: this.pool.waitingCount
+      // Top-level numbers describe the primary
+      ...this.poolStats(this.pool),
+      pools: {
+        primary: this.poolStats(this.pool),
+        ...Object.fromEntries(this.replicas.map(replica => [replica.name, {
+          ...this.poolStats(replica.pool),
+          healthy: replica.healthy,
+          lagMs: replica.lagMs,
+          lastError: replica.lastError
+        }]))
+      }
     };
   }
 
   async end() {
-    await this.pool.end();
+    clearInterval(this.replicaCheck);
+    await Promise.all([this.pool, ...this.replicas.map(replica => replica.pool)].map(pool => pool.end()));
     logger.info('Database pool closed');
   }
 }
 
-module.exports = new DatabaseManager();
\ No newline at end of file
+module.exports = new DatabaseManager();
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+// Plan tiers scale every policy's base limit, unless the policy sets scaleByTier: false
+// or pins a tier's limit in `limits`. `path` accepts Express-style params
+// (/api/orders/:id), `method` is optional.
+const DEFAULT_CONFIG = {
+  tiers: {
+    anonymous: { multiplier: 1 },
+    authenticated: { multiplier: 2 },
+    pro: { multiplier: 5 },
+    enterprise: { multiplier: 20 }
+  },
+  policies: [
+    {
+      name: 'global',
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
+      limit: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000
+    },
+    {
+      name: 'login',
+      method: 'POST',
+      path: '/api/users/login',
+      windowMs: 15 * 60000,
+      limit: 20,
+      scaleByTier: false
+    },
+    {
+      name: 'login-verify',
+      method: 'POST',
+      path: '/api/users/login/verify',
+      windowMs: 15 * 60000,
+      limit: 20,
+      scaleByTier: false
+    },
+    {
+      // Each request can send an email
+      name: 'password-reset',
+      method: 'POST',
+      path: '/api/users/password-reset/request',
+      windowMs: 15 * 60000,
+      limit: 5,
+      scaleByTier: false
+    },
+    {
+      name: 'create-order',
+      method: 'POST',
+      path: '/api/orders',
+      windowMs: 60000,
+      limit: 10
+    }
+  ]
+};
+
+// RATE_LIMIT_CONFIG points at a JSON file with the same shape; tiers are merged,
+// policies replace the default policy of the same name or are added
+function loadRateLimitConfig() {
+  const config = {
+    tiers: { ...DEFAULT_CONFIG.tiers },
+    policies: DEFAULT_CONFIG.policies.map(policy => ({ ...policy }))
+  };
+
+  const file = process.env.RATE_LIMIT_CONFIG;
+  if (!file) return config;
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.assign(config.tiers, overrides.tiers || {});
+    (overrides.policies || []).forEach(policy => {
+      const index = config.policies.findIndex(existing => existing.name === policy.name);
+      if (index === -1) {
+        config.policies.push(policy);
+      } else {
+        config.policies[index] = { ...config.policies[index], ...policy };
+      }
+    });
+    logger.info(`Rate limit configuration loaded from ${file}`);
+  } catch (error) {
+    logger.error(`Invalid rate limit configuration in ${file}, using defaults:`, error);
+  }
+
+  return config;
+}
+
+module.exports = { loadRateLimitConfig };
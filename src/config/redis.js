@@ -1,97 +1,536 @@
+const crypto = require('crypto');
 const redis = require('redis');
 const logger = require('../utils/logger');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { getTopologyConfig, resolveSentinelMaster, watchSentinelFailover } = require('./redisTopology');
+
+const RECONNECT_MAX_DELAY_MS = parseInt(process.env.REDIS_RECONNECT_MAX_DELAY_MS) || 10000;
+
+// Only delete a lock we still own, never one re-acquired by someone else after expiry
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+  end
+  return 0
+`;
+
+// Never give up: exponential backoff with jitter, capped
+const reconnectStrategy = (retries) => {
+  const delay = Math.min(100 * 2 ** Math.min(retries, 10), RECONNECT_MAX_DELAY_MS);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
 
 class RedisManager {
   constructor() {
-    this.client = redis.createClient({
-      url: process.env.REDIS_URL || 'redis://localhost:6379',
-      password: process.env.REDIS_PASSWORD,
-      socket: {
-        keepAlive: true,
-        reconnectStrategy: (retries) => {
-          if (retries > 3) {
-            logger.error('Redis reconnection failed after 3 attempts');
-            return new Error('Redis connection failed');
-          }
-          return Math.min(retries * 100, 3000);
-        }
-      },
-      database: 0
+    this.topology = getTopologyConfig();
+    this.isCluster = this.topology.mode === 'cluster';
+    this.failover = { master: null, count: 0, lastAt: null };
+    this.checkingMaster = false;
+    this.stopSentinelWatch = null;
+
+    this.breaker = new CircuitBreaker('redis', {
+      failureThreshold: parseInt(process.env.REDIS_BREAKER_FAILURE_THRESHOLD) || 5,
+      resetTimeoutMs: parseInt(process.env.REDIS_BREAKER_RESET_MS) || 10000
+    });
+    this.recoveryHandlers = [];
+    this.breaker.on('stateChange', (state, previous) => {
+      if (state === CircuitBreaker.STATES.CLOSED && previous !== state) {
+        this.recoveryHandlers.forEach(handler => handler());
+      }
     });
 
-    this.client.on('connect', () => {
-      logger.info('Redis client connected');
+    // Dedicated pub/sub connection, created on first subscribe()
+    this.subscriber = null;
+    this.subscriptions = new Map();
+    this.resubscribeHandlers = [];
+    this.subscriberRetry = null;
+
+    // In sentinel mode the client only exists once a sentinel has told us the master
+    this.client = null;
+    if (this.topology.mode === 'sentinel') {
+      this.connectSentinel();
+    } else {
+      this.attachClient(this.createClient());
+    }
+  }
+
+  createClient(master = null) {
+    const socket = { keepAlive: true, reconnectStrategy };
+    const options = {
+      password: this.topology.password,
+      // Fail fast while disconnected instead of queueing commands until reconnect
+      disableOfflineQueue: true,
+      database: 0
+    };
+
+    if (this.isCluster) {
+      return redis.createCluster({
+        rootNodes: this.topology.clusterNodes.map(url => ({ url })),
+        defaults: { ...options, socket }
+      });
+    }
+
+    if (master) {
+      return redis.createClient({ ...options, socket: { ...socket, host: master.host, port: master.port } });
+    }
+
+    return redis.createClient({ ...options, url: this.topology.url, socket });
+  }
+
+  attachClient(client) {
+    const label = this.failover.master
+      ? `Redis master ${this.failover.master.host}:${this.failover.master.port}`
+      : 'Redis client';
+
+    client.on('connect', () => {
+      logger.info(`${label} connected`);
     });
 
-    this.client.on('error', (err) => {
-      logger.error('Redis client error:', err);
+    client.on('ready', () => {
+      // Let the next command probe the connection right away
+      this.breaker.probeNow();
     });
 
-    this.client.on('reconnecting', () => {
-      logger.info('Redis client reconnecting...');
+    client.on('error', (err) => {
+      logger.error(`${label} error:`, err);
     });
 
-    this.client.connect().catch(err => {
-      logger.error('Failed to connect to Redis:', err);
+    client.on('reconnecting', () => {
+      logger.info(`${label} reconnecting...`);
+      // A failover may have happened while no sentinel could reach us
+      if (this.topology.mode === 'sentinel' && client === this.client) {
+        this.checkSentinelMaster();
+      }
     });
+
+    this.client = client;
+    client.connect()
+      .then(() => {
+        // Cluster clients have no 'ready' event of their own
+        if (this.isCluster) this.breaker.probeNow();
+      })
+      .catch(err => {
+        logger.error('Failed to connect to Redis:', err);
+      });
   }
 
-  async get(key) {
+  async connectSentinel() {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        this.failover.master = await resolveSentinelMaster(this.topology);
+        break;
+      } catch (error) {
+        logger.error(`Redis sentinel resolution failed: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, reconnectStrategy(attempt)));
+      }
+    }
+
+    logger.info(`Redis sentinel master ${this.topology.masterName} is ${this.failover.master.host}:${this.failover.master.port}`);
+    this.attachClient(this.createClient(this.failover.master));
+    this.stopSentinelWatch = watchSentinelFailover(this.topology, reconnectStrategy,
+      (master) => this.switchMaster(master));
+  }
+
+  async checkSentinelMaster() {
+    if (this.checkingMaster) return;
+    this.checkingMaster = true;
     try {
-      const value = await this.client.get(key);
-      return value ? JSON.parse(value) : null;
+      this.switchMaster(await resolveSentinelMaster(this.topology));
     } catch (error) {
-      logger.error(`Redis GET error for key ${key}:`, error);
-      return null;
+      logger.warn(`Redis sentinel master check failed: ${error.message}`);
+    } finally {
+      this.checkingMaster = false;
     }
   }
 
-  async set(key, value, ttlSeconds = 300) {
+  // Repoint the command and pub/sub connections at the newly promoted master
+  async switchMaster(master) {
+    const current = this.failover.master;
+    if (current && current.host === master.host && current.port === master.port) return;
+
+    logger.warn(`Redis failover: master ${this.topology.masterName} moved from ` +
+      `${current ? `${current.host}:${current.port}` : 'unknown'} to ${master.host}:${master.port}`);
+    this.failover = { master, count: this.failover.count + 1, lastAt: new Date().toISOString() };
+
+    const previous = this.client;
+    this.attachClient(this.createClient(master));
+    if (previous) {
+      previous.disconnect().catch(() => {});
+    }
+
+    if (this.subscriber) {
+      const previousSubscriber = this.subscriber;
+      this.subscriber = null;
+      previousSubscriber.disconnect().catch(() => {});
+      try {
+        await this.connectSubscriber();
+        // Messages published during the switch are lost
+        this.resubscribeHandlers.forEach(handler => handler());
+      } catch (error) {
+        logger.error('Redis subscriber failover error:', error);
+      }
+    }
+  }
+
+  // Runs a command through the circuit breaker; while the circuit is open (degraded
+  // mode) the fallback is returned immediately without touching the connection
+  async execute(description, command, fallback) {
+    if (!this.client || !this.breaker.allowRequest()) {
+      return fallback;
+    }
+
     try {
-      const serialized = JSON.stringify(value);
-      await this.client.setEx(key, ttlSeconds, serialized);
-      return true;
+      const result = await command();
+      this.breaker.recordSuccess();
+      return result;
     } catch (error) {
-      logger.error(`Redis SET error for key ${key}:`, error);
-      return false;
+      this.breaker.recordFailure(error);
+      logger.error(`Redis ${description} error:`, error);
+      return fallback;
     }
   }
 
+  // Degraded: Redis is unreachable, callers should rely on local state only
+  isDegraded() {
+    return !this.breaker.isClosed() || !this.isConnected();
+  }
+
+  isConnected() {
+    if (!this.client) return false;
+    return this.isCluster ? this.client.isOpen : this.client.isReady;
+  }
+
+  // Wraps the part of a key that decides its cluster slot, e.g. cache:tag:{products};
+  // keys sharing a hash tag always live on the same node
+  hashTag(prefix, id) {
+    return `${prefix}{${id}}`;
+  }
+
+  // Called whenever the circuit closes again after an outage
+  onRecovery(handler) {
+    this.recoveryHandlers.push(handler);
+  }
+
+  async get(key) {
+    const value = await this.execute(`GET for key ${key}`, () => this.client.get(key), null);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, value, ttlSeconds = 300) {
+    const serialized = JSON.stringify(value);
+    return this.execute(`SET for key ${key}`, async () => {
+      await this.client.setEx(key, ttlSeconds, serialized);
+      return true;
+    }, false);
+  }
+
   async del(key) {
-    try {
+    return this.execute(`DEL for key ${key}`, async () => {
       await this.client.del(key);
       return true;
-    } catch (error) {
-      logger.error(`Redis DEL error for key ${key}:`, error);
-      return false;
-    }
+    }, false);
   }
 
   async exists(key) {
+    return this.execute(`EXISTS for key ${key}`, () => this.client.exists(key), false);
+  }
+
+  async unlink(keys) {
+    if (keys.length === 0) return 0;
+    return this.execute(`UNLINK for ${keys.length} keys`, async () => {
+      if (!this.isCluster) {
+        return this.client.unlink(keys);
+      }
+      // Keys of one batch usually span slots, which a single cluster command can't
+      const counts = await Promise.all(keys.map(key => this.client.unlink(key)));
+      return counts.reduce((sum, count) => sum + count, 0);
+    }, 0);
+  }
+
+  // Add a member to several sets, extending each set's TTL to cover it
+  async sAddMany(setKeys, member, ttlSeconds = 300) {
+    if (setKeys.length === 0) return true;
+    const addTo = (multi, setKey) => multi
+      .sAdd(setKey, member)
+      .expire(setKey, ttlSeconds, 'NX')
+      .expire(setKey, ttlSeconds, 'GT');
+
+    return this.execute(`SADD for member ${member}`, async () => {
+      if (this.isCluster) {
+        // One transaction per set, each confined to that set's slot
+        await Promise.all(setKeys.map(setKey => addTo(this.client.multi(), setKey).exec()));
+      } else {
+        const multi = this.client.multi();
+        setKeys.forEach(setKey => addTo(multi, setKey));
+        await multi.exec();
+      }
+      return true;
+    }, false);
+  }
+
+  // Incrementally iterate a set with SSCAN so large sets never block Redis.
+  // Throws when Redis is unavailable so callers can tell "empty" from "unknown".
+  async *sScan(setKey, count = 500) {
+    const client = this.client;
+    yield* this.iterate(async function* () {
+      let cursor = 0;
+      do {
+        const reply = await client.sScan(setKey, cursor, { COUNT: count });
+        cursor = reply.cursor;
+        yield* reply.members;
+      } while (cursor !== 0);
+    });
+  }
+
+  // Incrementally iterate the keyspace with SCAN, never KEYS; in cluster mode every master is scanned
+  async *scan(match, count = 500) {
+    const client = this.client;
+    const nodeClients = this.isCluster
+      ? () => Promise.all(client.masters.map(master => client.nodeClient(master)))
+      : async () => [client];
+
+    yield* this.iterate(async function* () {
+      for (const node of await nodeClients()) {
+        yield* node.scanIterator({ MATCH: match, COUNT: count });
+      }
+    });
+  }
+
+  async *iterate(createIterator) {
+    if (!this.client || !this.breaker.allowRequest()) {
+      throw new CircuitBreaker.CircuitOpenError(this.breaker.name);
+    }
+
+    // A consumer that stops early (break, return) ends the generator without
+    // reaching the end of the loop; that still counts as a success, or a
+    // half-open breaker would wait on its trial call forever
+    let failed = false;
     try {
-      return await this.client.exists(key);
+      for await (const item of createIterator()) {
+        yield item;
+      }
     } catch (error) {
-      logger.error(`Redis EXISTS error for key ${key}:`, error);
-      return false;
+      failed = true;
+      this.breaker.recordFailure(error);
+      throw error;
+    } finally {
+      if (!failed) {
+        this.breaker.recordSuccess();
+      }
     }
   }
 
-  async flushAll() {
-    try {
-      await this.client.flushAll();
+  // TTL (seconds, -1 without expiry) and memory footprint in bytes of each key
+  async inspect(keys) {
+    if (keys.length === 0) return [];
+    const replies = await this.execute(`inspect for ${keys.length} keys`, async () => {
+      if (this.isCluster) {
+        const perKey = await Promise.all(keys.map(key => Promise.all([
+          this.client.ttl(key),
+          this.client.memoryUsage(key)
+        ])));
+        return perKey.flat();
+      }
+
+      const multi = this.client.multi();
+      keys.forEach(key => {
+        multi.ttl(key);
+        multi.memoryUsage(key);
+      });
+      return multi.exec();
+    }, null);
+
+    return keys.map((key, i) => ({
+      key,
+      ttl: replies ? replies[i * 2] : null,
+      size: replies ? replies[i * 2 + 1] : null
+    }));
+  }
+
+  // Distributed lock via SET NX PX; resolves to the owner token, or null when held elsewhere.
+  // Fails open: without Redis every worker just does its own work.
+  async acquireLock(key, ttlMs = 5000) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const result = await this.execute(`lock for key ${key}`,
+      () => this.client.set(key, token, { NX: true, PX: ttlMs }), 'OK');
+    return result === 'OK' ? token : null;
+  }
+
+  // Runs a Lua script; resolves to null when Redis is unavailable
+  async evalScript(script, keys, args) {
+    return this.execute(`EVAL on ${keys[0]}`,
+      () => this.client.eval(script, { keys, arguments: args.map(String) }), null);
+  }
+
+  async releaseLock(key, token) {
+    return this.execute(`lock release for key ${key}`, async () => {
+      await this.client.eval(RELEASE_LOCK_SCRIPT, { keys: [key], arguments: [token] });
       return true;
+    }, false);
+  }
+
+  async publish(channel, message) {
+    return this.execute(`PUBLISH on channel ${channel}`, async () => {
+      await this.client.publish(channel, JSON.stringify(message));
+      return true;
+    }, false);
+  }
+
+  // Subscriptions need a dedicated connection; node-redis re-subscribes it after
+  // reconnects. onResubscribe runs whenever messages may have been missed: after
+  // a reconnect, and when the connection only came up after failing at first.
+  async subscribe(channel, listener, onResubscribe) {
+    const handler = (message) => {
+      try {
+        listener(JSON.parse(message));
+      } catch (error) {
+        logger.error(`Redis message error on channel ${channel}:`, error);
+      }
+    };
+    this.subscriptions.set(channel, handler);
+    if (onResubscribe) {
+      this.resubscribeHandlers.push(onResubscribe);
+    }
+
+    if (this.subscriber) {
+      await this.subscriber.subscribe(channel, handler);
+    } else if (!this.subscriberRetry) {
+      try {
+        await this.connectSubscriber();
+      } catch (error) {
+        this.retrySubscriber();
+        throw error;
+      }
+    }
+  }
+
+  // Keeps retrying a subscriber connection that failed, e.g. because Redis was
+  // down when the process started, with the same backoff as the clients
+  retrySubscriber(attempt = 0) {
+    this.subscriberRetry = setTimeout(async () => {
+      try {
+        await this.connectSubscriber();
+        this.subscriberRetry = null;
+        logger.info('Redis subscriber connected after retrying');
+        this.resubscribeHandlers.forEach(handler => handler());
+      } catch (error) {
+        logger.error(`Redis subscriber connect failed, retrying: ${error.message}`);
+        this.retrySubscriber(attempt + 1);
+      }
+    }, reconnectStrategy(attempt));
+    this.subscriberRetry.unref();
+  }
+
+  async connectSubscriber() {
+    // Sentinel mode: wait until the master is known
+    while (!this.client) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const subscriber = this.client.duplicate();
+    // Messages were missed if 'ready' follows an error (node-redis retries a
+    // failing first connect by itself, too) or an earlier 'ready'
+    let missedMessages = false;
+
+    subscriber.on('error', (err) => {
+      missedMessages = true;
+      logger.error('Redis subscriber error:', err);
+    });
+
+    subscriber.on('ready', () => {
+      if (missedMessages) {
+        logger.info('Redis subscriber (re)connected after an outage');
+        this.resubscribeHandlers.forEach(handler => handler());
+      }
+      missedMessages = true;
+    });
+
+    this.subscriber = subscriber;
+    try {
+      await subscriber.connect();
+      for (const [channel, handler] of this.subscriptions) {
+        await subscriber.subscribe(channel, handler);
+      }
     } catch (error) {
-      logger.error('Redis FLUSHALL error:', error);
-      return false;
+      this.subscriber = null;
+      subscriber.disconnect().catch(() => {});
+      throw error;
     }
   }
 
+  // Runs a keyless command on every master in cluster mode, or on the one server otherwise
+  async onEveryMaster(command) {
+    if (!this.isCluster) {
+      return [await command(this.client)];
+    }
+    const nodes = await Promise.all(this.client.masters.map(master => this.client.nodeClient(master)));
+    return Promise.all(nodes.map(command));
+  }
+
+  async flushAll() {
+    return this.execute('FLUSHALL', async () => {
+      await this.onEveryMaster(client => client.flushAll());
+      return true;
+    }, false);
+  }
+
   async ping() {
-    return await this.client.ping();
+    if (!this.client) {
+      throw new Error('Redis master not resolved yet');
+    }
+    const replies = await this.onEveryMaster(client => client.ping());
+    return replies[0];
+  }
+
+  getTopology() {
+    const topology = { mode: this.topology.mode };
+    if (this.topology.mode === 'sentinel') {
+      topology.masterName = this.topology.masterName;
+      topology.master = this.failover.master
+        ? `${this.failover.master.host}:${this.failover.master.port}`
+        : null;
+      topology.failovers = this.failover.count;
+      topology.lastFailoverAt = this.failover.lastAt;
+    } else if (this.isCluster && this.client) {
+      topology.masters = this.client.masters.map(master => master.address);
+      topology.replicas = this.client.replicas.length;
+    }
+    return topology;
+  }
+
+  async getHealth() {
+    const circuit = this.breaker.getStats();
+    try {
+      const ping = await this.ping();
+      return {
+        status: this.breaker.isClosed() ? 'OK' : 'DEGRADED',
+        ping,
+        connected: this.isConnected(),
+        topology: this.getTopology(),
+        circuit
+      };
+    } catch (error) {
+      return {
+        status: 'DEGRADED',
+        error: error.message,
+        connected: false,
+        topology: this.getTopology(),
+        circuit
+      };
+    }
   }
 
   async disconnect() {
-    await this.client.disconnect();
+    clearTimeout(this.subscriberRetry);
+    if (this.stopSentinelWatch) {
+      await this.stopSentinelWatch();
+    }
+    if (this.subscriber) {
+      await this.subscriber.disconnect();
+    }
+    if (this.client) {
+      await this.client.disconnect();
+    }
     logger.info('Redis client disconnected');
   }
 }
@@ -0,0 +1,117 @@
+const redis = require('redis');
+const logger = require('../utils/logger');
+
+const MODES = ['standalone', 'sentinel', 'cluster'];
+const SENTINEL_TIMEOUT_MS = 2000;
+
+const parseAddresses = (list, defaultPort) => list
+  .split(',')
+  .map(address => address.trim())
+  .filter(Boolean)
+  .map(address => {
+    const [host, port] = address.split(':');
+    return { host, port: parseInt(port) || defaultPort };
+  });
+
+// REDIS_MODE selects how we reach Redis:
+// - standalone: REDIS_URL
+// - sentinel:   REDIS_SENTINELS=host:port,... and REDIS_SENTINEL_MASTER
+// - cluster:    REDIS_CLUSTER_NODES=redis://host:port,... (seed nodes)
+function getTopologyConfig() {
+  const mode = (process.env.REDIS_MODE || 'standalone').toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid REDIS_MODE "${mode}", expected one of ${MODES.join(', ')}`);
+  }
+
+  const config = {
+    mode,
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+    password: process.env.REDIS_PASSWORD || undefined,
+    sentinels: parseAddresses(process.env.REDIS_SENTINELS || '', 26379),
+    masterName: process.env.REDIS_SENTINEL_MASTER || 'mymaster',
+    sentinelPassword: process.env.REDIS_SENTINEL_PASSWORD || undefined,
+    clusterNodes: (process.env.REDIS_CLUSTER_NODES || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean)
+  };
+
+  if (mode === 'sentinel' && config.sentinels.length === 0) {
+    throw new Error('REDIS_SENTINELS is required when REDIS_MODE=sentinel');
+  }
+  if (mode === 'cluster' && config.clusterNodes.length === 0) {
+    throw new Error('REDIS_CLUSTER_NODES is required when REDIS_MODE=cluster');
+  }
+
+  return config;
+}
+
+function createSentinelClient(config, sentinel, reconnect) {
+  return redis.createClient({
+    password: config.sentinelPassword,
+    socket: {
+      host: sentinel.host,
+      port: sentinel.port,
+      connectTimeout: SENTINEL_TIMEOUT_MS,
+      reconnectStrategy: reconnect
+    }
+  });
+}
+
+// Asks each sentinel in turn for the current master address
+async function resolveSentinelMaster(config) {
+  for (const sentinel of config.sentinels) {
+    const client = createSentinelClient(config, sentinel, false);
+    client.on('error', () => {});
+
+    try {
+      await client.connect();
+      const reply = await client.sendCommand(['SENTINEL', 'get-master-addr-by-name', config.masterName]);
+      if (reply) {
+        return { host: reply[0], port: parseInt(reply[1]) };
+      }
+      logger.warn(`Sentinel ${sentinel.host}:${sentinel.port} does not know master ${config.masterName}`);
+    } catch (error) {
+      logger.warn(`Sentinel ${sentinel.host}:${sentinel.port} unreachable: ${error.message}`);
+    } finally {
+      client.disconnect().catch(() => {});
+    }
+  }
+
+  throw new Error(`No sentinel could resolve master ${config.masterName}`);
+}
+
+// Subscribes to +switch-master on every sentinel, so losing some of them
+// doesn't hide a failover. Returns a function that stops watching.
+function watchSentinelFailover(config, reconnectStrategy, onSwitch) {
+  const clients = config.sentinels.map(sentinel => {
+    const client = createSentinelClient(config, sentinel, reconnectStrategy);
+    client.on('error', (err) => {
+      logger.debug(`Sentinel ${sentinel.host}:${sentinel.port} watcher error: ${err.message}`);
+    });
+
+    client.connect()
+      .then(() => client.subscribe('+switch-master', (message) => {
+        // <master name> <old ip> <old port> <new ip> <new port>
+        const [name, , , host, port] = message.split(' ');
+        if (name === config.masterName) {
+          onSwitch({ host, port: parseInt(port) });
+        }
+      }))
+      .catch(err => {
+        logger.warn(`Sentinel ${sentinel.host}:${sentinel.port} watcher failed: ${err.message}`);
+      });
+
+    return client;
+  });
+
+  return async () => {
+    await Promise.all(clients.map(client => client.disconnect().catch(() => {})));
+  };
+}
+
+module.exports = {
+  getTopologyConfig,
+  resolveSentinelMaster,
+  watchSentinelFailover
+};
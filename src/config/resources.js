@@ -0,0 +1,60 @@
+// Fields each resource may expose, with who may see them:
+//   public - anyone who can reach the endpoint
+//   owner  - the user the record belongs to, and staff
+//   staff  - staff (and admin) users only
+// Columns not listed here are never serialized, whatever a query selects.
+// owner(record) returns the id of the user a record belongs to.
+const VISIBILITY = ['public', 'owner', 'staff'];
+
+const RESOURCES = {
+  user: {
+    owner: (user) => user.id,
+    fields: {
+      id: 'public',
+      name: 'public',
+      created_at: 'public',
+      email: 'owner',
+      pending_email: 'owner',
+      roles: 'owner',
+      tier: 'owner',
+      email_verified_at: 'owner',
+      two_factor_enabled_at: 'owner',
+      updated_at: 'owner',
+      last_login: 'owner'
+    }
+  },
+  product: {
+    fields: {
+      id: 'public',
+      name: 'public',
+      description: 'public',
+      price: 'public',
+      stock_quantity: 'public',
+      category_id: 'public',
+      category_name: 'public',
+      search_language: 'public',
+      created_at: 'public',
+      updated_at: 'public'
+    }
+  },
+  order: {
+    owner: (order) => order.user_id,
+    fields: {
+      id: 'owner',
+      user_id: 'owner',
+      status: 'owner',
+      total_amount: 'owner',
+      payment_method: 'owner',
+      shipping_address: 'owner',
+      item_count: 'owner',
+      items: 'owner',
+      created_at: 'owner',
+      updated_at: 'owner'
+    }
+  }
+};
+
+module.exports = {
+  VISIBILITY,
+  RESOURCES
+};
@@ -0,0 +1,39 @@
+// Roles in ascending order of privilege; each role includes those below it
+const ROLES = ['customer', 'staff', 'admin'];
+
+// Permission -> lowest role that holds it. API keys are granted permissions
+// directly as scopes instead of through a role.
+const PERMISSIONS = {
+  'products:read': 'customer',
+  'orders:read': 'customer',
+  'orders:write': 'customer',
+  'products:write': 'staff',
+  'users:read': 'staff',
+  'analytics:read': 'staff'
+};
+
+const SCOPES = Object.keys(PERMISSIONS);
+
+const rank = (role) => ROLES.indexOf(role);
+
+const hasRole = (roles = [], role) => roles.some(held => rank(held) >= rank(role));
+
+const hasPermission = (roles, permission) => hasRole(roles, PERMISSIONS[permission]);
+
+// Permissions the roles hold; an API key's scopes never go beyond its owner's
+const permissionsOf = (roles) => SCOPES.filter(permission => hasPermission(roles, permission));
+
+// Roles stored on the user; an account without any is a customer. Admin is
+// only ever granted explicitly (npm run grant-role, or by another admin).
+const resolveRoles = (user) => (user.roles && user.roles.length > 0 ? [...user.roles] : ['customer']);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  SCOPES,
+  rank,
+  hasRole,
+  hasPermission,
+  permissionsOf,
+  resolveRoles
+};
@@ -0,0 +1,38 @@
+const apiKeys = require('../utils/apiKeys');
+const logger = require('../utils/logger');
+
+// Resolves an X-API-Key header into req.principal / req.user. Runs ahead of the
+// rate limiters so keys are limited per key; auth then accepts the principal.
+// An invalid key is only flagged here: the limiters count it against the IP,
+// so guessing keys is throttled, and rejectInvalid turns it away after them.
+const apiKey = async (req, res, next) => {
+  const key = req.header('X-API-Key');
+  if (!key) {
+    return next();
+  }
+
+  try {
+    const principal = await apiKeys.authenticate(key, req.ip);
+    if (!principal) {
+      req.invalidApiKey = true;
+      return next();
+    }
+
+    req.principal = principal;
+    req.user = principal.user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const rejectInvalid = (req, res, next) => {
+  if (!req.invalidApiKey) {
+    return next();
+  }
+  logger.warn(`Invalid API key from ${req.ip}: ${req.method} ${req.originalUrl}`);
+  res.status(401).json({ error: 'Invalid API key' });
+};
+
+module.exports = apiKey;
+module.exports.rejectInvalid = rejectInvalid;
@@ -1,7 +1,14 @@
-const jwt = require('jsonwebtoken');
+const tokens = require('../utils/tokens');
 const logger = require('../utils/logger');
 
-const auth = (req, res, next) => {
+// Accepts a Bearer JWT, or a principal already resolved from an X-API-Key
+// header (see middleware/apiKey.js). Either way req.user and req.principal are set.
+const auth = async (req, res, next) => {
+  if (req.principal && req.principal.type === 'apikey') {
+    return next();
+  }
+
+  let decoded;
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -9,13 +16,30 @@ const auth = (req, res, next) => {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = tokens.verify(token);
+  } catch (error) {
+    logger.error('Authentication error:', error);
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  try {
+    // Logged out, or the session was revoked after refresh token reuse
+    if (await tokens.isRevoked(decoded)) {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
+
     req.user = decoded;
+    req.principal = {
+      type: 'user',
+      id: decoded.id,
+      roles: decoded.roles,
+      tier: decoded.tier || 'authenticated',
+      user: decoded
+    };
     next();
   } catch (error) {
-    logger.error('Authentication error:', error);
-    res.status(401).json({ error: 'Invalid token' });
+    next(error);
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
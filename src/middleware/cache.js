@@ -1,7 +1,27 @@
+const crypto = require('crypto');
+const os = require('os');
 const NodeCache = require('node-cache');
 const redisClient = require('../config/redis');
 const logger = require('../utils/logger');
 
+const TAG_PREFIX = 'cache:tag:';
+const UNLINK_BATCH_SIZE = 500;
+const INVALIDATION_CHANNEL = process.env.CACHE_INVALIDATION_CHANNEL || 'cache:invalidate';
+const LOCK_PREFIX = 'cache:lock:';
+const LOCK_TTL_MS = parseInt(process.env.CACHE_LOCK_TTL_MS) || 5000;
+const LOCK_WAIT_MS = parseInt(process.env.CACHE_LOCK_WAIT_MS) || 2000;
+const LOCK_POLL_MS = 50;
+const MAX_PENDING_INVALIDATIONS = 10000;
+
+// Response headers replayed with a cached entry when the route set them
+const STORED_HEADERS = ['Content-Language', 'Cache-Control', 'Link'];
+
+// Redis MATCH glob (* and ?) as an anchored RegExp, for the memory tier
+const globToRegExp = (glob) => new RegExp(`^${glob
+  .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  .replace(/\*/g, '.*')
+  .replace(/\?/g, '.')}$`);
+
 class CacheManager {
   constructor() {
     // Memory cache for ultra-fast access
@@ -14,49 +34,181 @@ class CacheManager {
     this.memoryCache.on('expired', (key, value) => {
       logger.debug(`Memory cache key expired: ${key}`);
     });
+
+    // key -> { tags, size } of each memory entry, so eviction by tag and key
+    // listings don't have to read entries (which would skew hit stats)
+    this.memoryIndex = new Map();
+    this.memoryCache.on('set', (key, value) => {
+      this.memoryIndex.set(key, { tags: value.tags || [], size: value.size || 0 });
+    });
+    this.memoryCache.on('del', (key) => {
+      this.memoryIndex.delete(key);
+    });
+    this.memoryCache.on('flush', () => {
+      this.memoryIndex.clear();
+    });
+
+    // route -> per-tier hit/miss counters
+    this.routeStats = new Map();
+
+    // Identifies this worker so it can ignore its own invalidation broadcasts
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.invalidationStats = { published: 0, received: 0 };
+
+    // key -> { promise, resolve } for responses currently being recomputed
+    this.inflight = new Map();
+    this.refreshStats = { stale: 0, coalesced: 0 };
+
+    // Tags invalidated while Redis was unreachable (degraded mode), replayed on recovery
+    this.pendingInvalidations = new Set();
+    this.pendingPurgeAll = false;
+    redisClient.onRecovery(() => this.replayPendingInvalidations());
+
+    this.subscribeToInvalidations();
+  }
+
+  // Every worker and replica evicts its memory tier when another one invalidates
+  async subscribeToInvalidations() {
+    try {
+      await redisClient.subscribe(INVALIDATION_CHANNEL, (message) => {
+        if (message.origin === this.instanceId) return;
+
+        this.invalidationStats.received++;
+        if (message.tags) {
+          this.evictMemoryTags(message.tags);
+        }
+        if (message.pattern) {
+          this.evictMemoryPattern(message.pattern);
+        }
+        if (message.keys) {
+          this.memoryCache.del(message.keys);
+        }
+      }, () => {
+        // Broadcasts sent while disconnected are lost, so drop everything we hold
+        this.memoryCache.flushAll();
+        logger.info('Memory cache flushed after invalidation channel reconnect');
+      });
+      logger.info(`Subscribed to cache invalidation channel: ${INVALIDATION_CHANNEL}`);
+    } catch (error) {
+      // redisClient keeps retrying and flushes the memory tier once subscribed
+      logger.error(`Cache invalidation subscription failed, retrying in the background: ${error.message}`);
+    }
+  }
+
+  async broadcastInvalidation(message) {
+    const published = await redisClient.publish(INVALIDATION_CHANNEL, {
+      origin: this.instanceId,
+      ...message
+    });
+    if (published) {
+      this.invalidationStats.published++;
+    }
   }
 
   // Multi-level caching middleware
-  cache(ttl = 300, useMemory = true) {
+  // ttl is the soft TTL: once it passes, one request per key recomputes while the
+  // others are served the stale entry until options.hardTtl (defaults to ttl).
+  // options.tags: array of tags or (req) => tags, used by invalidateTags()
+  // options.vary: request headers (e.g. 'Accept-Language') or 'user' for the
+  // authenticated principal; each becomes part of the key and of the Vary header.
+  // 'user' is implied whenever the request is authenticated, since responses
+  // are serialized for the caller; options.shared: true opts out for routes
+  // whose output is the same for every caller.
+  // options.statuses: status codes worth caching, any 2xx by default
+  // options.headers: extra response headers to store alongside STORED_HEADERS
+  cache(ttl = 300, useMemory = true, options = {}) {
+    const hardTtl = Math.max(options.hardTtl || ttl, ttl);
+    const vary = options.vary || [];
+    const storedHeaders = [...STORED_HEADERS, ...(options.headers || [])];
+    const isCacheable = options.statuses
+      ? (status) => options.statuses.includes(status)
+      : (status) => status >= 200 && status < 300;
+
     return async (req, res, next) => {
       if (req.method !== 'GET') {
         return next();
       }
 
-      const key = this.generateKey(req);
+      const dimensions = req.user && !options.shared && !vary.includes('user') ? [...vary, 'user'] : vary;
+      this.setVary(res, dimensions);
+      const stats = this.statsFor(req);
+      const directives = this.requestDirectives(req);
+      if (directives.noStore) {
+        stats.bypassed++;
+        res.set('X-Cache', 'BYPASS');
+        return next();
+      }
+
+      const key = this.generateKey(req, dimensions);
       
       try {
-        // Level 1: Memory cache (fastest)
-        if (useMemory) {
-          const memoryResult = this.memoryCache.get(key);
-          if (memoryResult) {
-            res.set('X-Cache', 'HIT-MEMORY');
-            return res.json(memoryResult);
-          }
+        // no-cache: skip cached copies, but still store the fresh response
+        const { entry, source } = directives.noCache
+          ? { entry: null, source: null }
+          : await this.lookup(key, useMemory, stats);
+        if (entry && !this.isStale(entry)) {
+          return this.sendCached(req, res, entry, source);
         }
 
-        // Level 2: Redis cache (fast)
-        const redisResult = await redisClient.get(key);
-        if (redisResult) {
-          // Store in memory for next time
-          if (useMemory) {
-            this.memoryCache.set(key, redisResult, ttl);
+        // Single-flight: only the lock holder recomputes, everyone else reuses its work
+        const lockToken = await this.acquireRefresh(key);
+        if (!lockToken) {
+          if (entry) {
+            this.refreshStats.stale++;
+            stats.stale++;
+            return this.sendCached(req, res, entry, 'STALE');
+          }
+
+          const refreshed = await this.awaitRefresh(key, useMemory);
+          if (refreshed) {
+            this.refreshStats.coalesced++;
+            stats.coalesced++;
+            return this.sendCached(req, res, refreshed, 'HIT-COALESCED');
           }
-          res.set('X-Cache', 'HIT-REDIS');
-          return res.json(redisResult);
         }
 
         // Cache miss - continue to route handler
         res.set('X-Cache', 'MISS');
+        const tags = this.resolveTags(options.tags, req);
+        let stored = null;
+
+        if (lockToken) {
+          res.once('close', () => this.releaseRefresh(key, lockToken, stored));
+        }
         
         // Override res.json to cache the response
         const originalJson = res.json;
         res.json = (data) => {
+          if (!isCacheable(res.statusCode)) {
+            return originalJson.call(res, data);
+          }
+
+          const now = Date.now();
+          const serialized = JSON.stringify(data);
+          const entry = {
+            body: data,
+            status: res.statusCode,
+            headers: this.pickHeaders(res, storedHeaders),
+            tags,
+            freshUntil: now + ttl * 1000,
+            expiresAt: now + hardTtl * 1000,
+            size: Buffer.byteLength(serialized),
+            ...this.buildValidators(data, serialized)
+          };
+          stored = entry;
+
           // Store in both caches
           if (useMemory) {
-            this.memoryCache.set(key, data, ttl);
+            this.memoryCache.set(key, entry, hardTtl);
+          }
+          redisClient.set(key, entry, hardTtl);
+          redisClient.sAddMany(tags.map(tag => this.tagKey(tag)), key, hardTtl);
+
+          // Fresh responses are answered with 304 even on a miss
+          this.setValidators(res, entry);
+          if (req.fresh) {
+            return res.status(304).end();
           }
-          redisClient.set(key, data, ttl);
           
           return originalJson.call(res, data);
         };
@@ -69,40 +221,487 @@ class CacheManager {
     };
   }
 
-  generateKey(req) {
-    const { method, originalUrl, query, user } = req;
-    const userId = user ? user.id : 'anonymous';
-    return `api:${method}:${originalUrl}:${JSON.stringify(query)}:${userId}`;
+  // stats: per-route counters to update, omitted for internal re-reads
+  async lookup(key, useMemory, stats = null) {
+    // Level 1: Memory cache (fastest)
+    if (useMemory) {
+      const memoryResult = this.memoryCache.get(key);
+      if (stats) stats.memory[memoryResult ? 'hits' : 'misses']++;
+      if (memoryResult) {
+        return { entry: memoryResult, source: 'HIT-MEMORY' };
+      }
+    }
+
+    // Level 2: Redis cache (fast), skipped entirely in degraded mode
+    if (redisClient.isDegraded()) {
+      return { entry: null, source: null };
+    }
+    const redisResult = await redisClient.get(key);
+    if (stats) stats.redis[redisResult ? 'hits' : 'misses']++;
+    if (redisResult) {
+      // Store in memory for next time, for whatever lifetime Redis has left
+      if (useMemory) {
+        this.memoryCache.set(key, redisResult, this.remainingTtl(redisResult));
+      }
+      return { entry: redisResult, source: 'HIT-REDIS' };
+    }
+
+    return { entry: null, source: null };
   }
 
-  async invalidatePattern(pattern) {
+  isStale(entry) {
+    return Boolean(entry.freshUntil) && Date.now() >= entry.freshUntil;
+  }
+
+  remainingTtl(entry) {
+    if (!entry.expiresAt) return this.memoryCache.options.stdTTL;
+    return Math.max(1, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+  }
+
+  lockKey(key) {
+    return `${LOCK_PREFIX}${key}`;
+  }
+
+  // Per worker via the in-flight map, per cluster via a Redis lock
+  async acquireRefresh(key) {
+    if (this.inflight.has(key)) return null;
+
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    this.inflight.set(key, { promise, resolve });
+
+    const lockToken = await redisClient.acquireLock(this.lockKey(key), LOCK_TTL_MS);
+    if (!lockToken) {
+      this.inflight.delete(key);
+      resolve(null);
+    }
+    return lockToken;
+  }
+
+  releaseRefresh(key, lockToken, entry) {
+    const inflight = this.inflight.get(key);
+    if (inflight) {
+      this.inflight.delete(key);
+      inflight.resolve(entry);
+    }
+    redisClient.releaseLock(this.lockKey(key), lockToken);
+  }
+
+  // Wait for the request recomputing this key, in this worker or another one
+  async awaitRefresh(key, useMemory) {
+    const inflight = this.inflight.get(key);
+    if (inflight) {
+      return inflight.promise;
+    }
+
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+      const { entry } = await this.lookup(key, useMemory);
+      if (entry && !this.isStale(entry)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  // Replay a cached entry, or 304 when the client's validators still match
+  sendCached(req, res, entry, source) {
+    res.set('X-Cache', source);
+    res.status(entry.status || 200);
+    if (entry.headers) {
+      res.set(entry.headers);
+    }
+    this.setValidators(res, entry);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    return res.json(entry.body);
+  }
+
+  // Strong ETag over the serialized body, Last-Modified from the newest updated_at
+  buildValidators(data, serialized = JSON.stringify(data)) {
+    const hash = crypto.createHash('sha1').update(serialized).digest('base64url');
+    const lastModified = this.findLastModified(data);
+    return {
+      etag: `"${hash}"`,
+      lastModified: lastModified ? lastModified.toUTCString() : null
+    };
+  }
+
+  // Single-row bodies only, e.g. { product }; a list can change through a removed
+  // row without any remaining updated_at moving, so lists rely on the ETag alone
+  findLastModified(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const rows = Object.values(data)
+      .filter(value => value && typeof value === 'object' && !Array.isArray(value));
+    if (rows.length !== 1 || !rows[0].updated_at) return null;
+
+    const updatedAt = new Date(rows[0].updated_at);
+    return isNaN(updatedAt) ? null : updatedAt;
+  }
+
+  setValidators(res, entry) {
+    if (entry.etag) {
+      res.set('ETag', entry.etag);
+    }
+    if (entry.lastModified) {
+      res.set('Last-Modified', entry.lastModified);
+    }
+  }
+
+  // Invalidation middleware: purges the given tags once the route responds with 2xx,
+  // before the response is sent so clients never read their own stale writes.
+  // tags: array of tags or (req, body) => tags
+  invalidate(tags) {
+    return (req, res, next) => {
+      const originalJson = res.json;
+      res.json = (data) => {
+        res.json = originalJson;
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          return originalJson.call(res, data);
+        }
+
+        this.invalidateTags(this.resolveTags(tags, req, data))
+          .finally(() => originalJson.call(res, data));
+        return res;
+      };
+      next();
+    };
+  }
+
+  resolveTags(tags, ...args) {
+    if (!tags) return [];
+    const resolved = typeof tags === 'function' ? tags(...args) : tags;
+    return [...new Set(resolved.filter(Boolean).map(String))];
+  }
+
+  // Hash-tagged so each tag index (set and TTL) stays on one Redis Cluster slot
+  tagKey(tag) {
+    return redisClient.hashTag(TAG_PREFIX, tag);
+  }
+
+  // api:GET:/api/products?category=2&limit=20|accept-language=en
+  // Query parameters are sorted so equivalent URLs share one entry
+  generateKey(req, vary = []) {
+    const path = `${req.baseUrl}${req.path}`.replace(/\/+$/, '') || '/';
+    const query = this.normalizeQuery(req.query);
+    const dimensions = [...vary]
+      .map(dimension => dimension.toLowerCase())
+      .sort()
+      .map(dimension => `${dimension}=${this.varyValue(req, dimension)}`);
+
+    return [`api:${req.method}:${path}${query ? `?${query}` : ''}`, ...dimensions].join('|');
+  }
+
+  normalizeQuery(query) {
+    const params = new URLSearchParams();
+    Object.keys(query || {}).sort().forEach(name => {
+      const value = query[name];
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach(item => {
+        params.append(name, typeof item === 'object' ? JSON.stringify(item) : String(item));
+      });
+    });
+    return params.toString();
+  }
+
+  varyValue(req, dimension) {
+    // An API key sees less than a session of its owner, so they never share
+    if (dimension === 'user') {
+      if (req.principal && req.principal.type === 'apikey') {
+        return `apikey:${req.principal.id}`;
+      }
+      return req.user ? req.user.id : 'anonymous';
+    }
+    return (req.get(dimension) || '').trim().toLowerCase();
+  }
+
+  setVary(res, vary) {
+    vary.forEach(dimension => {
+      if (dimension.toLowerCase() === 'user') {
+        res.vary('Authorization');
+        res.vary('X-API-Key');
+      } else {
+        res.vary(dimension);
+      }
+    });
+  }
+
+  requestDirectives(req) {
+    const cacheControl = (req.get('Cache-Control') || '').toLowerCase();
+    return {
+      noStore: cacheControl.includes('no-store'),
+      noCache: cacheControl.includes('no-cache') || (req.get('Pragma') || '').toLowerCase() === 'no-cache'
+    };
+  }
+
+  pickHeaders(res, names) {
+    const headers = {};
+    names.forEach(name => {
+      const value = res.get(name);
+      if (value !== undefined) {
+        headers[name] = value;
+      }
+    });
+    return headers;
+  }
+
+  evictMemoryTags(tags) {
+    const tagSet = new Set(tags);
+    const keys = [];
+    this.memoryIndex.forEach(({ tags: entryTags }, key) => {
+      if (entryTags.some(tag => tagSet.has(tag))) {
+        keys.push(key);
+      }
+    });
+    this.memoryCache.del(keys);
+  }
+
+  // A Redis-style glob (api:GET:/api/products*) or, without wildcards, a substring
+  evictMemoryPattern(pattern) {
+    const glob = /[*?]/.test(pattern) ? globToRegExp(pattern) : null;
+    const matches = glob ? (key) => glob.test(key) : (key) => key.includes(pattern);
+    const keys = this.memoryCache.keys();
+    keys.forEach(key => {
+      if (matches(key)) {
+        this.memoryCache.del(key);
+      }
+    });
+  }
+
+  async invalidateTags(tags) {
+    if (tags.length === 0) return;
+
     try {
       // Clear memory cache
-      const keys = this.memoryCache.keys();
-      keys.forEach(key => {
-        if (key.includes(pattern)) {
-          this.memoryCache.del(key);
+      const tagSet = new Set(tags);
+      this.evictMemoryTags(tags);
+
+      if (redisClient.isDegraded()) {
+        this.deferInvalidation(tagSet);
+        return;
+      }
+
+      // Clear Redis cache through the tag index, never with KEYS
+      for (const tag of tagSet) {
+        const tagKey = this.tagKey(tag);
+        let batch = [];
+        for await (const key of redisClient.sScan(tagKey)) {
+          batch.push(key);
+          if (batch.length >= UNLINK_BATCH_SIZE) {
+            await redisClient.unlink(batch);
+            batch = [];
+          }
         }
+        batch.push(tagKey);
+        await redisClient.unlink(batch);
+      }
+
+      // Other workers evict only once Redis can no longer refill them with stale data
+      await this.broadcastInvalidation({ tags: [...tagSet] });
+
+      logger.info(`Cache invalidated for tags: ${[...tagSet].join(', ')}`);
+    } catch (error) {
+      logger.error('Cache invalidation error:', error);
+      this.deferInvalidation(tags);
+    }
+  }
+
+  deferInvalidation(tags) {
+    if (this.pendingPurgeAll) return;
+
+    tags.forEach(tag => this.pendingInvalidations.add(tag));
+    if (this.pendingInvalidations.size > MAX_PENDING_INVALIDATIONS) {
+      // Too much to track precisely: drop the whole cache once Redis is back
+      this.pendingInvalidations.clear();
+      this.pendingPurgeAll = true;
+    }
+    logger.warn(`Redis unavailable, deferred cache invalidation for tags: ${[...tags].join(', ')}`);
+  }
+
+  async replayPendingInvalidations() {
+    if (this.pendingPurgeAll) {
+      this.pendingPurgeAll = false;
+      await this.purgeAll().catch(error => {
+        this.pendingPurgeAll = true;
+        logger.error('Deferred cache purge error:', error);
       });
+      return;
+    }
+
+    if (this.pendingInvalidations.size === 0) return;
+
+    const tags = [...this.pendingInvalidations];
+    this.pendingInvalidations.clear();
+    logger.info(`Redis recovered, replaying ${tags.length} deferred cache invalidations`);
+    await this.invalidateTags(tags);
+  }
 
-      // TODO: Implement Redis pattern deletion
-      logger.info(`Cache invalidated for pattern: ${pattern}`);
+  // Deletes every cached key matching a Redis glob, e.g. api:GET:/api/products*.
+  // Walks the keyspace with SCAN, so prefer tags for anything on a hot path.
+  async invalidatePattern(pattern) {
+    try {
+      const removed = await this.unlinkMatching(pattern);
+
+      // Clear memory cache, here and in every other worker
+      this.evictMemoryPattern(pattern);
+      await this.broadcastInvalidation({ pattern });
+      logger.info(`Cache invalidated for pattern: ${pattern} (${removed} Redis keys)`);
+      return removed;
     } catch (error) {
       logger.error('Cache invalidation error:', error);
+      return 0;
+    }
+  }
+
+  // SCAN + UNLINK in batches; returns how many keys were removed
+  async unlinkMatching(match) {
+    let removed = 0;
+    let batch = [];
+    for await (const key of redisClient.scan(match)) {
+      batch.push(key);
+      if (batch.length >= UNLINK_BATCH_SIZE) {
+        removed += await redisClient.unlink(batch);
+        batch = [];
+      }
+    }
+    removed += await redisClient.unlink(batch);
+    return removed;
+  }
+
+  // Route pattern as mounted, e.g. /api/products/:id
+  routeName(req) {
+    return `${req.baseUrl}${req.route ? req.route.path : req.path}`;
+  }
+
+  statsFor(req) {
+    const route = this.routeName(req);
+    if (!this.routeStats.has(route)) {
+      this.routeStats.set(route, {
+        memory: { hits: 0, misses: 0 },
+        redis: { hits: 0, misses: 0 },
+        stale: 0,
+        coalesced: 0,
+        bypassed: 0
+      });
     }
+    return this.routeStats.get(route);
+  }
+
+  getRouteStats() {
+    const hitRate = ({ hits, misses }) => hits / (hits + misses) || 0;
+    const routes = {};
+    this.routeStats.forEach((stats, route) => {
+      routes[route] = {
+        memory: { ...stats.memory, hitRate: hitRate(stats.memory) },
+        redis: { ...stats.redis, hitRate: hitRate(stats.redis) },
+        stale: stats.stale,
+        coalesced: stats.coalesced,
+        bypassed: stats.bypassed
+      };
+    });
+    return routes;
+  }
+
+  // Lists cached keys of both tiers, by tag index or by key prefix (SCAN, never KEYS)
+  async listKeys({ prefix = 'api:', tag = null, limit = 100 } = {}) {
+    const redisKeys = [];
+    const source = tag
+      ? redisClient.sScan(this.tagKey(tag))
+      : redisClient.scan(`${prefix}*`);
+    for await (const key of source) {
+      redisKeys.push(key);
+      if (redisKeys.length >= limit) break;
+    }
+
+    const memory = [];
+    this.memoryIndex.forEach(({ tags, size }, key) => {
+      if (memory.length >= limit) return;
+      if (tag ? !tags.includes(tag) : !key.startsWith(prefix)) return;
+      const expiresAt = this.memoryCache.getTtl(key);
+      memory.push({
+        key,
+        ttl: expiresAt ? Math.max(0, Math.round((expiresAt - Date.now()) / 1000)) : -1,
+        size,
+        tags
+      });
+    });
+
+    return {
+      redis: await redisClient.inspect(redisKeys),
+      memory
+    };
+  }
+
+  async purgeKeys(keys) {
+    if (keys.length === 0) return 0;
+    this.memoryCache.del(keys);
+    const removed = await redisClient.unlink(keys);
+    await this.broadcastInvalidation({ keys });
+    logger.info(`Cache purged ${keys.length} keys`);
+    return removed;
+  }
+
+  // Purges every cached response whose path starts with the given route, e.g. /api/products
+  async purgeRoute(route) {
+    const prefix = `api:GET:${route}`;
+    const removed = await this.unlinkMatching(`${prefix}*`);
+
+    this.evictMemoryPattern(prefix);
+    await this.broadcastInvalidation({ pattern: prefix });
+    logger.info(`Cache purged for route: ${route}`);
+    return removed;
+  }
+
+  // Removes cached responses, tag indexes and locks only; unlike FLUSHALL this leaves
+  // rate limiting and any other data sharing the Redis database untouched
+  async purgeAll() {
+    let removed = 0;
+    for (const prefix of ['api:', 'cache:']) {
+      removed += await this.unlinkMatching(`${prefix}*`);
+    }
+
+    this.memoryCache.flushAll();
+    await this.broadcastInvalidation({ pattern: 'api:' });
+    logger.warn(`Cache purged entirely (${removed} Redis keys)`);
+    return removed;
   }
 
   getStats() {
     const memoryStats = this.memoryCache.getStats();
+    const redisStats = { hits: 0, misses: 0 };
+    this.routeStats.forEach(({ redis }) => {
+      redisStats.hits += redis.hits;
+      redisStats.misses += redis.misses;
+    });
     return {
       memory: {
         keys: memoryStats.keys,
         hits: memoryStats.hits,
         misses: memoryStats.misses,
         hitRate: memoryStats.hits / (memoryStats.hits + memoryStats.misses) || 0
+      },
+      redis: {
+        hits: redisStats.hits,
+        misses: redisStats.misses,
+        hitRate: redisStats.hits / (redisStats.hits + redisStats.misses) || 0
+      },
+      invalidations: {
+        channel: INVALIDATION_CHANNEL,
+        published: this.invalidationStats.published,
+        received: this.invalidationStats.received
+      },
+      degraded: redisClient.isDegraded(),
+      pendingInvalidations: this.pendingPurgeAll ? 'ALL' : this.pendingInvalidations.size,
+      refresh: {
+        inflight: this.inflight.size,
+        staleServed: this.refreshStats.stale,
+        coalesced: this.refreshStats.coalesced
       }
     };
   }
 }
 
-module.exports = new CacheManager();
\ No newline at end of file
+module.exports = new CacheManager();
@@ -29,6 +29,9 @@ const errorHandler = (err, req, res, next) => {
   } else if (err.code === '23503') { // PostgreSQL foreign key violation
     status = 400;
     message = 'Invalid reference';
+  } else if (err.code === '40001' || err.code === '40P01') { // Serialization failure / deadlock, retries exhausted
+    status = 503;
+    message = 'Service busy, please retry';
   }
 
   // Don't expose internal errors in production
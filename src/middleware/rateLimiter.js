@@ -0,0 +1,189 @@
+const rateLimit = require('express-rate-limit');
+const redisClient = require('../config/redis');
+const { loadRateLimitConfig } = require('../config/rateLimits');
+const tokens = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+// Sliding window counter: hits in the current fixed window plus the previous
+// window's hits weighted by how much of it still overlaps the sliding window
+const SLIDING_WINDOW_SCRIPT = `
+  local count = redis.call('INCR', KEYS[1])
+  if count == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1] * 2)
+  end
+  local previous = tonumber(redis.call('GET', KEYS[2]) or '0')
+  return count + math.floor(previous * (ARGV[1] - ARGV[2]) / ARGV[1])
+`;
+
+// Takes back one hit from a window that is still counting. A window whose key
+// has expired is left alone: DECR would recreate it at -1 with no expiry.
+const DECREMENT_SCRIPT = `
+  local count = tonumber(redis.call('GET', KEYS[1]) or '0')
+  if count > 0 then
+    return redis.call('DECR', KEYS[1])
+  end
+  return 0
+`;
+
+// express-rate-limit store shared by every worker and replica through Redis.
+// In degraded mode it counts locally, so limits become per worker until Redis returns.
+class RedisSlidingWindowStore {
+  constructor(policyName) {
+    this.prefix = `ratelimit:${policyName}:`;
+    this.localKeys = false;
+    this.localCounts = new Map();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  window(now = Date.now()) {
+    const index = Math.floor(now / this.windowMs);
+    return {
+      index,
+      elapsed: now - index * this.windowMs,
+      resetTime: new Date((index + 1) * this.windowMs)
+    };
+  }
+
+  // Both windows share a hash tag so the script stays on one Redis Cluster slot
+  windowKey(key, index) {
+    return `${redisClient.hashTag(this.prefix, key)}:${index}`;
+  }
+
+  async increment(key) {
+    const { index, elapsed, resetTime } = this.window();
+
+    if (!redisClient.isDegraded()) {
+      const totalHits = await redisClient.evalScript(SLIDING_WINDOW_SCRIPT,
+        [this.windowKey(key, index), this.windowKey(key, index - 1)],
+        [this.windowMs, elapsed]);
+      if (totalHits !== null) {
+        return { totalHits, resetTime };
+      }
+    }
+
+    return { totalHits: this.incrementLocal(key, index, elapsed), resetTime };
+  }
+
+  incrementLocal(key, index, elapsed) {
+    let counts = this.localCounts.get(key);
+    if (!counts || counts.index < index - 1) {
+      counts = { index, current: 0, previous: 0 };
+    } else if (counts.index === index - 1) {
+      counts = { index, current: 0, previous: counts.current };
+    }
+    counts.current++;
+    this.localCounts.set(key, counts);
+
+    // Keep the fallback map from growing without bound
+    if (this.localCounts.size > 10000) {
+      for (const [localKey, localCount] of this.localCounts) {
+        if (localCount.index < index - 1) this.localCounts.delete(localKey);
+      }
+    }
+
+    return counts.current + Math.floor(counts.previous * (this.windowMs - elapsed) / this.windowMs);
+  }
+
+  async decrement(key) {
+    const { index } = this.window();
+    const counts = this.localCounts.get(key);
+    if (counts && counts.index === index && counts.current > 0) {
+      counts.current--;
+    }
+    if (!redisClient.isDegraded()) {
+      await redisClient.evalScript(DECREMENT_SCRIPT, [this.windowKey(key, index)], []);
+    }
+  }
+
+  async resetKey(key) {
+    const { index } = this.window();
+    this.localCounts.delete(key);
+    await redisClient.unlink([this.windowKey(key, index), this.windowKey(key, index - 1)]);
+  }
+}
+
+// Who is calling: the authenticated user when the request carries a valid token,
+// otherwise the client IP. A request with an invalid API key is always the IP,
+// whatever else it carries. Resolved once per request and shared by all policies.
+const identifyClient = (req) => {
+  if (req.rateLimitClient) return req.rateLimitClient;
+
+  let client = { key: `ip:${req.ip}`, tier: 'anonymous' };
+  if (req.principal) {
+    client = {
+      key: `${req.principal.type}:${req.principal.id}`,
+      tier: req.principal.tier || 'authenticated',
+      limit: req.principal.rateLimit || null
+    };
+  } else if (!req.invalidApiKey) {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+      try {
+        const decoded = tokens.verify(token);
+        client = { key: `user:${decoded.id}`, tier: decoded.tier || 'authenticated' };
+      } catch (error) {
+        // Invalid tokens are rejected later by auth; until then they count as the IP
+      }
+    }
+  }
+
+  req.rateLimitClient = client;
+  return client;
+};
+
+const compilePath = (path) => {
+  const escaped = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\/:[^/]+/g, '/[^/]+')}/?$`);
+};
+
+const createPolicyLimiter = (policy, tiers) => {
+  const pathPattern = policy.path ? compilePath(policy.path) : null;
+  const method = policy.method ? policy.method.toUpperCase() : null;
+
+  return rateLimit({
+    windowMs: policy.windowMs,
+    limit: (req) => {
+      const { tier, limit } = identifyClient(req);
+      // Per-key limits (API keys) replace the global policy's limit
+      if (limit && policy.name === 'global') {
+        return limit;
+      }
+      if (policy.limits && policy.limits[tier] !== undefined) {
+        return policy.limits[tier];
+      }
+      if (policy.scaleByTier === false) {
+        return policy.limit;
+      }
+      const multiplier = (tiers[tier] || tiers.authenticated || { multiplier: 1 }).multiplier;
+      return Math.max(1, Math.floor(policy.limit * multiplier));
+    },
+    keyGenerator: (req) => identifyClient(req).key,
+    store: new RedisSlidingWindowStore(policy.name),
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => req.path.startsWith('/health') ||
+      (method !== null && req.method !== method) ||
+      (pathPattern !== null && !pathPattern.test(req.path)),
+    handler: (req, res, next, options) => {
+      logger.warn(`Rate limit "${policy.name}" exceeded by ${identifyClient(req).key}: ${req.method} ${req.originalUrl}`);
+      res.status(options.statusCode).json({
+        error: 'Too many requests, please try again later',
+        policy: policy.name
+      });
+    }
+  });
+};
+
+// One limiter per policy; the global policy runs first so the stricter route
+// policies that follow set the RateLimit-* headers the client sees
+const createRateLimiters = () => {
+  const { tiers, policies } = loadRateLimitConfig();
+  return policies.map(policy => createPolicyLimiter(policy, tiers));
+};
+
+module.exports = createRateLimiters;
+module.exports.identifyClient = identifyClient;
+module.exports.RedisSlidingWindowStore = RedisSlidingWindowStore;
@@ -0,0 +1,49 @@
+const { ROLES, PERMISSIONS, hasRole, hasPermission } = require('../config/roles');
+const logger = require('../utils/logger');
+
+const deny = (req, res, required) => {
+  logger.warn(`Access denied for user ${req.user ? req.user.id : 'anonymous'} (needs ${required}): ${req.method} ${req.originalUrl}`);
+  res.status(403).json({ error: 'Insufficient permissions', required });
+};
+
+// API keys carry scopes, users carry roles; authenticated users without a
+// roles claim are customers
+const allowed = (req, permission) => {
+  if (req.principal && req.principal.type === 'apikey') {
+    return req.principal.scopes.includes(permission);
+  }
+  return hasPermission(req.user.roles || ['customer'], permission);
+};
+
+// Must run after auth; roles come from the access token. API keys have no
+// roles, so role-guarded routes are for people only.
+const requireRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}"`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user.roles, role)) {
+      return deny(req, res, role);
+    }
+    next();
+  };
+};
+
+const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission "${permission}"`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user || !allowed(req, permission)) {
+      return deny(req, res, permission);
+    }
+    next();
+  };
+};
+
+module.exports = {
+  requireRole,
+  requirePermission
+};
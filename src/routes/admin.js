@@ -0,0 +1,529 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const dbPool = require('../config/database');
+const { ROLES, SCOPES } = require('../config/roles');
+const { loadRateLimitConfig } = require('../config/rateLimits');
+const apiKeys = require('../utils/apiKeys');
+const loginGuard = require('../utils/loginGuard');
+const auditLog = require('../utils/auditLog');
+const twoFactor = require('../utils/twoFactor');
+const tokens = require('../utils/tokens');
+const cache = require('../middleware/cache');
+const queryStats = require('../utils/queryStats');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_WARM_URLS = 100;
+
+// List cached keys by prefix or tag, with TTL and size
+router.get('/cache/keys', [
+  query('prefix').optional().isString().isLength({ max: 200 }),
+  query('tag').optional().isString().isLength({ max: 200 }),
+  query('limit').optional().isInt({ min: 1, max: 1000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const keys = await cache.listKeys({
+      prefix: req.query.prefix || 'api:',
+      tag: req.query.tag || null,
+      limit: parseInt(req.query.limit) || 100
+    });
+
+    res.json(keys);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Hit/miss ratios overall and per route, for the memory and Redis tiers
+router.get('/cache/stats', (req, res) => {
+  res.json({
+    ...cache.getStats(),
+    routes: cache.getRouteStats()
+  });
+});
+
+// Purge by exact key, tag, route prefix, or everything the cache owns
+router.post('/cache/purge', [
+  body('keys').optional().isArray({ min: 1, max: 1000 }),
+  body('keys.*').isString(),
+  body('tags').optional().isArray({ min: 1, max: 100 }),
+  body('tags.*').isString(),
+  body('route').optional().isString().matches(/^\/api\//),
+  body('all').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { keys, tags, route, all } = req.body;
+    if (!keys && !tags && !route && !all) {
+      return res.status(400).json({ error: 'One of keys, tags, route or all is required' });
+    }
+
+    const result = {};
+    if (all) {
+      result.all = await cache.purgeAll();
+    } else {
+      if (keys) {
+        result.keys = await cache.purgeKeys(keys);
+      }
+      if (tags) {
+        await cache.invalidateTags(tags);
+        result.tags = tags;
+      }
+      if (route) {
+        result.route = await cache.purgeRoute(route);
+      }
+    }
+
+    logger.info(`Cache purge by admin ${req.user.id}: ${JSON.stringify(req.body)}`);
+    res.json({ message: 'Cache purged', purged: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Warm the cache by replaying GET requests against this worker
+router.post('/cache/warm', [
+  body('urls').isArray({ min: 1, max: MAX_WARM_URLS }),
+  body('urls.*').isString().matches(/^\/api\/(?!admin)/)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const origin = `http://127.0.0.1:${req.socket.localPort}`;
+    // no-cache makes the route recompute and store a fresh entry
+    const replay = async (url, headers = {}) => {
+      const response = await fetch(`${origin}${url}`, { headers: { 'Cache-Control': 'no-cache', ...headers } });
+      await response.arrayBuffer();
+      return response;
+    };
+
+    const results = [];
+    for (const url of req.body.urls) {
+      try {
+        // Anonymous first, so public routes fill the entry everyone shares. Only
+        // routes that need authentication get the admin's token, and of those
+        // only shared ones are worth it: a per-user entry would be the admin's.
+        let response = await replay(url);
+        if (response.status === 401) {
+          response = await replay(url, { Authorization: req.get('Authorization') });
+          if (/\bauthorization\b/i.test(response.headers.get('vary') || '')) {
+            results.push({ url, status: response.status, skipped: 'cached per user' });
+            continue;
+          }
+        }
+        results.push({ url, status: response.status, cache: response.headers.get('x-cache') });
+      } catch (error) {
+        results.push({ url, error: error.message });
+      }
+    }
+
+    res.json({
+      warmed: results.filter(result => !result.skipped && result.status >= 200 && result.status < 300).length,
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Plan tier for rate limiting; it applies from the user's next token refresh
+router.put('/users/:id/tier', [
+  param('id').isInt({ min: 1 }),
+  body('tier').isIn(Object.keys(loadRateLimitConfig().tiers).filter(tier => tier !== 'anonymous'))
+], cache.invalidate((req) => ['users', `user:${req.params.id}`]), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await dbPool.query(
+      'UPDATE users SET tier = $2, updated_at = NOW() WHERE id = $1 RETURNING id, email, tier',
+      [req.params.id, req.body.tier]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    logger.info(`Tier of user ${req.params.id} set to ${req.body.tier} by admin ${req.user.id}`);
+    res.json({ message: 'Tier updated', user: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Per-statement query latency for this worker, with captured plans for slow reads
+router.get('/db/queries', [
+  query('sort').optional().isIn(['totalMs', 'meanMs', 'p95Ms', 'maxMs', 'calls', 'errors', 'rows']),
+  query('limit').optional().isInt({ min: 1, max: 1000 })
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  res.json(queryStats.getStatements({
+    sort: req.query.sort || 'totalMs',
+    limit: parseInt(req.query.limit) || 50
+  }));
+});
+
+router.post('/db/queries/reset', (req, res) => {
+  queryStats.reset();
+  logger.info(`Query stats reset by admin ${req.user.id}`);
+  res.json({ message: 'Query stats reset' });
+});
+
+const validateRoleTarget = [
+  param('id').isInt({ min: 1 }),
+  body('role').optional().isIn(ROLES),
+  param('role').optional().isIn(ROLES)
+];
+
+// Granted roles take effect when the user's access token is next refreshed;
+// revoking a role ends the user's sessions so it can't outlive the change
+router.get('/users/:id/roles', validateRoleTarget, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await dbPool.query('SELECT id, email, roles FROM users WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const invalidateUser = cache.invalidate((req) => ['users', `user:${req.params.id}`]);
+
+router.post('/users/:id/roles', [...validateRoleTarget, body('role').exists()], invalidateUser, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await dbPool.query(`
+      UPDATE users
+      SET roles = CASE WHEN $2 = ANY(roles) THEN roles ELSE array_append(roles, $2) END, updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, email, roles
+    `, [req.params.id, req.body.role]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await auditLog.record('role.grant', {
+      userId: result.rows[0].id,
+      actorId: req.user.id,
+      email: result.rows[0].email,
+      ip: req.ip,
+      details: { role: req.body.role, action: 'grant' }
+    });
+
+    logger.info(`Role ${req.body.role} granted to user ${req.params.id} by admin ${req.user.id}`);
+    res.json({ message: 'Role granted', user: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/users/:id/roles/:role', validateRoleTarget, invalidateUser, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Keeps at least the revoking admin able to manage roles
+    if (parseInt(req.params.id) === req.user.id && req.params.role === 'admin') {
+      return res.status(400).json({ error: 'Admins cannot revoke their own admin role' });
+    }
+
+    const result = await dbPool.query(`
+      UPDATE users SET roles = array_remove(roles, $2), updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, email, roles
+    `, [req.params.id, req.params.role]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const sessions = await tokens.revokeAllSessions(result.rows[0].id);
+    await auditLog.record('role.revoke', {
+      userId: result.rows[0].id,
+      actorId: req.user.id,
+      email: result.rows[0].email,
+      ip: req.ip,
+      details: { role: req.params.role, action: 'revoke', sessionsRevoked: sessions.size }
+    });
+
+    logger.info(`Role ${req.params.role} revoked from user ${req.params.id} by admin ${req.user.id}, ${sessions.size} sessions ended`);
+    res.json({ message: 'Role revoked', user: result.rows[0], sessionsRevoked: sessions.size });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Which roles need two-factor authentication
+router.get('/two-factor/roles', async (req, res, next) => {
+  try {
+    res.json({ roles: await twoFactor.policies() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/two-factor/roles/:role', [
+  param('role').isIn(ROLES),
+  body('required').isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const required = req.body.required === true || req.body.required === 'true';
+
+    // Admin includes every role, so requiring 2FA for any of them before the
+    // admin enrolled would withhold their own admin role from their next token
+    if (required) {
+      const result = await dbPool.query('SELECT two_factor_enabled_at FROM users WHERE id = $1', [req.user.id], { primary: true });
+      if (!result.rows[0] || !result.rows[0].two_factor_enabled_at) {
+        return res.status(400).json({ error: 'Enable two-factor authentication on your own account first' });
+      }
+    }
+
+    const roles = await twoFactor.setRoleRequired(req.params.role, required, { actorId: req.user.id });
+    logger.info(`Two-factor authentication ${required ? 'required' : 'optional'} for role ${req.params.role}, set by admin ${req.user.id}`);
+    res.json({ roles });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// For a user who lost their authenticator and recovery codes
+router.delete('/users/:id/2fa', [
+  param('id').isInt({ min: 1 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!(await twoFactor.disable(parseInt(req.params.id), { actorId: req.user.id }))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const validateLoginSubject = [
+  body('email').optional().isEmail().normalizeEmail(),
+  body('ip').optional().isIP(),
+  query('email').optional().isEmail().normalizeEmail(),
+  query('ip').optional().isIP()
+];
+
+// Failed login counters, cooldowns and lockouts for an account and/or an IP
+router.get('/login-locks', validateLoginSubject, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, ip } = req.query;
+    if (!email && !ip) {
+      return res.status(400).json({ error: 'One of email or ip is required' });
+    }
+
+    const subjects = loginGuard.subjects(email, ip);
+    res.json({ subjects: await Promise.all(subjects.map(({ type, value }) => loginGuard.status(type, value))) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/login-locks/unlock', validateLoginSubject, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, ip } = req.body;
+    if (!email && !ip) {
+      return res.status(400).json({ error: 'One of email or ip is required' });
+    }
+
+    const user = email
+      ? (await dbPool.query('SELECT id FROM users WHERE email = $1', [email])).rows[0]
+      : null;
+    await loginGuard.unlock({ email, ip, userId: user ? user.id : null, actorId: req.user.id });
+
+    res.json({ message: 'Login attempts unlocked', email: email || null, ip: ip || null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Most recent audit events first
+router.get('/audit', [
+  query('event').optional().isString().isLength({ max: 50 }),
+  query('userId').optional().isInt({ min: 1 }),
+  query('email').optional().isEmail().normalizeEmail(),
+  query('limit').optional().isInt({ min: 1, max: 500 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const events = await auditLog.list({
+      event: req.query.event || null,
+      userId: req.query.userId ? parseInt(req.query.userId) : null,
+      email: req.query.email || null,
+      limit: parseInt(req.query.limit) || 50
+    });
+    res.json({ events });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// API keys for machine clients; the full key is only returned on create and rotate
+router.get('/api-keys', [
+  query('userId').optional().isInt({ min: 1 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const keys = await apiKeys.list({ userId: req.query.userId ? parseInt(req.query.userId) : null });
+    res.json({ apiKeys: keys });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api-keys', [
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(SCOPES),
+  body('userId').optional().isInt({ min: 1 }),
+  body('tier').optional().isIn(Object.keys(loadRateLimitConfig().tiers)),
+  body('rateLimit').optional().isInt({ min: 1 }),
+  body('expiresInDays').optional().isInt({ min: 1, max: 3650 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.body.userId || req.user.id;
+    const owner = await dbPool.query('SELECT id, email, roles, two_factor_enabled_at FROM users WHERE id = $1', [userId]);
+    if (owner.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // A key can't do more than its owner could
+    const scopes = [...new Set(req.body.scopes)];
+    const allowed = await apiKeys.ownerScopes(owner.rows[0]);
+    const denied = scopes.filter(scope => !allowed.includes(scope));
+    if (denied.length > 0) {
+      return res.status(400).json({ error: 'Scopes exceed what the owner may do', denied, allowed });
+    }
+
+    const apiKey = await apiKeys.create({
+      userId,
+      name: req.body.name,
+      scopes,
+      tier: req.body.tier,
+      rateLimit: req.body.rateLimit,
+      expiresInDays: req.body.expiresInDays,
+      createdBy: req.user.id
+    });
+
+    logger.info(`API key ${apiKey.prefix} created for user ${apiKey.user_id} by admin ${req.user.id}`);
+    res.status(201).json({ message: 'API key created; store it now, it is not shown again', apiKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api-keys/:id/rotate', [
+  param('id').isInt({ min: 1 }),
+  body('graceMinutes').optional().isInt({ min: 0, max: 10080 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const apiKey = await apiKeys.rotate(req.params.id, {
+      graceMinutes: parseInt(req.body.graceMinutes) || 0,
+      rotatedBy: req.user.id
+    });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+
+    logger.info(`API key ${req.params.id} rotated to ${apiKey.prefix} by admin ${req.user.id}`);
+    res.json({ message: 'API key rotated; store it now, it is not shown again', apiKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/api-keys/:id', [
+  param('id').isInt({ min: 1 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!await apiKeys.revoke(req.params.id)) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+
+    logger.info(`API key ${req.params.id} revoked by admin ${req.user.id}`);
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,7 @@ const cache = require('../middleware/cache');
 const router = express.Router();
 
 // Get performance metrics
-router.get('/performance', cache.cache(60), async (req, res, next) => {
+router.get('/performance', cache.cache(60, true, { hardTtl: 120, shared: true }), async (req, res, next) => {
   try {
     const dbStats = await dbPool.getStats();
     const cacheStats = cache.getStats();
@@ -52,7 +52,7 @@ router.get('/performance', cache.cache(60), async (req, res, next) => {
 });
 
 // Get business analytics
-router.get('/business', cache.cache(300), async (req, res, next) => {
+router.get('/business', cache.cache(300, true, { hardTtl: 900, shared: true }), async (req, res, next) => {
   try {
     const period = req.query.period || '7d';
     let interval;
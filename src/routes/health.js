@@ -25,13 +25,11 @@ router.get('/', async (req, res) => {
     health.status = 'ERROR';
   }
 
-  try {
-    // Check Redis
-    await redisClient.ping();
-    health.services.redis = { status: 'OK' };
-  } catch (error) {
-    health.services.redis = { status: 'ERROR', error: error.message };
-    health.status = 'ERROR';
+  // Check Redis; the API keeps serving without it, so it can only degrade us
+  const redisHealth = await redisClient.getHealth();
+  health.services.redis = { status: redisHealth.status };
+  if (redisHealth.status !== 'OK' && health.status === 'OK') {
+    health.status = 'DEGRADED';
   }
 
   // Memory usage
@@ -47,7 +45,7 @@ router.get('/', async (req, res) => {
 
   health.responseTime = Date.now() - startTime;
 
-  const statusCode = health.status === 'OK' ? 200 : 503;
+  const statusCode = health.status === 'ERROR' ? 503 : 200;
   res.status(statusCode).json(health);
 });
 
@@ -89,17 +87,10 @@ router.get('/detailed', async (req, res) => {
     health.status = 'ERROR';
   }
 
-  try {
-    // Redis detailed check
-    const redisPong = await redisClient.ping();
-    health.services.redis = {
-      status: 'OK',
-      ping: redisPong,
-      connected: true
-    };
-  } catch (error) {
-    health.services.redis = { status: 'ERROR', error: error.message };
-    health.status = 'ERROR';
+  // Redis detailed check, including the circuit breaker state
+  health.services.redis = await redisClient.getHealth();
+  if (health.services.redis.status !== 'OK' && health.status === 'OK') {
+    health.status = 'DEGRADED';
   }
 
   // Detailed memory and CPU info
@@ -120,20 +111,20 @@ router.get('/detailed', async (req, res) => {
 
   health.responseTime = Date.now() - startTime;
 
-  const statusCode = health.status === 'OK' ? 200 : 503;
+  const statusCode = health.status === 'ERROR' ? 503 : 200;
   res.status(statusCode).json(health);
 });
 
 // Readiness probe
 router.get('/ready', async (req, res) => {
   try {
-    // Check if all critical services are ready
-    await Promise.all([
-      dbPool.query('SELECT 1'),
-      redisClient.ping()
-    ]);
+    // Only the database is critical; without Redis we serve in degraded mode
+    await dbPool.query('SELECT 1');
     
-    res.status(200).json({ status: 'READY' });
+    res.status(200).json({
+      status: 'READY',
+      ...(redisClient.isDegraded() && { degraded: ['redis'] })
+    });
   } catch (error) {
     res.status(503).json({ status: 'NOT_READY', error: error.message });
   }
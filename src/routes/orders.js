@@ -2,17 +2,31 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const dbPool = require('../config/database');
 const cache = require('../middleware/cache');
+const { requirePermission } = require('../middleware/rbac');
+const requireVerifiedEmail = require('../middleware/verifiedEmail');
+const serializer = require('../utils/serializer');
+const pagination = require('../utils/pagination');
 
 const router = express.Router();
 
+// Cache tags for the authenticated user's orders
+const userOrderTags = (req) => [`orders:user:${req.user.id}`];
+
+// Placing an order changes the user's orders and the stock of every product in it
+const orderCreatedTags = (req) => [
+  ...userOrderTags(req),
+  'products',
+  ...req.body.items.map(item => `product:${item.product_id}`)
+];
+
 // Create order
-router.post('/', [
+router.post('/', requirePermission('orders:write'), requireVerifiedEmail, [
   body('items').isArray({ min: 1 }),
   body('items.*.product_id').isInt({ min: 1 }),
   body('items.*.quantity').isInt({ min: 1 }),
   body('shipping_address').isObject(),
   body('payment_method').isIn(['credit_card', 'paypal', 'bank_transfer'])
-], async (req, res, next) => {
+], cache.invalidate(orderCreatedTags), async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -28,7 +42,7 @@ router.post('/', [
       const orderResult = await client.query(`
         INSERT INTO orders (user_id, status, shipping_address, payment_method, created_at)
         VALUES ($1, 'pending', $2, $3, NOW())
-        RETURNING id, status, created_at
+        RETURNING id, user_id, status, payment_method, created_at
       `, [user_id, JSON.stringify(shipping_address), payment_method]);
 
       const order = orderResult.rows[0];
@@ -78,13 +92,9 @@ router.post('/', [
       return { ...order, total_amount: totalAmount };
     });
 
-    // Invalidate relevant caches
-    await cache.invalidatePattern('orders');
-    await cache.invalidatePattern('products');
-
     res.status(201).json({
       message: 'Order created successfully',
-      order: result
+      order: serializer.serialize(req, 'order', result)
     });
   } catch (error) {
     next(error);
@@ -92,38 +102,37 @@ router.post('/', [
 });
 
 // Get user orders
-router.get('/', cache.cache(60), async (req, res, next) => {
+router.get('/', requirePermission('orders:read'), [...pagination.validators(), serializer.fieldsQuery('order')], cache.cache(60, true, { tags: userOrderTags, vary: ['user'] }), async (req, res, next) => {
   try {
-    const user_id = req.user.id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
-    const offset = (page - 1) * limit;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const result = await dbPool.query(`
-      SELECT o.id, o.status, o.total_amount, o.payment_method, o.created_at, o.updated_at,
-             COUNT(oi.id) as item_count
-      FROM orders o
-      LEFT JOIN order_items oi ON o.id = oi.order_id
-      WHERE o.user_id = $1
-      GROUP BY o.id, o.status, o.total_amount, o.payment_method, o.created_at, o.updated_at
-      ORDER BY o.created_at DESC
-      LIMIT $2 OFFSET $3
-    `, [user_id, limit, offset]);
-
-    const countResult = await dbPool.query(
-      'SELECT COUNT(*) FROM orders WHERE user_id = $1',
-      [user_id]
-    );
-    const total = parseInt(countResult.rows[0].count);
+    const user_id = req.user.id;
+    const paging = pagination.parse(req, { defaultLimit: 10, maxLimit: 50 });
+    const params = [user_id];
+    const keyset = pagination.keyset(paging, params, { createdAt: 'o.created_at', id: 'o.id' });
+
+    const [result, countResult] = await Promise.all([
+      dbPool.query(`
+        SELECT o.id, o.user_id, o.status, o.total_amount, o.payment_method, o.created_at, o.updated_at,
+               COUNT(oi.id) as item_count, ${pagination.cursorColumn('o.created_at')}
+        FROM orders o
+        LEFT JOIN order_items oi ON o.id = oi.order_id
+        WHERE o.user_id = $1${keyset.condition ? ` AND ${keyset.condition}` : ''}
+        GROUP BY o.id
+        ORDER BY ${keyset.orderBy}
+        ${keyset.limit}
+      `, params),
+      paging.includeTotal ? dbPool.query('SELECT COUNT(*) FROM orders WHERE user_id = $1', [user_id]) : null
+    ]);
+    const total = countResult ? parseInt(countResult.rows[0].count) : undefined;
+    const page = pagination.page(req, paging, result.rows, total);
 
     res.json({
-      orders: result.rows,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      orders: serializer.serialize(req, 'order', page.rows),
+      pagination: page.pagination
     });
   } catch (error) {
     next(error);
@@ -131,13 +140,19 @@ router.get('/', cache.cache(60), async (req, res, next) => {
 });
 
 // Get order details
-router.get('/:id', cache.cache(60), async (req, res, next) => {
+router.get('/:id', requirePermission('orders:read'), [serializer.fieldsQuery('order')], cache.cache(60, true, { tags: userOrderTags, vary: ['user'] }), async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
     const user_id = req.user.id;
 
     const orderResult = await dbPool.query(`
-      SELECT o.*, 
+      SELECT o.id, o.user_id, o.status, o.total_amount, o.payment_method, o.shipping_address,
+             o.created_at, o.updated_at,
              json_agg(
                json_build_object(
                  'product_id', oi.product_id,
@@ -158,7 +173,7 @@ router.get('/:id', cache.cache(60), async (req, res, next) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    res.json({ order: orderResult.rows[0] });
+    res.json({ order: serializer.serialize(req, 'order', orderResult.rows[0]) });
   } catch (error) {
     next(error);
   }
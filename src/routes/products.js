@@ -1,7 +1,12 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const dbPool = require('../config/database');
+const auth = require('../middleware/auth');
 const cache = require('../middleware/cache');
+const { requirePermission } = require('../middleware/rbac');
+const serializer = require('../utils/serializer');
+const productSearch = require('../utils/productSearch');
+const pagination = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -11,29 +16,43 @@ const validateProduct = [
   body('description').optional().isLength({ max: 1000 }),
   body('price').isFloat({ min: 0 }),
   body('category_id').isInt({ min: 1 }),
-  body('stock_quantity').isInt({ min: 0 })
+  body('stock_quantity').isInt({ min: 0 }),
+  body('search_language').optional().isIn(productSearch.languages)
 ];
 
 const validateQuery = [
+  ...pagination.validators({ maxLimit: 100 }),
+  query('category').optional().isInt({ min: 1 }),
+  query('min_price').optional().isFloat({ min: 0 }),
+  query('max_price').optional().isFloat({ min: 0 }),
+  query('search').optional().isLength({ max: 100 }),
+  serializer.fieldsQuery('product')
+];
+
+const validateSearch = [
+  query('q').isString().trim().isLength({ min: 1, max: 100 })
+    .matches(/[\p{L}\p{N}]/u).withMessage('Must contain a letter or digit'),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('category').optional().isInt({ min: 1 }),
   query('min_price').optional().isFloat({ min: 0 }),
   query('max_price').optional().isFloat({ min: 0 }),
-  query('search').optional().isLength({ max: 100 })
+  query('lang').optional().isIn(productSearch.languages),
+  serializer.fieldsQuery('product')
 ];
 
+// Cache tags for a single product; list responses are tagged 'products'
+const productTags = (req) => ['products', `product:${req.params.id}`];
+
 // Get products with advanced filtering and caching
-router.get('/', validateQuery, cache.cache(180), async (req, res, next) => {
+router.get('/', validateQuery, cache.cache(180, true, { tags: ['products'], hardTtl: 360 }), async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
-    const offset = (page - 1) * limit;
+    const paging = pagination.parse(req, { defaultLimit: 20, maxLimit: 100 });
     
     let whereClause = 'WHERE p.active = true';
     const params = [];
@@ -60,38 +79,83 @@ router.get('/', validateQuery, cache.cache(180), async (req, res, next) => {
       params.push(`%${req.query.search}%`);
     }
 
+    // Counting is opt-in with cursors (include_total), so copy the filters first
+    const filterParams = params.slice();
+    const keyset = pagination.keyset(paging, params, { createdAt: 'p.created_at', id: 'p.id' });
+
     // Main query
     const query = `
       SELECT p.id, p.name, p.description, p.price, p.stock_quantity, 
-             p.created_at, p.updated_at, c.name as category_name
+             p.created_at, p.updated_at, c.name as category_name,
+             ${pagination.cursorColumn('p.created_at')}
       FROM products p
       JOIN categories c ON p.category_id = c.id
-      ${whereClause}
-      ORDER BY p.created_at DESC
-      LIMIT $${++paramCount} OFFSET $${++paramCount}
+      ${whereClause}${keyset.condition ? ` AND ${keyset.condition}` : ''}
+      ORDER BY ${keyset.orderBy}
+      ${keyset.limit}
     `;
     
-    params.push(limit, offset);
-    const result = await dbPool.query(query, params);
-
-    // Count query for pagination
     const countQuery = `
       SELECT COUNT(*) FROM products p 
       JOIN categories c ON p.category_id = c.id
       ${whereClause}
     `;
-    const countResult = await dbPool.query(countQuery, params.slice(0, -2));
-    const total = parseInt(countResult.rows[0].count);
+    const [result, countResult] = await Promise.all([
+      dbPool.query(query, params),
+      paging.includeTotal ? dbPool.query(countQuery, filterParams) : null
+    ]);
+    const total = countResult ? parseInt(countResult.rows[0].count) : undefined;
+    const page = pagination.page(req, paging, result.rows, total);
+
+    res.json({
+      products: serializer.serialize(req, 'product', page.rows),
+      pagination: page.pagination,
+      filters: req.query
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Full-text search, ranked by relevance, with highlighted snippets and facet
+// counts by category and price bucket
+router.get('/search', validateSearch, cache.cache(120, true, { tags: ['products'], hardTtl: 240 }), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filters = {
+      category: req.query.category,
+      minPrice: req.query.min_price,
+      maxPrice: req.query.max_price
+    };
+
+    const language = req.query.lang || productSearch.defaultLanguage;
+
+    const { hits, total, facets } = await productSearch.search(req.query.q, filters, { page, limit, language });
 
     res.json({
-      products: result.rows,
+      query: req.query.q,
+      language,
+      results: hits.map(hit => ({
+        ...serializer.serialize(req, 'product', hit),
+        rank: hit.rank,
+        highlight: {
+          name: hit.name_highlight,
+          description: hit.description_snippet || null
+        }
+      })),
+      facets,
       pagination: {
         page,
         limit,
         total,
         pages: Math.ceil(total / limit)
-      },
-      filters: req.query
+      }
     });
   } catch (error) {
     next(error);
@@ -99,12 +163,17 @@ router.get('/', validateQuery, cache.cache(180), async (req, res, next) => {
 });
 
 // Get product by ID
-router.get('/:id', cache.cache(300), async (req, res, next) => {
+router.get('/:id', [serializer.fieldsQuery('product')], cache.cache(300, true, { tags: productTags }), async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
     
     const result = await dbPool.query(`
-      SELECT p.id, p.name, p.description, p.price, p.stock_quantity, 
+      SELECT p.id, p.name, p.description, p.price, p.stock_quantity, p.search_language,
              p.created_at, p.updated_at, c.name as category_name, c.id as category_id
       FROM products p
       JOIN categories c ON p.category_id = c.id
@@ -115,34 +184,31 @@ router.get('/:id', cache.cache(300), async (req, res, next) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    res.json({ product: result.rows[0] });
+    res.json({ product: serializer.serialize(req, 'product', result.rows[0]) });
   } catch (error) {
     next(error);
   }
 });
 
 // Create product
-router.post('/', validateProduct, async (req, res, next) => {
+router.post('/', auth, requirePermission('products:write'), validateProduct, cache.invalidate(['products']), async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, price, category_id, stock_quantity } = req.body;
+    const { name, description, price, category_id, stock_quantity, search_language } = req.body;
     
     const result = await dbPool.query(`
-      INSERT INTO products (name, description, price, category_id, stock_quantity, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
-      RETURNING id, name, description, price, category_id, stock_quantity, created_at
-    `, [name, description || null, price, category_id, stock_quantity]);
-
-    // Invalidate cache
-    await cache.invalidatePattern('products');
+      INSERT INTO products (name, description, price, category_id, stock_quantity, search_language, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+      RETURNING id, name, description, price, category_id, stock_quantity, search_language, created_at
+    `, [name, description || null, price, category_id, stock_quantity, search_language || productSearch.defaultLanguage]);
 
     res.status(201).json({
       message: 'Product created successfully',
-      product: result.rows[0]
+      product: serializer.serialize(req, 'product', result.rows[0])
     });
   } catch (error) {
     next(error);
@@ -150,7 +216,7 @@ router.post('/', validateProduct, async (req, res, next) => {
 });
 
 // Update product
-router.put('/:id', validateProduct, async (req, res, next) => {
+router.put('/:id', auth, requirePermission('products:write'), validateProduct, cache.invalidate(productTags), async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -158,26 +224,24 @@ router.put('/:id', validateProduct, async (req, res, next) => {
     }
 
     const { id } = req.params;
-    const { name, description, price, category_id, stock_quantity } = req.body;
+    const { name, description, price, category_id, stock_quantity, search_language } = req.body;
     
+    // search_language is kept when the body leaves it out
     const result = await dbPool.query(`
       UPDATE products 
       SET name = $2, description = $3, price = $4, category_id = $5, 
-          stock_quantity = $6, updated_at = NOW()
+          stock_quantity = $6, search_language = COALESCE($7::regconfig, search_language), updated_at = NOW()
       WHERE id = $1 AND active = true
-      RETURNING id, name, description, price, category_id, stock_quantity, updated_at
-    `, [id, name, description || null, price, category_id, stock_quantity]);
+      RETURNING id, name, description, price, category_id, stock_quantity, search_language, updated_at
+    `, [id, name, description || null, price, category_id, stock_quantity, search_language || null]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    // Invalidate cache
-    await cache.invalidatePattern('products');
-
     res.json({
       message: 'Product updated successfully',
-      product: result.rows[0]
+      product: serializer.serialize(req, 'product', result.rows[0])
     });
   } catch (error) {
     next(error);
@@ -185,7 +249,7 @@ router.put('/:id', validateProduct, async (req, res, next) => {
 });
 
 // Delete product (soft delete)
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', auth, requirePermission('products:write'), cache.invalidate(productTags), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -198,9 +262,6 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    // Invalidate cache
-    await cache.invalidatePattern('products');
-
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
     next(error);
@@ -1,9 +1,17 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const dbPool = require('../config/database');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
 const cache = require('../middleware/cache');
+const tokens = require('../utils/tokens');
+const accountTokens = require('../utils/accountTokens');
+const loginGuard = require('../utils/loginGuard');
+const accounts = require('../utils/accounts');
+const twoFactor = require('../utils/twoFactor');
+const serializer = require('../utils/serializer');
+const pagination = require('../utils/pagination');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -20,6 +28,106 @@ const validateLogin = [
   body('password').notEmpty()
 ];
 
+const hashPassword = (password) => bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 10);
+
+// Recorded with each refresh token so sessions can be told apart
+const sessionMeta = (req) => ({ userAgent: req.get('User-Agent'), ip: req.ip });
+
+const sendLoginBlocked = (res, blocked) => {
+  const retryAfter = Math.ceil(blocked.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: blocked.reason === 'locked'
+      ? 'Too many failed login attempts, try again later'
+      : 'Too many failed login attempts, wait before retrying',
+    retryAfter
+  });
+};
+
+// Account changes need a signed-in user; an API key acts for its owner but
+// must not be able to change their credentials or delete them
+const requireUserSession = (req, res, next) => {
+  if (req.principal.type !== 'user') {
+    return res.status(403).json({ error: 'Requires a user session' });
+  }
+  next();
+};
+
+// Re-checks the current password before sensitive changes. Wrong guesses count
+// towards the same lockout as failed logins. Sends the error response and
+// resolves to false when the password doesn't match.
+const confirmPassword = async (req, res, user, password) => {
+  const blocked = await loginGuard.check(user.email, req.ip);
+  if (blocked) {
+    sendLoginBlocked(res, blocked);
+    return false;
+  }
+
+  if (!(await loginGuard.verifyPassword(user, password))) {
+    await loginGuard.recordFailure(user.email, req.ip, user.id);
+    res.status(401).json({ error: 'Current password is incorrect' });
+    return false;
+  }
+  return true;
+};
+
+// The roles the access token carries, which can differ from user.roles: the
+// 2FA policy withholds roles until enrollment
+const sessionRoles = (session) => tokens.verify(session.token).roles;
+
+// Issues the session once every login step has passed
+const completeLogin = async (req, res, user) => {
+  const session = await tokens.issue(user, sessionMeta(req));
+
+  // Update last login
+  await dbPool.query(
+    'UPDATE users SET last_login = NOW() WHERE id = $1',
+    [user.id]
+  );
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      roles: sessionRoles(session)
+    },
+    ...session
+  });
+
+  logger.info(`User logged in: ${user.email}`);
+};
+
+// A TOTP code or a recovery code, for the second login step and 2FA changes
+const validateSecondFactor = [
+  body('code').optional().isString().matches(/^\d{6}$/),
+  body('recoveryCode').optional().isString().isLength({ min: 10, max: 20 })
+];
+
+// Like confirmPassword, for the TOTP or recovery code in the body
+const confirmSecondFactor = async (req, res, user) => {
+  if (!req.body.code && !req.body.recoveryCode) {
+    res.status(400).json({ error: 'One of code or recoveryCode is required' });
+    return false;
+  }
+
+  const blocked = await loginGuard.check(user.email, req.ip);
+  if (blocked) {
+    sendLoginBlocked(res, blocked);
+    return false;
+  }
+
+  if (!(await twoFactor.verify(user, req.body))) {
+    await loginGuard.recordFailure(user.email, req.ip, user.id);
+    res.status(401).json({ error: 'Invalid two-factor code' });
+    return false;
+  }
+  return true;
+};
+
+const selfTags = (req) => ['users', `user:${req.user.id}`];
+
 // Register user
 router.post('/register', validateUser, async (req, res, next) => {
   try {
@@ -31,22 +139,18 @@ router.post('/register', validateUser, async (req, res, next) => {
     const { email, password, name } = req.body;
     
     // Hash password
-    const hashedPassword = await bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 10);
+    const hashedPassword = await hashPassword(password);
     
     // Insert user
     const result = await dbPool.query(
-      'INSERT INTO users (email, password, name, created_at) VALUES ($1, $2, $3, NOW()) RETURNING id, email, name, created_at',
+      'INSERT INTO users (email, password, name, created_at) VALUES ($1, $2, $3, NOW()) RETURNING id, email, name, roles, tier, created_at',
       [email, hashedPassword, name]
     );
 
     const user = result.rows[0];
     
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Access token plus refresh token for a new session
+    const session = await tokens.issue(user, sessionMeta(req));
 
     res.status(201).json({
       message: 'User created successfully',
@@ -54,12 +158,18 @@ router.post('/register', validateUser, async (req, res, next) => {
         id: user.id,
         email: user.email,
         name: user.name,
+        roles: sessionRoles(session),
         created_at: user.created_at
       },
-      token
+      ...session
     });
 
     logger.info(`User registered: ${user.email}`);
+
+    // After responding: a mail failure shouldn't fail the signup, the user can ask again
+    accountTokens.sendVerification(user).catch(error => {
+      logger.error(`Failed to send verification email to ${user.email}: ${error.message}`);
+    });
   } catch (error) {
     if (error.code === '23505') {
       return res.status(409).json({ error: 'Email already exists' });
@@ -77,90 +187,538 @@ router.post('/login', validateLogin, async (req, res, next) => {
     }
 
     const { email, password } = req.body;
-    
+
+    // Checked before the lookup so locked and unlocked attempts cost the same
+    const blocked = await loginGuard.check(email, req.ip);
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
     // Find user
     const result = await dbPool.query(
-      'SELECT id, email, name, password FROM users WHERE email = $1',
+      'SELECT id, email, name, password, roles, tier, two_factor_enabled_at FROM users WHERE email = $1',
       [email]
     );
+    const user = result.rows[0];
 
-    if (result.rows.length === 0) {
+    // Unknown emails still pay for a bcrypt comparison, so timing doesn't reveal them
+    const isValid = await loginGuard.verifyPassword(user, password);
+    if (!isValid) {
+      await loginGuard.recordFailure(email, req.ip, user ? user.id : null);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const user = result.rows[0];
-    
-    // Verify password
-    const isValid = await bcrypt.compare(password, user.password);
-    if (!isValid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // Failures are only cleared once the second factor passes too, or a known
+    // password would allow unlimited code guesses
+    if (user.two_factor_enabled_at) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        ...tokens.signChallenge(user)
+      });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
+    await loginGuard.recordSuccess(email, req.ip);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Second login step: the challenge token from /login plus a TOTP or recovery code
+router.post('/login/verify', [
+  body('challengeToken').isString().notEmpty(),
+  ...validateSecondFactor
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let challenge;
+    try {
+      challenge = tokens.verifyChallenge(req.body.challengeToken);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+    if (await tokens.isRevoked(challenge)) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    const result = await dbPool.query(
+      'SELECT id, email, name, roles, tier, two_factor_enabled_at FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [challenge.id],
+      { primary: true }
     );
+    const user = result.rows[0];
+    if (!user || !user.two_factor_enabled_at) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    if (!(await confirmSecondFactor(req, res, user))) {
+      return;
+    }
+
+    // Single use
+    await tokens.denyToken(challenge);
+    await loginGuard.recordSuccess(user.email, req.ip);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Exchange a refresh token for a new access/refresh pair (the old one is spent)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await tokens.rotate(req.body.refreshToken, sessionMeta(req));
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// End this session, or every session of the user with { "all": true }. An API
+// key has no session, and must not be able to end its owner's.
+router.post('/logout', auth, requireUserSession, [
+  body('all').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const all = req.body.all === true || req.body.all === 'true';
+    const sessions = await tokens.logout(req.user, { all });
 
-    // Update last login
-    await dbPool.query(
-      'UPDATE users SET last_login = NOW() WHERE id = $1',
-      [user.id]
+    logger.info(`User logged out: ${req.user.email}${all ? ' (all sessions)' : ''}`);
+    res.json({ message: 'Logged out', sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a new verification email to the signed-in user
+router.post('/verify-email/request', auth, async (req, res, next) => {
+  try {
+    const result = await dbPool.query(
+      'SELECT id, email, name, email_verified_at FROM users WHERE id = $1',
+      [req.user.id],
+      { primary: true }
     );
+    const user = result.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.email_verified_at) {
+      return res.status(409).json({ error: 'Email already verified' });
+    }
+
+    await accountTokens.sendVerification(user);
+    res.status(202).json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cached copies of the user may still show the old email or verification state
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], cache.invalidate((req, data) => ['users', `user:${data.user.id}`]), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await accountTokens.verifyEmail(req.body.token);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    logger.info(`Email verified: ${user.email}`);
+    res.json({ message: 'Email verified', user });
+  } catch (error) {
+    // A pending address someone else registered in the meantime
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Email already exists' });
+    }
+    next(error);
+  }
+});
+
+// Always 202, answered before the account is even looked up, so neither the
+// response nor its timing reveals whether an account exists
+router.post('/password-reset/request', [
+  body('email').isEmail().normalizeEmail()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  res.status(202).json({ message: 'If the account exists, a reset email has been sent' });
+
+  const { email } = req.body;
+  dbPool.query('SELECT id, email, name FROM users WHERE email = $1', [email])
+    .then(result => result.rows.length > 0 && accountTokens.sendPasswordReset(result.rows[0]))
+    .catch(error => {
+      logger.error(`Failed to send password reset email to ${email}: ${error.message}`);
+    });
+});
+
+router.post('/password-reset', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 8 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await accountTokens.resetPassword(req.body.token, await hashPassword(req.body.password));
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    res.json({ message: 'Password updated; sign in again' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The signed-in user's own profile
+router.get('/me', auth, [serializer.fieldsQuery('user')], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await accounts.profile(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: serializer.serialize(req, 'user', user) });
+  } catch (error) {
+    next(error);
+  }
+});
 
+// Changing the email needs the current password. The new address is pending
+// until it is verified with the token mailed to it; until then the account
+// keeps signing in, and being identified, with the current one.
+router.patch('/me', auth, requireUserSession, [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }),
+  body('email').optional().isEmail().normalizeEmail(),
+  body('currentPassword').if(body('email').exists()).isString().notEmpty()
+], cache.invalidate(selfTags), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, email, currentPassword } = req.body;
+    if (name === undefined && email === undefined) {
+      return res.status(400).json({ error: 'One of name or email is required' });
+    }
+
+    const current = await accounts.credentials(req.user.id);
+    if (!current) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const emailChanged = email !== undefined && email !== current.email;
+    if (emailChanged && !(await confirmPassword(req, res, current, currentPassword))) {
+      return;
+    }
+    if (emailChanged && await accounts.emailTaken(email, current.id)) {
+      return res.status(409).json({ error: 'Email already exists' });
+    }
+
+    const user = await accounts.update(req.user.id, { name, email: emailChanged ? email : null });
     res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name
-      },
-      token
+      message: emailChanged ? 'Profile updated; the new email address applies once verified' : 'Profile updated',
+      user: serializer.serialize(req, 'user', user)
     });
 
-    logger.info(`User logged in: ${user.email}`);
+    if (emailChanged) {
+      logger.info(`User ${user.id} asked to change email from ${current.email} to ${email}`);
+      accountTokens.sendEmailChange(user, email).catch(error => {
+        logger.error(`Failed to send email change confirmation to ${email}: ${error.message}`);
+      });
+    }
   } catch (error) {
     next(error);
   }
 });
 
-// Get users (with caching)
-router.get('/', cache.cache(300), async (req, res, next) => {
+// Keeps this session and signs out every other one
+router.post('/me/password', auth, requireUserSession, [
+  body('currentPassword').isString().notEmpty(),
+  body('newPassword').isLength({ min: 8 })
+], async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
-    const offset = (page - 1) * limit;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const result = await dbPool.query(
-      'SELECT id, email, name, created_at, last_login FROM users ORDER BY created_at DESC LIMIT $1 OFFSET $2',
-      [limit, offset]
-    );
+    const user = await accounts.credentials(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await confirmPassword(req, res, user, req.body.currentPassword))) {
+      return;
+    }
 
-    const countResult = await dbPool.query('SELECT COUNT(*) FROM users');
-    const total = parseInt(countResult.rows[0].count);
+    const sessions = await accounts.changePassword(user, await hashPassword(req.body.newPassword), {
+      sessionId: req.user.sid,
+      ip: req.ip
+    });
+    res.json({ message: 'Password changed', sessionsRevoked: sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Anonymizes the account; orders are kept without the shipping address
+router.delete('/me', auth, requireUserSession, [
+  body('password').isString().notEmpty()
+], cache.invalidate((req) => [...selfTags(req), `orders:user:${req.user.id}`]), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await accounts.credentials(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await confirmPassword(req, res, user, req.body.password))) {
+      return;
+    }
+
+    await accounts.delete(user.id);
+    await tokens.denyToken(req.user);
+
+    logger.info(`User ${user.id} deleted their account`);
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// JSON archive of everything stored about the user
+router.get('/me/export', auth, requireUserSession, async (req, res, next) => {
+  try {
+    const archive = await accounts.export(req.user.id);
+    if (!archive) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.set('Content-Disposition', `attachment; filename="account-${req.user.id}-export.json"`);
+    res.set('Cache-Control', 'no-store');
+    res.json(archive);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/me/2fa', auth, async (req, res, next) => {
+  try {
+    const [user, status] = await Promise.all([accounts.profile(req.user.id), twoFactor.status(req.user.id)]);
+    if (!user || !status) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Roles the user holds but won't get in tokens until they enroll
+    const { withheld } = await twoFactor.effectiveRoles(user);
+    res.json({ ...status, withheldRoles: withheld });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Step one of enrollment: a new secret to add to an authenticator app
+router.post('/me/2fa', auth, requireUserSession, [
+  body('password').isString().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await accounts.credentials(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await confirmPassword(req, res, user, req.body.password))) {
+      return;
+    }
+
+    const enrollment = await twoFactor.enroll(user);
+    if (!enrollment) {
+      return res.status(409).json({ error: 'Two-factor authentication already enabled' });
+    }
+
+    res.json({ message: 'Confirm with a code from your authenticator app', ...enrollment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Step two: a first code turns 2FA on. Every session is signed out, since
+// they were opened without a second factor, and a new one is returned.
+router.post('/me/2fa/confirm', auth, requireUserSession, [
+  body('code').isString().matches(/^\d{6}$/)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Code guesses count towards the login lockout, as at login
+    const blocked = await loginGuard.check(req.user.email, req.ip);
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
+    const recoveryCodes = await twoFactor.confirm(req.user, req.body.code);
+    if (!recoveryCodes) {
+      await loginGuard.recordFailure(req.user.email, req.ip, req.user.id);
+      return res.status(400).json({ error: 'Invalid code or no enrollment in progress' });
+    }
+
+    await tokens.revokeAllSessions(req.user.id);
+    await tokens.denyToken(req.user);
+    const user = await accounts.profile(req.user.id);
+    const session = await tokens.issue(user, sessionMeta(req));
+
+    res.json({
+      message: 'Two-factor authentication enabled; store the recovery codes somewhere safe',
+      recoveryCodes,
+      ...session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replaces every recovery code; the old ones stop working
+router.post('/me/2fa/recovery-codes', auth, requireUserSession, validateSecondFactor, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await accounts.credentials(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await confirmSecondFactor(req, res, user))) {
+      return;
+    }
+
+    res.json({ recoveryCodes: await twoFactor.regenerateRecoveryCodes(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Needs the password and a second factor. Roles that require 2FA are
+// withheld from the user's tokens again from their next refresh.
+router.delete('/me/2fa', auth, requireUserSession, [
+  body('password').isString().notEmpty(),
+  ...validateSecondFactor
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await accounts.credentials(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await confirmPassword(req, res, user, req.body.password)) || !(await confirmSecondFactor(req, res, user))) {
+      return;
+    }
+
+    await twoFactor.disable(user.id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get users (staff only, with caching). Cached per caller, since API keys
+// with users:read see fewer fields than staff.
+router.get('/', auth, requirePermission('users:read'), [...pagination.validators(), serializer.fieldsQuery('user')], cache.cache(300, true, { tags: ['users'], vary: ['user'] }), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const paging = pagination.parse(req, { defaultLimit: 10, maxLimit: 100 });
+    const params = [];
+    const keyset = pagination.keyset(paging, params, { createdAt: 'created_at', id: 'id' });
+
+    const [result, countResult] = await Promise.all([
+      dbPool.query(`
+        SELECT id, email, name, roles, created_at, last_login, ${pagination.cursorColumn('created_at')}
+        FROM users
+        WHERE deleted_at IS NULL${keyset.condition ? ` AND ${keyset.condition}` : ''}
+        ORDER BY ${keyset.orderBy}
+        ${keyset.limit}
+      `, params),
+      paging.includeTotal ? dbPool.query('SELECT COUNT(*) FROM users WHERE deleted_at IS NULL') : null
+    ]);
+    const total = countResult ? parseInt(countResult.rows[0].count) : undefined;
+    const page = pagination.page(req, paging, result.rows, total);
 
     res.json({
-      users: result.rows,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      users: serializer.serialize(req, 'user', page.rows),
+      pagination: page.pagination
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Get user by ID (with caching)
-router.get('/:id', cache.cache(300), async (req, res, next) => {
+// Get user by ID (staff only, with caching)
+router.get('/:id', auth, requirePermission('users:read'), [serializer.fieldsQuery('user')], cache.cache(300, true, { tags: (req) => [`user:${req.params.id}`], vary: ['user'] }), async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
     
     const result = await dbPool.query(
-      'SELECT id, email, name, created_at, last_login FROM users WHERE id = $1',
+      'SELECT id, email, name, roles, created_at, last_login FROM users WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
 
@@ -168,7 +726,7 @@ router.get('/:id', cache.cache(300), async (req, res, next) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user: result.rows[0] });
+    res.json({ user: serializer.serialize(req, 'user', result.rows[0]) });
   } catch (error) {
     next(error);
   }
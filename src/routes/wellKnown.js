@@ -0,0 +1,14 @@
+const express = require('express');
+const keyring = require('../utils/keyring');
+
+const router = express.Router();
+
+// Public keys for verifying our access tokens. Verifiers may cache it for a few
+// minutes, so keys are published (pending) for longer than that before they
+// start signing.
+router.get('/jwks.json', (req, res) => {
+  res.set('Cache-Control', `public, max-age=${keyring.jwksMaxAgeSeconds}`);
+  res.json(keyring.jwks());
+});
+
+module.exports = router;
@@ -2,15 +2,22 @@ const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 const expressWinston = require('express-winston');
 require('dotenv').config();
 
 const logger = require('./utils/logger');
+const Migrator = require('./utils/migrator');
 const dbPool = require('./config/database');
 const redisClient = require('./config/redis');
 const errorHandler = require('./middleware/errorHandler');
+const createRateLimiters = require('./middleware/rateLimiter');
 const auth = require('./middleware/auth');
+const apiKey = require('./middleware/apiKey');
+const { requireRole, requirePermission } = require('./middleware/rbac');
+const requestContext = require('./utils/requestContext');
+const keyring = require('./utils/keyring');
+const mailer = require('./utils/mailer');
+const twoFactor = require('./utils/twoFactor');
 
 // Route imports
 const userRoutes = require('./routes/users');
@@ -18,6 +25,8 @@ const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const analyticsRoutes = require('./routes/analytics');
 const healthRoutes = require('./routes/health');
+const adminRoutes = require('./routes/admin');
+const wellKnownRoutes = require('./routes/wellKnown');
 
 class HighPerformanceAPI {
   constructor() {
@@ -52,16 +61,14 @@ class HighPerformanceAPI {
       }
     }));
 
-    // Rate limiting
-    const limiter = rateLimit({
-      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
-      max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000,
-      message: { error: 'Too many requests, please try again later' },
-      standardHeaders: true,
-      legacyHeaders: false,
-      skip: (req) => req.path === '/health'
-    });
-    this.app.use(limiter);
+    // API keys resolve first, so they are rate limited per key
+    this.app.use(apiKey);
+
+    // Rate limiting, shared across workers through Redis (see config/rateLimits.js)
+    this.app.use(createRateLimiters());
+
+    // Invalid API keys are rejected only once they have counted against the IP
+    this.app.use(apiKey.rejectInvalid);
 
     // Body parsing with size limits
     this.app.use(express.json({ 
@@ -97,6 +104,10 @@ class HighPerformanceAPI {
       });
       next();
     });
+
+    // Request-scoped context; registered after body parsing, whose stream
+    // callbacks would otherwise lose it
+    this.app.use(requestContext.middleware());
   }
 
   initializeRoutes() {
@@ -104,8 +115,10 @@ class HighPerformanceAPI {
     this.app.use('/api/users', userRoutes);
     this.app.use('/api/products', productRoutes);
     this.app.use('/api/orders', auth, orderRoutes);
-    this.app.use('/api/analytics', analyticsRoutes);
+    this.app.use('/api/analytics', auth, requirePermission('analytics:read'), analyticsRoutes);
+    this.app.use('/api/admin', auth, requireRole('admin'), adminRoutes);
     this.app.use('/health', healthRoutes);
+    this.app.use('/.well-known', wellKnownRoutes);
 
     // API documentation
     this.app.get('/api', (req, res) => {
@@ -117,7 +130,9 @@ class HighPerformanceAPI {
           products: '/api/products', 
           orders: '/api/orders',
           analytics: '/api/analytics',
-          health: '/health'
+          admin: '/api/admin',
+          health: '/health',
+          jwks: '/.well-known/jwks.json'
         },
         documentation: 'https://api-docs.example.com'
       });
@@ -139,9 +154,26 @@ class HighPerformanceAPI {
       await dbPool.query('SELECT NOW()');
       logger.info('Database connected successfully');
 
-      // Test Redis connection
-      await redisClient.ping();
-      logger.info('Redis connected successfully');
+      // Every worker may try; the migrator's advisory lock lets only one apply them
+      if (process.env.MIGRATE_ON_START === 'true') {
+        await new Migrator().up();
+      }
+
+      // Fails startup on unreadable key files rather than on the first login
+      logger.info(`JWT signing key ${keyring.signingKey().kid}`);
+
+      // Likewise for mail settings, which would otherwise fail on the first email,
+      // and the 2FA key, on the first enrollment or second-factor login
+      logger.info(`Mail transport ${mailer.transportName()}`);
+      twoFactor.encryptionKey();
+
+      // Test Redis connection; without it we still serve traffic in degraded mode
+      try {
+        await redisClient.ping();
+        logger.info('Redis connected successfully');
+      } catch (error) {
+        logger.warn(`Redis unavailable, starting in degraded mode (memory cache only): ${error.message}`);
+      }
 
       const server = this.app.listen(this.port, () => {
         logger.info(`🚀 High Performance API server running on port ${this.port}`);
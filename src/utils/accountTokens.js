@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const dbPool = require('../config/database');
+const mailer = require('./mailer');
+const tokens = require('./tokens');
+const logger = require('./logger');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const TTL_MINUTES = {
+  verify_email: (parseInt(process.env.VERIFY_EMAIL_TTL_HOURS) || 24) * 60,
+  change_email: (parseInt(process.env.VERIFY_EMAIL_TTL_HOURS) || 24) * 60,
+  reset_password: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+};
+
+// Single-use, time-limited tokens mailed to the user for email verification and
+// password reset
+class AccountTokenService {
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // A new token retires the user's earlier unused ones for the same purpose.
+  // email is the address a change_email token confirms.
+  async issue(userId, purpose, email = null) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await dbPool.transaction(async (client) => {
+      await client.query(
+        'UPDATE account_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+        [userId, purpose]
+      );
+      await client.query(`
+        INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at, email)
+        VALUES ($1, $2, $3, NOW() + make_interval(mins => $4), $5)
+      `, [userId, purpose, this.hash(token), TTL_MINUTES[purpose], email]);
+    });
+
+    return token;
+  }
+
+  // Marks the token used and returns { user_id, purpose, email }, or null if it
+  // is unknown, expired or already used. The single UPDATE makes concurrent use
+  // impossible.
+  async consume(client, token, purposes) {
+    const result = await client.query(`
+      UPDATE account_tokens SET used_at = NOW()
+      WHERE token_hash = $1 AND purpose = ANY($2::text[]) AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id, purpose, email
+    `, [this.hash(token), [].concat(purposes)]);
+
+    return result.rows[0] || null;
+  }
+
+  async sendVerification(user) {
+    const token = await this.issue(user.id, 'verify_email');
+    await mailer.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.name},\n\n` +
+        `Confirm your email address by opening:\n${APP_URL}/verify-email?token=${token}\n\n` +
+        `or by sending this token to POST /api/users/verify-email:\n${token}\n\n` +
+        `The link expires in ${TTL_MINUTES.verify_email / 60} hours.`
+    });
+  }
+
+  // Sent to the new address; the account keeps its current one until then
+  async sendEmailChange(user, email) {
+    const token = await this.issue(user.id, 'change_email', email);
+    await mailer.send({
+      to: email,
+      subject: 'Confirm your new email address',
+      text: `Hi ${user.name},\n\n` +
+        `Confirm ${email} as the new address of your account by opening:\n${APP_URL}/verify-email?token=${token}\n\n` +
+        `or by sending this token to POST /api/users/verify-email:\n${token}\n\n` +
+        `Until then you keep signing in with ${user.email}. The link expires in ${TTL_MINUTES.change_email / 60} hours.`
+    });
+  }
+
+  async sendPasswordReset(user) {
+    const token = await this.issue(user.id, 'reset_password');
+    await mailer.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.name},\n\n` +
+        `Choose a new password by opening:\n${APP_URL}/reset-password?token=${token}\n\n` +
+        `or by sending this token with your new password to POST /api/users/password-reset:\n${token}\n\n` +
+        `The link expires in ${TTL_MINUTES.reset_password} minutes. If you didn't ask for this, ignore this email.`
+    });
+  }
+
+  // Verifies the address the token was mailed to: the current one, or a
+  // pending new one, which only now replaces the current one. Returns null for
+  // a bad token, or when the pending address has since changed again.
+  async verifyEmail(token) {
+    return dbPool.transaction(async (client) => {
+      const redeemed = await this.consume(client, token, ['verify_email', 'change_email']);
+      if (!redeemed) {
+        return null;
+      }
+
+      const result = redeemed.purpose === 'change_email'
+        ? await client.query(`
+          UPDATE users SET email = pending_email, pending_email = NULL, email_verified_at = NOW(), updated_at = NOW()
+          WHERE id = $1 AND pending_email = $2 AND deleted_at IS NULL
+          RETURNING id, email, email_verified_at
+        `, [redeemed.user_id, redeemed.email])
+        : await client.query(`
+          UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+          WHERE id = $1
+          RETURNING id, email, email_verified_at
+        `, [redeemed.user_id]);
+      return result.rows[0] || null;
+    });
+  }
+
+  // Sets the new password and signs the user out everywhere, since a reset
+  // usually means the old password may be known to someone else
+  async resetPassword(token, passwordHash) {
+    const user = await dbPool.transaction(async (client) => {
+      const redeemed = await this.consume(client, token, 'reset_password');
+      if (!redeemed) {
+        return null;
+      }
+
+      const result = await client.query(
+        'UPDATE users SET password = $2, updated_at = NOW() WHERE id = $1 RETURNING id, email',
+        [redeemed.user_id, passwordHash]
+      );
+      return result.rows[0];
+    });
+
+    if (user) {
+      const sessions = await tokens.revokeAllSessions(user.id);
+      logger.info(`Password reset for user ${user.id}, ${sessions.size} sessions revoked`);
+    }
+    return user;
+  }
+}
+
+module.exports = new AccountTokenService();
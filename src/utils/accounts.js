@@ -0,0 +1,174 @@
+const dbPool = require('../config/database');
+const apiKeys = require('./apiKeys');
+const tokens = require('./tokens');
+const auditLog = require('./auditLog');
+
+const PROFILE_COLUMNS = 'id, email, pending_email, name, roles, tier, email_verified_at, two_factor_enabled_at, created_at, updated_at, last_login';
+
+// Self-service operations on the signed-in user's own account
+class AccountService {
+  async profile(userId) {
+    const result = await dbPool.query(
+      `SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1 AND deleted_at IS NULL`,
+      [userId],
+      { primary: true }
+    );
+    return result.rows[0] || null;
+  }
+
+  // Includes the password hash, for changes that ask for the current password
+  async credentials(userId) {
+    const result = await dbPool.query(
+      'SELECT id, email, name, password FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [userId],
+      { primary: true }
+    );
+    return result.rows[0] || null;
+  }
+
+  // A new email address only waits in pending_email: sign-in, roles and mail
+  // keep using the current one until the new one is verified
+  async update(userId, { name = null, email = null }) {
+    const result = await dbPool.query(`
+      UPDATE users
+      SET name = COALESCE($2, name),
+          pending_email = COALESCE($3, pending_email),
+          updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING ${PROFILE_COLUMNS}
+    `, [userId, name, email]);
+    return result.rows[0] || null;
+  }
+
+  // Whether another account already signs in with the address
+  async emailTaken(email, userId) {
+    const result = await dbPool.query(
+      'SELECT 1 FROM users WHERE email = $1 AND id <> $2',
+      [email, userId],
+      { primary: true }
+    );
+    return result.rows.length > 0;
+  }
+
+  // Signs out every other session; returns how many were revoked
+  async changePassword(user, passwordHash, { sessionId = null, ip = null } = {}) {
+    await dbPool.query('UPDATE users SET password = $2, updated_at = NOW() WHERE id = $1', [user.id, passwordHash]);
+    const sessions = await tokens.revokeAllSessions(user.id, { except: sessionId });
+    await auditLog.record('password.change', { userId: user.id, actorId: user.id, email: user.email, ip, details: { sessionsRevoked: sessions.size } });
+    return sessions.size;
+  }
+
+  // Anonymizes the user instead of deleting the row: orders, items and totals
+  // stay for analytics, while everything that identifies the person is cleared
+  // and every session and API key stops working. Returns false if already gone.
+  async delete(userId) {
+    const outcome = await dbPool.transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE users
+        SET email = 'deleted-' || id || '@deleted.invalid',
+            pending_email = NULL,
+            name = 'Deleted user',
+            password = '!',
+            roles = '{customer}',
+            email_verified_at = NULL,
+            last_login = NULL,
+            two_factor_secret = NULL,
+            two_factor_enabled_at = NULL,
+            two_factor_last_step = NULL,
+            deleted_at = NOW(),
+            updated_at = NOW()
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING id
+      `, [userId]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(
+        "UPDATE orders SET shipping_address = '{}'::jsonb, updated_at = NOW() WHERE user_id = $1",
+        [userId]
+      );
+      await client.query('DELETE FROM account_tokens WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query('UPDATE audit_log SET email = NULL, ip = NULL WHERE user_id = $1', [userId]);
+
+      const sessions = await client.query(
+        'DELETE FROM refresh_tokens WHERE user_id = $1 RETURNING family_id, revoked_at',
+        [userId]
+      );
+      const keys = await client.query(`
+        UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW()), last_used_ip = NULL
+        WHERE user_id = $1
+        RETURNING key_hash
+      `, [userId]);
+
+      return {
+        sessionIds: new Set(sessions.rows.filter(row => !row.revoked_at).map(row => row.family_id)),
+        keyHashes: keys.rows.map(row => row.key_hash)
+      };
+    });
+
+    if (!outcome) {
+      return false;
+    }
+
+    await Promise.all([
+      ...[...outcome.sessionIds].map(sid => tokens.denySession(sid)),
+      ...outcome.keyHashes.map(keyHash => apiKeys.forget(keyHash))
+    ]);
+    await auditLog.record('account.delete', {
+      userId,
+      actorId: userId,
+      details: { sessionsRevoked: outcome.sessionIds.size, apiKeysRevoked: outcome.keyHashes.length }
+    });
+    return true;
+  }
+
+  // Everything stored about the user, for data access requests
+  async export(userId) {
+    const profile = await this.profile(userId);
+    if (!profile) {
+      return null;
+    }
+
+    const [orders, sessions, keys, events] = await Promise.all([
+      dbPool.query(`
+        SELECT o.id, o.status, o.total_amount, o.shipping_address, o.payment_method, o.created_at, o.updated_at,
+               COALESCE(json_agg(
+                 json_build_object(
+                   'product_id', oi.product_id,
+                   'product_name', p.name,
+                   'quantity', oi.quantity,
+                   'unit_price', oi.unit_price,
+                   'total_price', oi.total_price
+                 ) ORDER BY oi.id
+               ) FILTER (WHERE oi.id IS NOT NULL), '[]') AS items
+        FROM orders o
+        LEFT JOIN order_items oi ON oi.order_id = o.id
+        LEFT JOIN products p ON p.id = oi.product_id
+        WHERE o.user_id = $1
+        GROUP BY o.id
+        ORDER BY o.created_at
+      `, [userId]),
+      dbPool.query(`
+        SELECT family_id AS session_id, created_at, expires_at, revoked_at, user_agent, ip
+        FROM refresh_tokens
+        WHERE user_id = $1
+        ORDER BY created_at
+      `, [userId]),
+      apiKeys.list({ userId }),
+      auditLog.list({ userId, limit: 1000 })
+    ]);
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile,
+      orders: orders.rows,
+      sessions: sessions.rows,
+      apiKeys: keys,
+      auditEvents: events
+    };
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const dbPool = require('../config/database');
+const redisClient = require('../config/redis');
+const { permissionsOf } = require('../config/roles');
+const twoFactor = require('./twoFactor');
+const logger = require('./logger');
+
+const KEY_PREFIX = 'hpk_';
+const LOOKUP_CACHE_PREFIX = 'apikey:';
+const LOOKUP_CACHE_TTL_SECONDS = 60;
+const LAST_USED_INTERVAL_MS = 60000;
+
+const KEY_COLUMNS = `
+  k.id, k.user_id, k.name, k.prefix, k.scopes, k.tier, k.rate_limit, k.created_by,
+  k.created_at, k.expires_at, k.revoked_at, k.replaced_by, k.last_used_at, k.last_used_ip
+`;
+
+// Keys look like hpk_<8 hex>_<secret>. The hpk_<8 hex> part is the visible
+// prefix; the whole key is only shown once, at creation or rotation.
+class ApiKeyService {
+  constructor() {
+    // keyId -> last time last_used_at was written, to avoid a write per request
+    this.lastUsedWrites = new Map();
+  }
+
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  generate() {
+    const prefix = `${KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+    return { prefix, key: `${prefix}_${crypto.randomBytes(32).toString('base64url')}` };
+  }
+
+  async create({ userId, name, scopes, tier, rateLimit, expiresInDays, createdBy }, db = dbPool) {
+    const { prefix, key } = this.generate();
+    const result = await db.query(`
+      INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, tier, rate_limit, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $9::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $9::int) END)
+      RETURNING id, user_id, name, prefix, scopes, tier, rate_limit, created_by, created_at, expires_at
+    `, [userId, name, prefix, this.hash(key), scopes, tier || 'authenticated', rateLimit || null, createdBy || null, expiresInDays || null]);
+
+    return { ...result.rows[0], key };
+  }
+
+  async list({ userId = null } = {}) {
+    const result = await dbPool.query(`
+      SELECT ${KEY_COLUMNS}, u.email AS owner_email
+      FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      WHERE $1::int IS NULL OR k.user_id = $1
+      ORDER BY k.created_at DESC
+    `, [userId]);
+    return result.rows;
+  }
+
+  // Issues a replacement with the same owner, scopes and limits. The old key keeps
+  // working for graceMinutes so clients can switch over, then stops.
+  async rotate(id, { graceMinutes = 0, rotatedBy } = {}) {
+    const outcome = await dbPool.transaction(async (client) => {
+      const result = await client.query(`
+        SELECT id, user_id, name, scopes, tier, rate_limit, expires_at, key_hash
+        FROM api_keys
+        WHERE id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+        FOR UPDATE
+      `, [id]);
+
+      const old = result.rows[0];
+      if (!old) {
+        return null;
+      }
+
+      const expiresInDays = old.expires_at
+        ? Math.max(1, Math.ceil((old.expires_at - Date.now()) / (24 * 60 * 60 * 1000)))
+        : null;
+      const created = await this.create({
+        userId: old.user_id,
+        name: old.name,
+        scopes: old.scopes,
+        tier: old.tier,
+        rateLimit: old.rate_limit,
+        expiresInDays,
+        createdBy: rotatedBy
+      }, client);
+
+      await client.query(`
+        UPDATE api_keys
+        SET replaced_by = $2,
+            revoked_at = CASE WHEN $3::int = 0 THEN NOW() ELSE revoked_at END,
+            expires_at = CASE WHEN $3::int = 0 THEN expires_at
+                              ELSE LEAST(COALESCE(expires_at, 'infinity'), NOW() + make_interval(mins => $3::int)) END
+        WHERE id = $1
+      `, [id, created.id, graceMinutes]);
+
+      return { created, oldHash: old.key_hash };
+    });
+
+    if (!outcome) {
+      return null;
+    }
+    await this.forget(outcome.oldHash);
+    return outcome.created;
+  }
+
+  async revoke(id) {
+    const result = await dbPool.query(
+      'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING key_hash',
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return false;
+    }
+    await this.forget(result.rows[0].key_hash);
+    return true;
+  }
+
+  // Drops a cached lookup so revocation applies on every worker right away
+  async forget(keyHash) {
+    await redisClient.del(`${LOOKUP_CACHE_PREFIX}${keyHash}`);
+  }
+
+  // Resolves a presented key to a principal, or null when it is unknown, revoked
+  // or expired. Lookups, including misses, are cached in Redis for a minute.
+  async authenticate(key, ip) {
+    if (!key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const keyHash = this.hash(key);
+    const cacheKey = `${LOOKUP_CACHE_PREFIX}${keyHash}`;
+    let record = await redisClient.get(cacheKey);
+
+    if (!record) {
+      const result = await dbPool.query(`
+        SELECT ${KEY_COLUMNS}, u.email AS owner_email, u.roles AS owner_roles, u.two_factor_enabled_at AS owner_two_factor_enabled_at
+        FROM api_keys k
+        JOIN users u ON u.id = k.user_id
+        WHERE k.key_hash = $1 AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())
+      `, [keyHash]);
+
+      record = result.rows[0] || { invalid: true };
+      const ttl = record.expires_at
+        ? Math.min(LOOKUP_CACHE_TTL_SECONDS, Math.floor((new Date(record.expires_at) - Date.now()) / 1000))
+        : LOOKUP_CACHE_TTL_SECONDS;
+      if (ttl > 0) {
+        await redisClient.set(cacheKey, record, ttl);
+      }
+    }
+
+    if (record.invalid) {
+      return null;
+    }
+
+    this.touch(record.id, ip);
+    return this.principal(record);
+  }
+
+  // Scopes the roles in the owner's own tokens allow, so roles the 2FA policy
+  // withholds from an unenrolled owner are withheld from their keys too.
+  // owner is { roles, two_factor_enabled_at }
+  async ownerScopes(owner) {
+    const { roles } = await twoFactor.effectiveRoles(owner);
+    return permissionsOf(roles);
+  }
+
+  // Same shape the auth middleware builds from a JWT, so routes needn't care.
+  // Scopes the owner has since lost are dropped.
+  async principal(record) {
+    const allowed = await this.ownerScopes({ roles: record.owner_roles, two_factor_enabled_at: record.owner_two_factor_enabled_at });
+    return {
+      type: 'apikey',
+      id: record.id,
+      name: record.name,
+      prefix: record.prefix,
+      scopes: record.scopes.filter(scope => allowed.includes(scope)),
+      tier: record.tier,
+      rateLimit: record.rate_limit,
+      user: { id: record.user_id, email: record.owner_email, roles: [], apiKeyId: record.id }
+    };
+  }
+
+  touch(id, ip) {
+    const now = Date.now();
+    if (now - (this.lastUsedWrites.get(id) || 0) < LAST_USED_INTERVAL_MS) {
+      return;
+    }
+    this.lastUsedWrites.set(id, now);
+
+    dbPool.query('UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1', [id, ip || null])
+      .catch(error => logger.warn(`Failed to record API key use for ${id}: ${error.message}`));
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,35 @@
+const dbPool = require('../config/database');
+const logger = require('./logger');
+
+// Append-only trail of security-relevant events, kept in Postgres next to the
+// users they concern. Every event is also logged, so nothing is lost when the
+// insert fails.
+class AuditLog {
+  async record(event, { userId = null, actorId = null, email = null, ip = null, details = {} } = {}) {
+    logger.info(`Audit ${event}`, { userId, actorId, email, ip, details });
+
+    try {
+      await dbPool.query(
+        'INSERT INTO audit_log (event, user_id, actor_id, email, ip, details) VALUES ($1, $2, $3, $4, $5, $6)',
+        [event, userId, actorId, email, ip, details]
+      );
+    } catch (error) {
+      logger.error(`Failed to write audit event ${event}: ${error.message}`);
+    }
+  }
+
+  async list({ event = null, userId = null, email = null, limit = 50 } = {}) {
+    const result = await dbPool.query(`
+      SELECT id, event, user_id, actor_id, email, ip, details, created_at
+      FROM audit_log
+      WHERE ($1::text IS NULL OR event = $1)
+        AND ($2::int IS NULL OR user_id = $2)
+        AND ($3::text IS NULL OR email = $3)
+      ORDER BY created_at DESC
+      LIMIT $4
+    `, [event, userId, email, limit]);
+    return result.rows;
+  }
+}
+
+module.exports = new AuditLog();
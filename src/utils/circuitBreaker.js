@@ -0,0 +1,126 @@
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+const STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+class CircuitOpenError extends Error {
+  constructor(name) {
+    super(`Circuit ${name} is open`);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+// CLOSED: calls pass through, consecutive failures are counted.
+// OPEN: calls are rejected immediately until resetTimeoutMs has elapsed.
+// HALF_OPEN: a single trial call decides between CLOSED and OPEN again.
+class CircuitBreaker extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 10000;
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.stats = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  allowRequest() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.CLOSED) return true;
+    if (this.state === STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    if (this.state !== STATES.CLOSED) {
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  recordFailure(error) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    if (this.state === STATES.HALF_OPEN ||
+        (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold)) {
+      this.open(error);
+    }
+  }
+
+  open(error) {
+    this.openedAt = Date.now();
+    this.stats.opened++;
+    this.transition(STATES.OPEN, error);
+  }
+
+  // Skip the rest of the open period, e.g. once the connection is known to be back
+  probeNow() {
+    if (this.state === STATES.OPEN) {
+      this.openedAt = Date.now() - this.resetTimeoutMs;
+    }
+  }
+
+  async exec(action) {
+    if (!this.allowRequest()) {
+      throw new CircuitOpenError(this.name);
+    }
+
+    try {
+      const result = await action();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
+  }
+
+  transition(state, error) {
+    const previous = this.state;
+    this.state = state;
+
+    const message = `Circuit ${this.name}: ${previous} -> ${state}`;
+    if (state === STATES.OPEN) {
+      logger.error(`${message}${error ? ` (${error.message})` : ''}`);
+    } else {
+      logger.info(message);
+    }
+    this.emit('stateChange', state, previous);
+  }
+
+  isClosed() {
+    return this.state === STATES.CLOSED;
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+CircuitBreaker.CircuitOpenError = CircuitOpenError;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } }
+};
+
+const RELOAD_INTERVAL_MS = parseInt(process.env.JWT_KEYS_RELOAD_MS) || 60000;
+// An unknown kid triggers a reload at most this often, so made-up kids can't
+// keep every request re-reading the directory
+const UNKNOWN_KID_RELOAD_MS = 5000;
+// Retired keys keep verifying until every token they signed has expired
+const RETIRED_KEY_TTL_MS = ((parseInt(process.env.JWT_ACCESS_TTL_SECONDS) || 900) + 60) * 1000;
+// How long verifiers may cache /.well-known/jwks.json
+const JWKS_MAX_AGE_SECONDS = 300;
+// A pending key may only start signing once every worker has reloaded it and
+// every verifier's cached JWKS has expired, or they would reject its tokens
+const PUBLISH_DELAY_MS = JWKS_MAX_AGE_SECONDS * 1000 + RELOAD_INTERVAL_MS;
+
+// RFC 7638 thumbprint of the public key, used as its kid
+const thumbprint = (jwk) => {
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+};
+
+const stateOf = (record) => {
+  if (record.retiredAt) return 'retired';
+  return record.activatedAt ? 'active' : 'pending';
+};
+
+// JWT signing keys, one JSON file per key in JWT_KEYS_DIR. A key is pending
+// (published in the JWKS, not yet signing), active (signing) or retired
+// (verifying only, until pruned). Every process rereads the directory
+// periodically, so keys rotated from the CLI reach all workers and replicas
+// sharing it without a restart.
+class Keyring {
+  constructor() {
+    this.directory = path.resolve(process.env.JWT_KEYS_DIR || 'keys');
+    this.algorithm = process.env.JWT_ALGORITHM || 'ES256';
+    this.keys = new Map();
+    this.loadedAt = 0;
+    this.reloadTimer = null;
+    this.jwksMaxAgeSeconds = JWKS_MAX_AGE_SECONDS;
+  }
+
+  read() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8')));
+  }
+
+  load() {
+    const keys = new Map();
+    for (const record of this.read()) {
+      keys.set(record.kid, {
+        ...record,
+        publicKey: crypto.createPublicKey(record.publicKey),
+        privateKey: crypto.createPrivateKey(record.privateKey)
+      });
+    }
+    this.keys = keys;
+    this.loadedAt = Date.now();
+
+    if (!this.reloadTimer) {
+      this.reloadTimer = setInterval(() => {
+        try {
+          this.load();
+        } catch (error) {
+          logger.error(`Failed to reload signing keys from ${this.directory}: ${error.message}`);
+        }
+      }, RELOAD_INTERVAL_MS);
+      this.reloadTimer.unref();
+    }
+    return this.keys;
+  }
+
+  ensureLoaded() {
+    if (!this.loadedAt) {
+      this.load();
+    }
+  }
+
+  // The most recently activated key that hasn't been retired
+  active() {
+    this.ensureLoaded();
+    let active = null;
+    for (const key of this.keys.values()) {
+      if (stateOf(key) === 'active' && (!active || key.activatedAt > active.activatedAt)) {
+        active = key;
+      }
+    }
+    return active;
+  }
+
+  // An empty keyring gets a key on first use, so development needs no setup.
+  // With no active key nothing has been signed yet, so it can sign right away.
+  signingKey() {
+    const key = this.active();
+    if (key) {
+      return key;
+    }
+
+    const { kid } = this.activate(this.generate().kid);
+    logger.warn(`No active JWT signing key in ${this.directory}, generated ${kid}`);
+    return this.keys.get(kid);
+  }
+
+  verificationKey(kid) {
+    this.ensureLoaded();
+    if (!this.keys.has(kid) && Date.now() - this.loadedAt > UNKNOWN_KID_RELOAD_MS) {
+      this.load();
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  // Written to a temp file and renamed, so readers never see half a key
+  write(record) {
+    fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+    const file = path.join(this.directory, `${record.kid}.json`);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(record, null, 2), { mode: 0o600 });
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  // Adds a pending key; it shows up in the JWKS before it signs anything
+  generate({ alg = this.algorithm } = {}) {
+    if (!ALGORITHMS[alg]) {
+      throw new Error(`Unsupported JWT algorithm "${alg}", expected ${Object.keys(ALGORITHMS).join(' or ')}`);
+    }
+
+    const { type, options } = ALGORITHMS[alg];
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+    const record = {
+      kid: thumbprint(publicKey.export({ format: 'jwk' })),
+      alg,
+      createdAt: new Date().toISOString(),
+      activatedAt: null,
+      retiredAt: null,
+      publicKey: publicKey.export({ format: 'pem', type: 'spki' }),
+      privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' })
+    };
+
+    this.write(record);
+    this.load();
+    return this.describe(record);
+  }
+
+  // Activates the newest pending key that has been published for at least
+  // PUBLISH_DELAY_MS and retires the previously active ones. Tokens they signed
+  // stay valid. Throws when no pending key is ready yet.
+  rotate() {
+    this.load();
+    const pending = [...this.keys.values()]
+      .filter(key => stateOf(key) === 'pending')
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    if (pending.length === 0) {
+      throw new Error('No pending key to activate; generate one and rotate once it has been published');
+    }
+
+    const ready = pending.find(key => Date.now() - Date.parse(key.createdAt) >= PUBLISH_DELAY_MS);
+    if (!ready) {
+      const waitSeconds = Math.ceil((Date.parse(pending[0].createdAt) + PUBLISH_DELAY_MS - Date.now()) / 1000);
+      throw new Error(`Pending key ${pending[0].kid} may not be in every verifier's cached JWKS yet; rotate again in ${waitSeconds}s`);
+    }
+    return this.activate(ready.kid);
+  }
+
+  activate(kid) {
+    const now = new Date().toISOString();
+    const records = this.read();
+    // The new key is written first: a reader catching the directory in between
+    // sees two active keys and picks the newer one
+    this.write({ ...records.find(record => record.kid === kid), activatedAt: now });
+    const retired = [];
+    for (const record of records) {
+      if (record.kid !== kid && stateOf(record) === 'active') {
+        this.write({ ...record, retiredAt: now });
+        retired.push(record.kid);
+      }
+    }
+
+    this.load();
+    return { kid, retired };
+  }
+
+  // Deletes retired keys old enough that no unexpired token can use them
+  prune() {
+    const cutoff = Date.now() - RETIRED_KEY_TTL_MS;
+    const removed = this.read()
+      .filter(record => record.retiredAt && Date.parse(record.retiredAt) < cutoff)
+      .map(record => record.kid);
+
+    removed.forEach(kid => fs.unlinkSync(path.join(this.directory, `${kid}.json`)));
+    this.load();
+    return removed;
+  }
+
+  describe(record) {
+    return {
+      kid: record.kid,
+      alg: record.alg,
+      state: stateOf(record),
+      createdAt: record.createdAt,
+      activatedAt: record.activatedAt,
+      retiredAt: record.retiredAt
+    };
+  }
+
+  list() {
+    this.load();
+    return [...this.keys.values()]
+      .map(key => this.describe(key))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Public halves of every key that may sign or may have signed a live token
+  jwks() {
+    this.ensureLoaded();
+    return {
+      keys: [...this.keys.values()].map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      }))
+    };
+  }
+}
+
+const keyring = new Keyring();
+
+// CLI interface: node src/utils/keyring.js <list|generate|rotate|prune> [--alg RS256|ES256]
+if (require.main === module) {
+  const [command = 'list', ...args] = process.argv.slice(2);
+  const algIndex = args.indexOf('--alg');
+  const alg = algIndex === -1 ? undefined : args[algIndex + 1];
+
+  const commands = {
+    list: () => console.table(keyring.list()),
+    generate: () => {
+      const key = keyring.generate({ alg });
+      console.log(`Generated pending key ${key.kid} (${key.alg}); it is published in the JWKS and can be rotated in after ${PUBLISH_DELAY_MS / 1000}s`);
+    },
+    rotate: () => {
+      const { kid, retired } = keyring.rotate();
+      console.log(`Active signing key: ${kid}${retired.length ? `, retired: ${retired.join(', ')}` : ''}`);
+    },
+    prune: () => {
+      const removed = keyring.prune();
+      console.log(removed.length ? `Removed: ${removed.join(', ')}` : 'Nothing to prune');
+    }
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command: ${command} (expected list, generate, rotate or prune)`);
+    process.exit(1);
+  }
+
+  try {
+    commands[command]();
+  } catch (error) {
+    console.error(`Key ${command} failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = keyring;
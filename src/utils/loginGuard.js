@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const redisClient = require('../config/redis');
+const auditLog = require('./auditLog');
+
+const KEY_PREFIX = 'auth:login:';
+const FAILURE_WINDOW_MS = parseInt(process.env.LOGIN_FAILURE_WINDOW_MS) || 15 * 60000;
+const LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60000;
+const DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS) || 1000;
+const DELAY_MAX_MS = parseInt(process.env.LOGIN_DELAY_MAX_MS) || 30000;
+
+// Per account: a doubling cooldown from the third failure, lockout at the fifth.
+// Per IP: lockout only, with a higher threshold since many users can share an IP.
+const SUBJECTS = {
+  account: {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER) || 3
+  },
+  ip: {
+    maxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50,
+    delayAfter: Infinity
+  }
+};
+
+// Counts a failure; at maxAttempts sets the lock and starts the count over,
+// past delayAfter sets a cooldown doubling with each further failure.
+// Returns { count, lockedMs, delayMs }.
+const FAILURE_SCRIPT = `
+  local count = redis.call('INCR', KEYS[1])
+  if count == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  end
+  if count >= tonumber(ARGV[2]) then
+    redis.call('SET', KEYS[2], count, 'PX', ARGV[3])
+    redis.call('DEL', KEYS[1], KEYS[3])
+    return { count, tonumber(ARGV[3]), 0 }
+  end
+  local delay = 0
+  if count >= tonumber(ARGV[4]) then
+    delay = math.floor(math.min(tonumber(ARGV[5]) * 2 ^ (count - tonumber(ARGV[4])), tonumber(ARGV[6])))
+    redis.call('SET', KEYS[3], 1, 'PX', delay)
+  end
+  return { count, 0, delay }
+`;
+
+// Returns { failures, lockedMs, delayMs } with 0 for anything not set
+const STATUS_SCRIPT = `
+  local lock = redis.call('PTTL', KEYS[2])
+  local delay = redis.call('PTTL', KEYS[3])
+  return { tonumber(redis.call('GET', KEYS[1]) or '0'), math.max(lock, 0), math.max(delay, 0) }
+`;
+
+// Brute-force protection for password login. Failed attempts are counted in
+// Redis per account and per IP; enough of them put the subject on a cooldown
+// and then lock it for a while. Attempts during either are refused with a
+// Retry-After rather than held open, so an attacker can't tie up connections
+// by waiting on them. Fails open while Redis is degraded, leaving the per-IP
+// login rate limit as the only brake.
+class LoginGuard {
+  constructor() {
+    this.dummyHashPromise = null;
+  }
+
+  // All keys of one subject share a hash tag so scripts stay on one cluster slot
+  keys(type, value) {
+    const base = redisClient.hashTag(KEY_PREFIX, `${type}:${value}`);
+    return [`${base}:failures`, `${base}:lock`, `${base}:delay`];
+  }
+
+  subjects(email, ip) {
+    return [
+      email && { type: 'account', value: email.toLowerCase() },
+      ip && { type: 'ip', value: ip }
+    ].filter(Boolean);
+  }
+
+  async status(type, value) {
+    const reply = await redisClient.evalScript(STATUS_SCRIPT, this.keys(type, value), []);
+    const [failures, lockedMs, delayMs] = reply || [0, 0, 0];
+    return { type, value, failures, lockedMs, delayMs };
+  }
+
+  // Null when the attempt may go ahead, otherwise why not and for how long.
+  // Unknown emails are tracked like real ones, so the answer reveals nothing.
+  async check(email, ip) {
+    const statuses = await Promise.all(this.subjects(email, ip).map(({ type, value }) => this.status(type, value)));
+
+    const locked = statuses.filter(status => status.lockedMs > 0);
+    if (locked.length > 0) {
+      return { reason: 'locked', retryAfterMs: Math.max(...locked.map(status => status.lockedMs)) };
+    }
+
+    const delayed = statuses.filter(status => status.delayMs > 0);
+    if (delayed.length > 0) {
+      return { reason: 'delayed', retryAfterMs: Math.max(...delayed.map(status => status.delayMs)) };
+    }
+    return null;
+  }
+
+  async recordFailure(email, ip, userId = null) {
+    await Promise.all(this.subjects(email, ip).map(async ({ type, value }) => {
+      const { maxAttempts, delayAfter } = SUBJECTS[type];
+      const reply = await redisClient.evalScript(FAILURE_SCRIPT, this.keys(type, value), [
+        FAILURE_WINDOW_MS, maxAttempts, LOCKOUT_MS,
+        Number.isFinite(delayAfter) ? delayAfter : maxAttempts, DELAY_BASE_MS, DELAY_MAX_MS
+      ]);
+
+      if (reply && reply[1] > 0) {
+        await auditLog.record('login.lockout', {
+          userId: type === 'account' ? userId : null,
+          email,
+          ip,
+          details: { subject: type, failures: reply[0], lockedMs: reply[1] }
+        });
+      }
+    }));
+  }
+
+  // A successful login clears the account's failures and the IP's count and
+  // cooldown. An IP lock is left to run out: no login gets past check() while
+  // it holds, so a valid account can't be used to lift it.
+  async recordSuccess(email, ip) {
+    const [failures, , delay] = this.keys('ip', ip);
+    await redisClient.unlink([...this.keys('account', email.toLowerCase()), ...(ip ? [failures, delay] : [])]);
+  }
+
+  async unlock({ email = null, ip = null, actorId = null, userId = null }) {
+    const subjects = this.subjects(email, ip);
+    await redisClient.unlink(subjects.flatMap(({ type, value }) => this.keys(type, value)));
+    await auditLog.record('login.unlock', { userId, actorId, email, ip });
+  }
+
+  // Hash of a random password, compared against for unknown emails so they take
+  // as long as a wrong password for a real account
+  dummyHash() {
+    if (!this.dummyHashPromise) {
+      this.dummyHashPromise = bcrypt.hash(crypto.randomBytes(16).toString('hex'), parseInt(process.env.BCRYPT_ROUNDS) || 10);
+    }
+    return this.dummyHashPromise;
+  }
+
+  async verifyPassword(user, password) {
+    const valid = await bcrypt.compare(password, user ? user.password : await this.dummyHash());
+    return Boolean(user) && valid;
+  }
+}
+
+module.exports = new LoginGuard();
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const dbPool = require('../config/database');
+const logger = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../database/migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+const NO_TRANSACTION = /^--\s*migrate:no-transaction/;
+
+// Arbitrary but fixed key: every worker and CLI run contends for the same lock
+const ADVISORY_LOCK_KEY = 72177394;
+
+// Client-side limit for a migration file and for waiting on the lock. The
+// pool's 10s query_timeout suits requests, not index builds or backfills;
+// node-postgres treats 0 as "use the pool default", so this must be positive.
+const MIGRATION_TIMEOUT_MS = parseInt(process.env.MIGRATION_TIMEOUT_MS) || 30 * 60 * 1000;
+
+class Migrator {
+  constructor(directory = MIGRATIONS_DIR) {
+    this.directory = directory;
+  }
+
+  // Pairs of <version>_<name>.up.sql / .down.sql, ordered by version
+  loadMigrations() {
+    const migrations = new Map();
+
+    fs.readdirSync(this.directory).forEach(file => {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) return;
+
+      const [, version, name, direction] = match;
+      if (!migrations.has(version)) {
+        migrations.set(version, { version, name });
+      }
+      const sql = fs.readFileSync(path.join(this.directory, file), 'utf8');
+      migrations.get(version)[direction] = sql;
+    });
+
+    return [...migrations.values()]
+      .map(migration => {
+        if (!migration.up) {
+          throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+        }
+        return { ...migration, checksum: this.checksum(migration.up) };
+      })
+      .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+  }
+
+  checksum(sql) {
+    return crypto.createHash('sha256').update(sql).digest('hex');
+  }
+
+  async ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version       VARCHAR(50) PRIMARY KEY,
+        name          VARCHAR(200) NOT NULL,
+        checksum      CHAR(64) NOT NULL,
+        execution_ms  INTEGER NOT NULL,
+        applied_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+  }
+
+  async appliedMigrations(client) {
+    const result = await client.query(
+      'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY applied_at, version'
+    );
+    return result.rows;
+  }
+
+  // Long-running statements: the migration SQL itself and the lock wait
+  query(client, text, values) {
+    return client.query({ text, values, query_timeout: MIGRATION_TIMEOUT_MS });
+  }
+
+  // Holds a session-level advisory lock so concurrent workers run migrations one at a time.
+  // The pool's statement_timeout is lifted for the session and restored before the
+  // connection goes back to the pool.
+  async withLock(callback) {
+    return dbPool.withClient(async (client) => {
+      await client.query('SET statement_timeout = 0');
+      try {
+        await this.query(client, 'SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+        try {
+          await this.ensureMigrationsTable(client);
+          return await callback(client);
+        } finally {
+          await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+        }
+      } finally {
+        await client.query('RESET statement_timeout');
+      }
+    });
+  }
+
+  // Applied migrations whose file changed since they ran would leave the schema ambiguous
+  verifyChecksums(migrations, applied) {
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    applied.forEach(row => {
+      const migration = byVersion.get(row.version);
+      if (migration && migration.checksum !== row.checksum.trim()) {
+        throw new Error(`Checksum mismatch for applied migration ${row.version}_${row.name}; ` +
+          'create a new migration instead of editing an applied one');
+      }
+    });
+  }
+
+  async run(client, sql, callback) {
+    if (NO_TRANSACTION.test(sql)) {
+      await this.query(client, sql);
+      await callback();
+      return;
+    }
+
+    await client.query('BEGIN');
+    try {
+      await this.query(client, sql);
+      await callback();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(rollbackError => {
+        logger.error('Migration rollback failed:', rollbackError);
+      });
+      throw error;
+    }
+  }
+
+  async up({ to = null } = {}) {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.appliedMigrations(client);
+      this.verifyChecksums(migrations, applied);
+
+      const appliedVersions = new Set(applied.map(row => row.version));
+      const pending = migrations.filter(migration => !appliedVersions.has(migration.version) &&
+        (to === null || migration.version.localeCompare(to, undefined, { numeric: true }) <= 0));
+
+      for (const migration of pending) {
+        const start = Date.now();
+        logger.info(`Applying migration ${migration.version}_${migration.name}`);
+        await this.run(client, migration.up, () => client.query(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+          [migration.version, migration.name, migration.checksum, Date.now() - start]
+        ));
+      }
+
+      if (pending.length === 0) {
+        logger.info('Database schema is up to date');
+      }
+      return pending.map(migration => migration.version);
+    });
+  }
+
+  async down({ steps = 1 } = {}) {
+    const migrations = this.loadMigrations();
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+    return this.withLock(async (client) => {
+      const applied = await this.appliedMigrations(client);
+      // A down file written for a different up would undo the wrong schema
+      this.verifyChecksums(migrations, applied);
+      const rollback = applied.slice(-steps).reverse();
+
+      for (const row of rollback) {
+        const migration = byVersion.get(row.version);
+        if (!migration || !migration.down) {
+          throw new Error(`Migration ${row.version}_${row.name} has no .down.sql file, cannot roll back`);
+        }
+
+        logger.info(`Rolling back migration ${migration.version}_${migration.name}`);
+        await this.run(client, migration.down, () => client.query(
+          'DELETE FROM schema_migrations WHERE version = $1',
+          [migration.version]
+        ));
+      }
+
+      return rollback.map(row => row.version);
+    });
+  }
+
+  // Read-only and without the advisory lock, so it answers while migrations run
+  // instead of queueing behind them; one still in progress shows as pending.
+  // Creates nothing either: before the first migration everything is pending.
+  async status() {
+    const migrations = this.loadMigrations();
+
+    const applied = new Map((await dbPool.withClient(async (client) => {
+      const table = await client.query("SELECT to_regclass('schema_migrations') AS name");
+      return table.rows[0].name ? this.appliedMigrations(client) : [];
+    })).map(row => [row.version, row]));
+
+    const rows = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      let state = 'pending';
+      if (row) {
+        state = row.checksum.trim() === migration.checksum ? 'applied' : 'modified';
+      }
+      return {
+        version: migration.version,
+        name: migration.name,
+        state,
+        appliedAt: row ? row.applied_at : null
+      };
+    });
+
+    // Applied in the database but missing on disk
+    applied.forEach((row, version) => {
+      if (!migrations.some(migration => migration.version === version)) {
+        rows.push({ version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+      }
+    });
+
+    return rows;
+  }
+}
+
+// CLI interface: node src/utils/migrator.js <up|down|status> [--to <version>] [--steps <n>]
+if (require.main === module) {
+  const migrator = new Migrator();
+  const [command = 'up', ...args] = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? null : args[index + 1];
+  };
+
+  const commands = {
+    up: () => migrator.up({ to: option('to') }).then(versions => {
+      console.log(versions.length ? `Applied: ${versions.join(', ')}` : 'Nothing to migrate');
+    }),
+    down: () => migrator.down({ steps: parseInt(option('steps')) || 1 }).then(versions => {
+      console.log(versions.length ? `Rolled back: ${versions.join(', ')}` : 'Nothing to roll back');
+    }),
+    status: () => migrator.status().then(rows => {
+      console.table(rows);
+    })
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command: ${command} (expected up, down or status)`);
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(() => dbPool.end())
+    .catch(error => {
+      console.error(`Migration ${command} failed: ${error.message}`);
+      dbPool.end().finally(() => process.exit(1));
+    });
+}
+
+module.exports = Migrator;
@@ -0,0 +1,167 @@
+const { query } = require('express-validator');
+
+// Cursors carry created_at to the microsecond; a JS Date would drop the last
+// three digits and make rows created in the same millisecond skip or repeat
+const CURSOR_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}Z$/;
+
+// Pagination over (created_at, id), newest first. Lists page by number with
+// OFFSET and a total unless the client opts into keyset paging, with
+// `mode=cursor` or a cursor: `after` pages forwards from it, `before`
+// backwards; both come from the next/prev links of a previous response.
+class Pagination {
+  // Opaque to clients: base64url of [created_at, id]
+  encode(row) {
+    return Buffer.from(JSON.stringify([row.cursor_created_at, row.id])).toString('base64url');
+  }
+
+  // { createdAt, id }, or null when the cursor wasn't made by encode()
+  decode(cursor) {
+    try {
+      const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (typeof createdAt === 'string' && CURSOR_TIMESTAMP.test(createdAt) && Number.isInteger(id) && id > 0) {
+        return { createdAt, id };
+      }
+    } catch (error) {
+      // Falls through: malformed base64 or JSON
+    }
+    return null;
+  }
+
+  // Select list entry the cursor is built from, e.g. cursorColumn('p.created_at')
+  cursorColumn(column) {
+    return `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_created_at`;
+  }
+
+  // Without maxLimit, larger limits are clamped by parse() rather than refused
+  validators({ maxLimit } = {}) {
+    const cursor = (value) => {
+      if (!this.decode(value)) {
+        throw new Error('Invalid cursor');
+      }
+      return true;
+    };
+
+    return [
+      query('mode').optional().isIn(['offset', 'cursor'])
+        .custom((value, { req }) => value === 'cursor' || !this.hasCursor(req))
+        .withMessage('after and before page in mode=cursor'),
+      query('after').optional().custom(cursor),
+      query('before').optional().custom(cursor)
+        .custom((value, { req }) => req.query.after === undefined).withMessage('Use either after or before'),
+      query('page').optional().isInt({ min: 1 })
+        .custom((value, { req }) => !this.isCursorMode(req))
+        .withMessage('page cannot be combined with after, before or mode=cursor'),
+      query('limit').optional().isInt(maxLimit ? { min: 1, max: maxLimit } : { min: 1 }),
+      query('include_total').optional().isBoolean()
+    ];
+  }
+
+  hasCursor(req) {
+    return req.query.after !== undefined || req.query.before !== undefined;
+  }
+
+  isCursorMode(req) {
+    return req.query.mode === 'cursor' || this.hasCursor(req);
+  }
+
+  // Reads the paging parameters of an already validated request
+  parse(req, { defaultLimit = 20, maxLimit = 100 } = {}) {
+    const limit = Math.min(parseInt(req.query.limit) || defaultLimit, maxLimit);
+    if (!this.isCursorMode(req)) {
+      const page = parseInt(req.query.page) || 1;
+      return { mode: 'offset', limit, page, offset: (page - 1) * limit, includeTotal: true };
+    }
+
+    return {
+      mode: 'cursor',
+      limit,
+      after: req.query.after ? this.decode(req.query.after) : null,
+      before: req.query.before ? this.decode(req.query.before) : null,
+      includeTotal: req.query.include_total === 'true' || req.query.include_total === '1'
+    };
+  }
+
+  // SQL for the page: an extra condition (null when there is none), the
+  // ORDER BY and the LIMIT/OFFSET clause. Parameters are appended to params.
+  // One row more than the limit is fetched to tell whether another page exists.
+  keyset(paging, params, { createdAt, id }) {
+    if (paging.mode === 'offset') {
+      params.push(paging.limit, paging.offset);
+      return {
+        condition: null,
+        orderBy: `${createdAt} DESC, ${id} DESC`,
+        limit: `LIMIT $${params.length - 1} OFFSET $${params.length}`
+      };
+    }
+
+    const cursor = paging.after || paging.before;
+    let condition = null;
+    if (cursor) {
+      params.push(cursor.createdAt, cursor.id);
+      const operator = paging.after ? '<' : '>';
+      condition = `(${createdAt}, ${id}) ${operator} ($${params.length - 1}::timestamptz, $${params.length}::bigint)`;
+    }
+
+    // Paging backwards reads in ascending order; page() puts rows back
+    const direction = paging.before ? 'ASC' : 'DESC';
+    params.push(paging.limit + 1);
+    return {
+      condition,
+      orderBy: `${createdAt} ${direction}, ${id} ${direction}`,
+      limit: `LIMIT $${params.length}`
+    };
+  }
+
+  // The current URL with the other query parameters kept as they were sent
+  link(req, name, cursor) {
+    const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+    ['page', 'after', 'before'].forEach(param => params.delete(param));
+    params.set(name, cursor);
+    const path = `${req.baseUrl}${req.path}`.replace(/\/+$/, '') || '/';
+    return `${path}?${params}`;
+  }
+
+  // Trims the look-ahead row and builds the pagination block. total is only
+  // passed when it was counted.
+  page(req, paging, rows, total) {
+    if (paging.mode === 'offset') {
+      return {
+        rows,
+        pagination: {
+          page: paging.page,
+          limit: paging.limit,
+          total,
+          pages: Math.ceil(total / paging.limit)
+        }
+      };
+    }
+
+    const hasMore = rows.length > paging.limit;
+    const pageRows = rows.slice(0, paging.limit);
+    if (paging.before) {
+      pageRows.reverse();
+    }
+
+    const first = pageRows[0];
+    const last = pageRows[pageRows.length - 1];
+    // Moving backwards, "more" lies before this page; moving forwards, after it
+    const hasNext = paging.before ? Boolean(last) : hasMore;
+    const hasPrev = paging.before ? hasMore : Boolean(paging.after && first);
+
+    const nextCursor = hasNext ? this.encode(last) : null;
+    const prevCursor = hasPrev ? this.encode(first) : null;
+    const pagination = {
+      limit: paging.limit,
+      nextCursor,
+      prevCursor,
+      next: nextCursor && this.link(req, 'after', nextCursor),
+      prev: prevCursor && this.link(req, 'before', prevCursor)
+    };
+    if (total !== undefined) {
+      pagination.total = total;
+    }
+    return { rows: pageRows, pagination };
+  }
+}
+
+module.exports = new Pagination();
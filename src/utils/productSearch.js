@@ -0,0 +1,183 @@
+const dbPool = require('../config/database');
+
+// Text search configurations a product or a search may use, and the default
+// for both. Must match the CHECK on products.search_language (migration 0009).
+const SEARCH_LANGUAGES = [
+  'simple', 'danish', 'dutch', 'english', 'finnish', 'french', 'german',
+  'italian', 'norwegian', 'portuguese', 'russian', 'spanish', 'swedish'
+];
+const DEFAULT_LANGUAGE = 'english';
+
+// ts_headline works on the raw product text, so its snippets aren't safe to
+// render as HTML. Matches are marked with private-use characters, stripped
+// from the text beforehand so only ts_headline can produce them; the snippet
+// is then HTML-escaped and the markers become <mark> tags.
+const MARK_START = '\uE000';
+const MARK_STOP = '\uE001';
+const HEADLINE_OPTIONS = `StartSel="${MARK_START}", StopSel="${MARK_STOP}", MinWords=5, MaxWords=20, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Upper bounds of the price facet buckets; below the first and from the last
+// one up are buckets too
+const PRICE_BUCKETS = (process.env.SEARCH_PRICE_BUCKETS || '25,50,100,250,500')
+  .split(',')
+  .map(Number)
+  .filter(bound => Number.isFinite(bound) && bound > 0)
+  .sort((a, b) => a - b);
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Full-text product search: stemmed, weighted matching on search_vector, with
+// trigram similarity on the name as a fallback for typos. Each product's
+// search_vector is stemmed in its search_language; a search stems the query in
+// the language it asks for, which should be the language of the products it
+// is after.
+class ProductSearch {
+  constructor() {
+    this.languages = SEARCH_LANGUAGES;
+    this.defaultLanguage = DEFAULT_LANGUAGE;
+  }
+
+  // Every word must match; the last one as a prefix, since it may still be
+  // being typed. Only letters and digits reach to_tsquery, so user input can't
+  // inject tsquery operators.
+  tsquery(text) {
+    const words = String(text).toLowerCase().match(WORD) || [];
+    return words.map((word, index) => (index === words.length - 1 ? `${word}:*` : word)).join(' & ');
+  }
+
+  // Every query starts with [tsquery, raw text, configuration]. The
+  // configuration is always a bound parameter, never part of the SQL.
+  params(text, language = DEFAULT_LANGUAGE) {
+    if (!SEARCH_LANGUAGES.includes(language)) {
+      throw new Error(`Unsupported search language "${language}"`);
+    }
+    return [this.tsquery(text), text, language];
+  }
+
+  // params starts as params() returns it. A facet leaves out its own filter,
+  // so its counts show what picking another value would return.
+  where(filters, params, { except = null } = {}) {
+    const conditions = [
+      'p.active = true',
+      `(p.search_vector @@ to_tsquery($3::regconfig, $1) OR $2 <% p.name)`
+    ];
+
+    if (except !== 'category' && filters.category) {
+      params.push(filters.category);
+      conditions.push(`p.category_id = $${params.length}`);
+    }
+    if (except !== 'price' && filters.minPrice !== undefined) {
+      params.push(filters.minPrice);
+      conditions.push(`p.price >= $${params.length}`);
+    }
+    if (except !== 'price' && filters.maxPrice !== undefined) {
+      params.push(filters.maxPrice);
+      conditions.push(`p.price <= $${params.length}`);
+    }
+
+    return `WHERE ${conditions.join(' AND ')}`;
+  }
+
+  // Escaped snippet with <mark> around the matches; null stays null
+  highlight(snippet) {
+    if (snippet === null || snippet === undefined) {
+      return snippet;
+    }
+    return snippet
+      .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+      .replaceAll(MARK_START, '<mark>')
+      .replaceAll(MARK_STOP, '</mark>');
+  }
+
+  // Full-text matches rank in (1, 2], typo-only matches by similarity in (0, 1],
+  // so a real match always comes first. Snippets are only built for the page.
+  async hits(text, filters, { limit, offset, language }) {
+    const params = this.params(text, language);
+    const where = this.where(filters, params);
+    params.push(limit, offset, HEADLINE_OPTIONS, MARK_START + MARK_STOP);
+    const n = params.length;
+
+    const result = await dbPool.query(`
+      WITH hits AS (
+        SELECT p.id, p.name, p.description, p.price, p.stock_quantity, p.created_at, p.updated_at,
+               p.category_id, c.name AS category_name,
+               CASE WHEN p.search_vector @@ to_tsquery($3::regconfig, $1)
+                    THEN 1 + ts_rank_cd(p.search_vector, to_tsquery($3::regconfig, $1), 32)
+                    ELSE word_similarity($2, p.name)
+               END AS rank
+        FROM products p
+        JOIN categories c ON p.category_id = c.id
+        ${where}
+        ORDER BY rank DESC, p.id
+        LIMIT $${n - 3} OFFSET $${n - 2}
+      )
+      SELECT hits.*,
+             ts_headline($3::regconfig, translate(hits.name, $${n}, ''), to_tsquery($3::regconfig, $1), $${n - 1}) AS name_highlight,
+             ts_headline($3::regconfig, translate(coalesce(hits.description, ''), $${n}, ''), to_tsquery($3::regconfig, $1), $${n - 1}) AS description_snippet
+      FROM hits
+      ORDER BY rank DESC, id
+    `, params);
+    return result.rows.map(row => ({
+      ...row,
+      name_highlight: this.highlight(row.name_highlight),
+      description_snippet: this.highlight(row.description_snippet)
+    }));
+  }
+
+  async count(text, filters, language) {
+    const params = this.params(text, language);
+    const where = this.where(filters, params);
+    const result = await dbPool.query(`SELECT COUNT(*) FROM products p ${where}`, params);
+    return parseInt(result.rows[0].count);
+  }
+
+  async categoryFacet(text, filters, language) {
+    const params = this.params(text, language);
+    const where = this.where(filters, params, { except: 'category' });
+    const result = await dbPool.query(`
+      SELECT c.id, c.name, COUNT(*) AS count
+      FROM products p
+      JOIN categories c ON p.category_id = c.id
+      ${where}
+      GROUP BY c.id, c.name
+      ORDER BY count DESC, c.name
+    `, params);
+    return result.rows.map(row => ({ id: row.id, name: row.name, count: parseInt(row.count) }));
+  }
+
+  // Every bucket is listed, empty ones with a count of 0; max is exclusive
+  // and null for the open-ended last bucket
+  async priceFacet(text, filters, language) {
+    const params = this.params(text, language);
+    const where = this.where(filters, params, { except: 'price' });
+    params.push(PRICE_BUCKETS);
+    const result = await dbPool.query(`
+      SELECT width_bucket(p.price, $${params.length}::numeric[]) AS bucket, COUNT(*) AS count
+      FROM products p
+      ${where}
+      GROUP BY bucket
+    `, params);
+
+    const counts = new Map(result.rows.map(row => [parseInt(row.bucket), parseInt(row.count)]));
+    return [0, ...PRICE_BUCKETS].map((min, bucket) => ({
+      min,
+      max: bucket < PRICE_BUCKETS.length ? PRICE_BUCKETS[bucket] : null,
+      count: counts.get(bucket) || 0
+    }));
+  }
+
+  // filters: { category, minPrice, maxPrice }; language is one of SEARCH_LANGUAGES
+  async search(text, filters = {}, { page = 1, limit = 20, language = DEFAULT_LANGUAGE } = {}) {
+    const [hits, total, categories, price] = await Promise.all([
+      this.hits(text, filters, { limit, offset: (page - 1) * limit, language }),
+      this.count(text, filters, language),
+      this.categoryFacet(text, filters, language),
+      this.priceFacet(text, filters, language)
+    ]);
+    return { hits, total, facets: { categories, price } };
+  }
+}
+
+module.exports = new ProductSearch();
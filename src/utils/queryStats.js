@@ -0,0 +1,142 @@
+// Histogram bucket upper bounds in ms; the last bucket catches everything slower
+const BUCKETS_MS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, Infinity];
+const MAX_STATEMENTS = 1000;
+const OVERFLOW_STATEMENT = '<other>';
+
+const EXPLAIN_THRESHOLD_MS = parseInt(process.env.DB_EXPLAIN_THRESHOLD_MS) || 0;
+const EXPLAIN_INTERVAL_MS = parseInt(process.env.DB_EXPLAIN_INTERVAL_MS) || 60000;
+
+// Per-statement latency, row and error counters for this worker. Statements
+// are normalized so calls differing only in literals share one entry.
+class QueryStats {
+  constructor() {
+    this.statements = new Map();
+    this.since = new Date();
+  }
+
+  normalize(text) {
+    return text
+      .replace(/--.*$/gm, '')
+      .replace(/'(?:[^']|'')*'/g, '?')
+      .replace(/(?<![$\w])\d+(?:\.\d+)?\b/g, '?')
+      .replace(/\s+/g, ' ')
+      .replace(/\bIN \((?:\s*(?:\$\d+|\?)\s*,?)+\)/gi, 'IN (...)')
+      .trim();
+  }
+
+  entryFor(statement) {
+    let entry = this.statements.get(statement);
+    if (!entry) {
+      // Bound memory if callers build SQL with inlined values
+      if (this.statements.size >= MAX_STATEMENTS && statement !== OVERFLOW_STATEMENT) {
+        return this.entryFor(OVERFLOW_STATEMENT);
+      }
+      entry = {
+        calls: 0,
+        errors: 0,
+        rows: 0,
+        totalMs: 0,
+        maxMs: 0,
+        buckets: new Array(BUCKETS_MS.length).fill(0),
+        lastError: null,
+        lastSeenAt: null,
+        explain: null
+      };
+      this.statements.set(statement, entry);
+    }
+    return entry;
+  }
+
+  record(text, durationMs, result, error) {
+    const entry = this.entryFor(this.normalize(text));
+    entry.calls++;
+    entry.totalMs += durationMs;
+    entry.maxMs = Math.max(entry.maxMs, durationMs);
+    entry.buckets[BUCKETS_MS.findIndex(bound => durationMs <= bound)]++;
+    entry.lastSeenAt = Date.now();
+
+    if (error) {
+      entry.errors++;
+      entry.lastError = error.message;
+    } else if (result && result.rowCount) {
+      entry.rows += result.rowCount;
+    }
+  }
+
+  // At most one plan per statement per interval, and only when enabled
+  shouldExplain(text, durationMs) {
+    if (!EXPLAIN_THRESHOLD_MS || durationMs < EXPLAIN_THRESHOLD_MS) {
+      return false;
+    }
+
+    const entry = this.entryFor(this.normalize(text));
+    const now = Date.now();
+    if (entry.explainStartedAt && now - entry.explainStartedAt < EXPLAIN_INTERVAL_MS) {
+      return false;
+    }
+    entry.explainStartedAt = now;
+    return true;
+  }
+
+  recordPlan(text, durationMs, pool, plan) {
+    this.entryFor(this.normalize(text)).explain = {
+      capturedAt: new Date().toISOString(),
+      durationMs,
+      pool,
+      plan
+    };
+  }
+
+  // Upper bound of the bucket holding the given percentile, capped at the observed max
+  percentile(entry, p) {
+    const target = Math.ceil(entry.calls * p);
+    let seen = 0;
+    for (let i = 0; i < BUCKETS_MS.length; i++) {
+      seen += entry.buckets[i];
+      if (seen >= target) {
+        return Math.min(BUCKETS_MS[i], entry.maxMs);
+      }
+    }
+    return entry.maxMs;
+  }
+
+  getStatements({ sort = 'totalMs', limit = 50 } = {}) {
+    const statements = [...this.statements.entries()]
+      .filter(([, entry]) => entry.calls > 0)
+      .map(([statement, entry]) => ({
+        statement,
+        calls: entry.calls,
+        errors: entry.errors,
+        rows: entry.rows,
+        totalMs: Math.round(entry.totalMs),
+        meanMs: Math.round(entry.totalMs / entry.calls * 100) / 100,
+        p50Ms: this.percentile(entry, 0.5),
+        p95Ms: this.percentile(entry, 0.95),
+        p99Ms: this.percentile(entry, 0.99),
+        maxMs: entry.maxMs,
+        histogram: Object.fromEntries(BUCKETS_MS.map((bound, i) => [
+          bound === Infinity ? '+Inf' : String(bound),
+          entry.buckets[i]
+        ])),
+        lastError: entry.lastError,
+        lastSeenAt: new Date(entry.lastSeenAt).toISOString(),
+        explain: entry.explain
+      }));
+
+    statements.sort((a, b) => b[sort] - a[sort]);
+
+    return {
+      since: this.since.toISOString(),
+      worker: process.pid,
+      explainThresholdMs: EXPLAIN_THRESHOLD_MS || null,
+      statements: statements.slice(0, limit)
+    };
+  }
+
+  reset() {
+    this.statements.clear();
+    this.since = new Date();
+  }
+}
+
+module.exports = new QueryStats();
@@ -0,0 +1,17 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request state that deep layers (e.g. DatabaseManager) can read without
+// threading req through every call
+const storage = new AsyncLocalStorage();
+
+const requestContext = {
+  middleware() {
+    return (req, res, next) => storage.run({ req }, next);
+  },
+
+  get() {
+    return storage.getStore();
+  }
+};
+
+module.exports = requestContext;
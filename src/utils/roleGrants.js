@@ -0,0 +1,61 @@
+require('dotenv').config();
+
+const dbPool = require('../config/database');
+const { ROLES } = require('../config/roles');
+const auditLog = require('./auditLog');
+
+// Grants roles from the command line, for operators with database access. This
+// is how a fresh deployment gets its first admin; from then on admins grant
+// roles through POST /api/admin/users/:id/roles.
+class RoleGrants {
+  // The updated user, or null when no account has that email
+  async grant(email, role = 'admin') {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}", expected one of ${ROLES.join(', ')}`);
+    }
+
+    const result = await dbPool.query(`
+      UPDATE users
+      SET roles = CASE WHEN $2 = ANY(roles) THEN roles ELSE array_append(roles, $2) END, updated_at = NOW()
+      WHERE email = $1 AND deleted_at IS NULL
+      RETURNING id, email, roles
+    `, [String(email).trim().toLowerCase(), role]);
+
+    const user = result.rows[0] || null;
+    if (user) {
+      // No actor: whoever ran the command had database access, not an account
+      await auditLog.record('role.grant', {
+        userId: user.id,
+        email: user.email,
+        details: { role, action: 'grant', via: 'cli' }
+      });
+    }
+    return user;
+  }
+}
+
+const roleGrants = new RoleGrants();
+
+// CLI interface: node src/utils/roleGrants.js <email> [role]
+if (require.main === module) {
+  const [email, role = 'admin'] = process.argv.slice(2);
+  if (!email) {
+    console.error('Usage: npm run grant-role -- <email> [customer|staff|admin]');
+    process.exit(1);
+  }
+
+  roleGrants.grant(email, role)
+    .then(user => {
+      if (!user) {
+        throw new Error(`No account with email ${email}`);
+      }
+      console.log(`User ${user.id} (${user.email}) now has roles: ${user.roles.join(', ')}; it applies from their next login or token refresh`);
+      return dbPool.end();
+    })
+    .catch(error => {
+      console.error(`Role grant failed: ${error.message}`);
+      dbPool.end().finally(() => process.exit(1));
+    });
+}
+
+module.exports = roleGrants;
@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const bcrypt = require('bcryptjs');
+const { from: copyFrom } = require('pg-copy-streams');
+require('dotenv').config();
+
+const dbPool = require('../config/database');
+const logger = require('./logger');
+
+const MANIFEST_PATH = path.resolve(process.env.SEED_MANIFEST || path.join(__dirname, '../../tests/seed-manifest.json'));
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ADMIN_USER_ID = 1;
+const BCRYPT_SALT_ALPHABET = './ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const DEFAULTS = {
+  users: 1000,
+  categories: 20,
+  products: 500,
+  orders: 5000,
+  seed: 42,
+  password: 'LoadTest123!',
+  batchSize: 5000
+};
+
+const CATEGORY_NAMES = [
+  'Electronics', 'Books', 'Clothing', 'Home & Kitchen', 'Garden', 'Toys', 'Sports', 'Beauty',
+  'Health', 'Automotive', 'Grocery', 'Music', 'Movies', 'Office', 'Pet Supplies', 'Tools',
+  'Jewelry', 'Shoes', 'Baby', 'Outdoors'
+];
+const ADJECTIVES = ['Classic', 'Compact', 'Deluxe', 'Eco', 'Ergonomic', 'Portable', 'Premium', 'Rugged', 'Smart', 'Vintage', 'Wireless', 'Ultra'];
+const NOUNS = ['Backpack', 'Blender', 'Camera', 'Chair', 'Desk Lamp', 'Headphones', 'Jacket', 'Kettle', 'Keyboard', 'Mug', 'Speaker', 'Sneakers', 'Tent', 'Watch'];
+const FIRST_NAMES = ['Alex', 'Sam', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery', 'Quinn', 'Robin', 'Charlie'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Chen', 'Okafor', 'Novak', 'Silva', 'Kim', 'Müller', 'Rossi', 'Haddad', 'Larsen', 'Patel'];
+const CITIES = ['Berlin', 'Lisbon', 'Toronto', 'Austin', 'Osaka', 'Lagos', 'Melbourne', 'Bogotá'];
+const PAYMENT_METHODS = ['credit_card', 'paypal', 'bank_transfer'];
+
+// Weighted so analytics see a realistic mix; cancelled orders give stock back
+const ORDER_STATUSES = [
+  ['completed', 50], ['shipped', 15], ['processing', 10], ['pending', 15], ['cancelled', 10]
+];
+
+// mulberry32: small, fast and good enough for fixtures. Same seed, same data.
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  next.int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  next.pick = (items) => items[Math.floor(next() * items.length)];
+  next.weighted = (pairs) => {
+    let roll = next() * pairs.reduce((sum, [, weight]) => sum + weight, 0);
+    for (const [value, weight] of pairs) {
+      roll -= weight;
+      if (roll < 0) return value;
+    }
+    return pairs[pairs.length - 1][0];
+  };
+  return next;
+};
+
+// COPY text format: tab separated, \N for NULL, backslash escapes
+const encodeValue = (value) => {
+  if (value === null || value === undefined) return '\\N';
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+};
+const encodeRow = (row) => row.map(encodeValue).join('\t') + '\n';
+
+const timestamp = (ms) => new Date(ms).toISOString();
+const cents = (amount) => (amount / 100).toFixed(2);
+
+class Seeder {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.random = createRandom(this.options.seed);
+    // Timestamps are relative to the start of today, so analytics windows have data
+    this.now = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+  }
+
+  async copy(client, table, columns, rows) {
+    if (rows.length === 0) return;
+    const stream = client.query(copyFrom(`COPY ${table} (${columns.join(', ')}) FROM STDIN`));
+    await pipeline(Readable.from([rows.map(encodeRow).join('')]), stream);
+  }
+
+  // Generates count rows with makeRow(id) and COPYs them in batches
+  async copyGenerated(client, table, columns, count, makeRow) {
+    let rows = [];
+    for (let id = 1; id <= count; id++) {
+      rows.push(makeRow(id));
+      if (rows.length >= this.options.batchSize) {
+        await this.copy(client, table, columns, rows);
+        rows = [];
+      }
+    }
+    await this.copy(client, table, columns, rows);
+    logger.info(`Seeded ${count} ${table}`);
+  }
+
+  // One shared hash with a salt derived from the seed keeps the dump reproducible
+  // and avoids bcrypt-hashing every user
+  passwordHash() {
+    const rounds = String(parseInt(process.env.BCRYPT_ROUNDS) || 10).padStart(2, '0');
+    const salt = Array.from({ length: 22 }, () => this.random.pick(BCRYPT_SALT_ALPHABET)).join('');
+    return bcrypt.hashSync(this.options.password, `$2a$${rounds}$${salt}`);
+  }
+
+  async seedUsers(client) {
+    const hash = this.passwordHash();
+    this.userCreatedAt = new Float64Array(this.options.users + 1);
+
+    // Seeded users are verified; user 1 is an admin, so staff-only endpoints can be load tested too
+    await this.copyGenerated(client, 'users', ['id', 'email', 'password', 'name', 'roles', 'email_verified_at', 'created_at', 'updated_at'], this.options.users, (id) => {
+      const createdAt = this.now - this.random.int(1, 730) * DAY_MS + this.random.int(0, DAY_MS - 1);
+      this.userCreatedAt[id] = createdAt;
+      const name = `${this.random.pick(FIRST_NAMES)} ${this.random.pick(LAST_NAMES)}`;
+      const roles = id === ADMIN_USER_ID ? '{customer,staff,admin}' : '{customer}';
+      return [id, Seeder.email(id), hash, name, roles, timestamp(createdAt), timestamp(createdAt), timestamp(createdAt)];
+    });
+  }
+
+  async seedCategories(client) {
+    await this.copyGenerated(client, 'categories', ['id', 'name', 'description'], this.options.categories, (id) => {
+      const base = CATEGORY_NAMES[(id - 1) % CATEGORY_NAMES.length];
+      const name = id > CATEGORY_NAMES.length ? `${base} ${Math.ceil(id / CATEGORY_NAMES.length)}` : base;
+      return [id, name, `Everything in ${name}`];
+    });
+  }
+
+  async seedProducts(client) {
+    const count = this.options.products;
+    this.priceCents = new Int32Array(count + 1);
+    this.stock = new Int32Array(count + 1);
+    this.active = new Uint8Array(count + 1);
+
+    await this.copyGenerated(client, 'products', ['id', 'name', 'description', 'price', 'category_id', 'stock_quantity', 'active', 'created_at', 'updated_at'], count, (id) => {
+      // Log-uniform between 1.00 and 1000.00: many cheap products, a few expensive ones
+      this.priceCents[id] = Math.round(Math.exp(this.random() * Math.log(1000)) * 100);
+      this.stock[id] = this.random.int(0, 1000);
+      this.active[id] = this.random() < 0.95 ? 1 : 0;
+
+      const name = `${this.random.pick(ADJECTIVES)} ${this.random.pick(NOUNS)} ${id}`;
+      const createdAt = timestamp(this.now - this.random.int(1, 365) * DAY_MS);
+      return [
+        id, name, `${name}, a seeded product for load testing`, cents(this.priceCents[id]),
+        this.random.int(1, this.options.categories), this.stock[id], this.active[id] ? 't' : 'f',
+        createdAt, createdAt
+      ];
+    });
+  }
+
+  // An active product with stock left, or null once a few tries find none
+  pickProduct() {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const id = this.random.int(1, this.options.products);
+      if (this.active[id] && this.stock[id] > 0) return id;
+    }
+    return null;
+  }
+
+  // Orders and their items are flushed together so every item's order exists
+  async seedOrders(client) {
+    const orderColumns = ['id', 'user_id', 'status', 'total_amount', 'shipping_address', 'payment_method', 'created_at', 'updated_at'];
+    const itemColumns = ['order_id', 'product_id', 'quantity', 'unit_price', 'total_price'];
+    let orders = [];
+    let items = [];
+    let orderId = 0;
+    let itemCount = 0;
+
+    const flush = async () => {
+      await this.copy(client, 'orders', orderColumns, orders);
+      await this.copy(client, 'order_items', itemColumns, items);
+      orders = [];
+      items = [];
+    };
+
+    for (let i = 0; i < this.options.orders; i++) {
+      const userId = this.random.int(1, this.options.users);
+      const status = this.random.weighted(ORDER_STATUSES);
+      const orderItems = [];
+      let totalCents = 0;
+
+      for (let n = this.random.int(1, 4); n > 0; n--) {
+        const productId = this.pickProduct();
+        if (productId === null) continue;
+
+        const quantity = Math.min(this.random.int(1, 3), this.stock[productId]);
+        if (status !== 'cancelled') {
+          this.stock[productId] -= quantity;
+        }
+        totalCents += this.priceCents[productId] * quantity;
+        orderItems.push([productId, quantity, cents(this.priceCents[productId]), cents(this.priceCents[productId] * quantity)]);
+      }
+
+      // Catalogue sold out for this draw; skip rather than write an empty order
+      if (orderItems.length === 0) continue;
+
+      orderId++;
+      itemCount += orderItems.length;
+      const since = this.userCreatedAt[userId];
+      const createdAt = timestamp(since + Math.floor(this.random() * (this.now - since)));
+      const address = {
+        street: `${this.random.int(1, 999)} ${this.random.pick(LAST_NAMES)} Street`,
+        city: this.random.pick(CITIES),
+        zip: String(this.random.int(10000, 99999))
+      };
+
+      orders.push([orderId, userId, status, cents(totalCents), JSON.stringify(address), this.random.pick(PAYMENT_METHODS), createdAt, createdAt]);
+      orderItems.forEach(item => items.push([orderId, ...item]));
+
+      if (orders.length >= this.options.batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+
+    this.orderCount = orderId;
+    logger.info(`Seeded ${orderId} orders with ${itemCount} order_items`);
+  }
+
+  // Products were written with their starting stock; apply what the orders sold
+  async applyStock(client) {
+    await client.query('CREATE TEMP TABLE seed_stock (id INTEGER PRIMARY KEY, stock INTEGER NOT NULL) ON COMMIT DROP');
+    const rows = [];
+    for (let id = 1; id <= this.options.products; id++) {
+      rows.push([id, this.stock[id]]);
+    }
+    for (let start = 0; start < rows.length; start += this.options.batchSize) {
+      await this.copy(client, 'seed_stock', ['id', 'stock'], rows.slice(start, start + this.options.batchSize));
+    }
+    await client.query(`
+      UPDATE products p SET stock_quantity = s.stock
+      FROM seed_stock s
+      WHERE p.id = s.id AND p.stock_quantity <> s.stock
+    `);
+  }
+
+  // Explicit ids were copied in, so move each sequence past them
+  async resetSequences(client) {
+    for (const table of ['users', 'categories', 'products', 'orders', 'order_items']) {
+      await client.query(`
+        SELECT setval(pg_get_serial_sequence('${table}', 'id'), COALESCE(MAX(id), 1), MAX(id) IS NOT NULL)
+        FROM ${table}
+      `);
+    }
+  }
+
+  async reset(client) {
+    await client.query('TRUNCATE order_items, orders, products, categories, users RESTART IDENTITY CASCADE');
+    logger.info('Seed reset: truncated users, categories, products, orders and order_items');
+  }
+
+  async run({ reset = false } = {}) {
+    const { users, categories, products, orders, batchSize } = this.options;
+    const valid = [users, categories, products, batchSize].every(n => Number.isInteger(n) && n >= 1)
+      && Number.isInteger(orders) && orders >= 0;
+    if (!valid) {
+      throw new Error('users, categories, products and batch size must be positive integers, orders non-negative');
+    }
+
+    await dbPool.withClient(async (client) => {
+      await client.query('BEGIN');
+      try {
+        // Bulk loads outlast the pool's per-statement timeout
+        await client.query('SET LOCAL statement_timeout = 0');
+
+        if (reset) {
+          await this.reset(client);
+        } else {
+          const existing = await client.query('SELECT (SELECT COUNT(*) FROM users) + (SELECT COUNT(*) FROM products) AS count');
+          if (parseInt(existing.rows[0].count) > 0) {
+            throw new Error('Database already has users or products; run with --reset to replace them');
+          }
+        }
+
+        await this.seedUsers(client);
+        await this.seedCategories(client);
+        await this.seedProducts(client);
+        await this.seedOrders(client);
+        await this.applyStock(client);
+        await this.resetSequences(client);
+        // Fresh statistics, so the first load test doesn't run on bad plans
+        await client.query('ANALYZE users, categories, products, orders, order_items');
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    });
+
+    return this.writeManifest();
+  }
+
+  // What the load tester needs to build realistic requests
+  writeManifest() {
+    const activeProductIds = [];
+    for (let id = 1; id <= this.options.products; id++) {
+      if (this.active[id]) activeProductIds.push(id);
+    }
+
+    const manifest = {
+      seed: this.options.seed,
+      generatedAt: new Date().toISOString(),
+      counts: {
+        users: this.options.users,
+        categories: this.options.categories,
+        products: this.options.products,
+        orders: this.orderCount
+      },
+      users: {
+        emailTemplate: Seeder.email('{id}'),
+        password: this.options.password,
+        adminId: ADMIN_USER_ID
+      },
+      activeProductIds
+    };
+
+    fs.mkdirSync(path.dirname(MANIFEST_PATH), { recursive: true });
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest));
+    logger.info(`Seed manifest written to ${MANIFEST_PATH}`);
+    return manifest;
+  }
+
+  static email(id) {
+    return `user${id}@seed.example.com`;
+  }
+}
+
+// CLI: npm run seed -- --users 100000 --products 50000 --orders 1000000 [--seed 7] [--reset]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const number = (name) => option(name) === undefined ? undefined : parseInt(option(name));
+
+  const options = Object.fromEntries(Object.entries({
+    users: number('users'),
+    categories: number('categories'),
+    products: number('products'),
+    orders: number('orders'),
+    seed: number('seed'),
+    batchSize: number('batch-size'),
+    password: option('password')
+  }).filter(([, value]) => value !== undefined));
+
+  const started = Date.now();
+  new Seeder(options).run({ reset: args.includes('--reset') })
+    .then(manifest => {
+      console.log(`Seeded ${JSON.stringify(manifest.counts)} in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+      return dbPool.end();
+    })
+    .catch(error => {
+      console.error(`Seed failed: ${error.message}`);
+      dbPool.end().finally(() => process.exit(1));
+    });
+}
+
+module.exports = Seeder;
@@ -0,0 +1,95 @@
+const { query } = require('express-validator');
+const { VISIBILITY, RESOURCES } = require('../config/resources');
+const { hasRole } = require('../config/roles');
+
+// Turns database rows into response bodies using the field rules in
+// config/resources.js: each record only shows the fields the caller may see,
+// narrowed further by a `fields=` query parameter (sparse fieldsets)
+class Serializer {
+  constructor() {
+    for (const [name, resource] of Object.entries(RESOURCES)) {
+      for (const [field, visibility] of Object.entries(resource.fields)) {
+        if (!VISIBILITY.includes(visibility)) {
+          throw new Error(`Unknown visibility "${visibility}" for ${name}.${field}`);
+        }
+      }
+    }
+  }
+
+  resource(name) {
+    const resource = RESOURCES[name];
+    if (!resource) {
+      throw new Error(`Unknown resource "${name}"`);
+    }
+    return resource;
+  }
+
+  // API keys hold scopes rather than roles, so they never see staff fields;
+  // they do see what their owner owns
+  viewer(req) {
+    const user = req.user;
+    return {
+      id: user ? user.id : null,
+      staff: Boolean(user && (!req.principal || req.principal.type === 'user') && hasRole(user.roles, 'staff'))
+    };
+  }
+
+  // "name,email" -> ['name', 'email']; null when no fieldset was asked for
+  requestedFields(req) {
+    const { fields } = req.query;
+    if (typeof fields !== 'string' || fields.trim() === '') {
+      return null;
+    }
+    return fields.split(',').map(field => field.trim()).filter(Boolean);
+  }
+
+  canSee(visibility, viewer, ownerId) {
+    if (visibility === 'public' || viewer.staff) {
+      return true;
+    }
+    return visibility === 'owner' && viewer.id !== null && ownerId !== undefined && String(viewer.id) === String(ownerId);
+  }
+
+  // A record or an array of records. The id is kept even when the fieldset
+  // leaves it out, so clients can still tell records apart.
+  serialize(req, name, data) {
+    const resource = this.resource(name);
+    const viewer = this.viewer(req);
+    const requested = this.requestedFields(req);
+
+    const one = (record) => {
+      if (!record) {
+        return record;
+      }
+      const ownerId = resource.owner ? resource.owner(record) : undefined;
+      const output = {};
+      for (const [field, visibility] of Object.entries(resource.fields)) {
+        if (!(field in record) || !this.canSee(visibility, viewer, ownerId)) {
+          continue;
+        }
+        if (requested && field !== 'id' && !requested.includes(field)) {
+          continue;
+        }
+        output[field] = record[field];
+      }
+      return output;
+    };
+
+    return Array.isArray(data) ? data.map(one) : one(data);
+  }
+
+  // Validation for `fields=`: unknown names are a 400; known fields the
+  // caller may not see are silently left out
+  fieldsQuery(name) {
+    const known = Object.keys(this.resource(name).fields);
+    return query('fields').optional().isString().custom((value) => {
+      const unknown = value.split(',').map(field => field.trim()).filter(field => field && !known.includes(field));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown fields: ${unknown.join(', ')} (available: ${known.join(', ')})`);
+      }
+      return true;
+    });
+  }
+}
+
+module.exports = new Serializer();
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dbPool = require('../config/database');
+const redisClient = require('../config/redis');
+const keyring = require('./keyring');
+const twoFactor = require('./twoFactor');
+const logger = require('./logger');
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.JWT_ACCESS_TTL_SECONDS) || 900;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const CHALLENGE_TTL_SECONDS = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS) || 300;
+const DENYLIST_PREFIX = 'auth:denylist:';
+
+// Short-lived access tokens (JWT) plus rotating refresh tokens. A login starts a
+// token family whose id travels in the access token as `sid`; revoking the family
+// ends the session. Access tokens are revoked early through a Redis denylist of
+// jti and sid values, kept only as long as an access token can live.
+class TokenService {
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Signs with the keyring's active key; the kid header tells verifiers,
+  // including other services reading /.well-known/jwks.json, which key to use
+  sign(payload, options = {}) {
+    const key = keyring.signingKey();
+    return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid });
+  }
+
+  // Throws like jwt.verify. A token without a kid is an HS256 token issued
+  // before the keyring, accepted only while JWT_SECRET is still set. Tokens
+  // for another purpose (2FA challenges) never pass as access tokens.
+  verify(token, { purpose = 'access' } = {}) {
+    const payload = this.verifySignature(token);
+    if ((payload.purpose || 'access') !== purpose) {
+      throw new jwt.JsonWebTokenError(`jwt purpose is not ${purpose}`);
+    }
+    return payload;
+  }
+
+  verifySignature(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { kid } = decoded.header;
+    if (!kid) {
+      if (!process.env.JWT_SECRET) {
+        throw new jwt.JsonWebTokenError('jwt has no key id');
+      }
+      return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    }
+
+    const key = keyring.verificationKey(kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError(`unknown key id ${kid}`);
+    }
+    return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+  }
+
+  // tier is the user's plan tier, read by the rate limiter before auth runs
+  signAccessToken(user, sessionId, roles) {
+    return this.sign(
+      { id: user.id, email: user.email, roles, tier: user.tier || 'authenticated', sid: sessionId },
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  // Proof that the password step of a 2FA login passed; exchanged together
+  // with a code at POST /api/users/login/verify
+  signChallenge(user) {
+    return {
+      challengeToken: this.sign(
+        { id: user.id, purpose: '2fa_challenge' },
+        { expiresIn: CHALLENGE_TTL_SECONDS, jwtid: crypto.randomUUID() }
+      ),
+      expiresIn: CHALLENGE_TTL_SECONDS
+    };
+  }
+
+  verifyChallenge(token) {
+    return this.verify(token, { purpose: '2fa_challenge' });
+  }
+
+  // db is the pool or a transaction client
+  async insertRefreshToken(db, userId, familyId, meta = {}) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const result = await db.query(`
+      INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at, user_agent, ip)
+      VALUES ($1, $2, $3, NOW() + make_interval(days => $4), $5, $6)
+      RETURNING id
+    `, [userId, familyId, this.hash(token), REFRESH_TOKEN_TTL_DAYS, meta.userAgent || null, meta.ip || null]);
+
+    return { id: result.rows[0].id, token };
+  }
+
+  // Roles that need 2FA are left out of the token until the user enrolls
+  async session(user, familyId, refreshToken) {
+    const { roles, withheld } = await twoFactor.effectiveRoles(user);
+    const session = {
+      token: this.signAccessToken(user, familyId, roles),
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+    if (withheld.length > 0) {
+      session.twoFactorSetupRequired = { withheldRoles: withheld };
+    }
+    return session;
+  }
+
+  // Starts a new session (token family) for a user who just authenticated
+  async issue(user, meta) {
+    const familyId = crypto.randomUUID();
+    const { token } = await this.insertRefreshToken(dbPool, user.id, familyId, meta);
+    return this.session(user, familyId, token);
+  }
+
+  // Exchanges a refresh token for a new pair. Returns null when the token is
+  // unknown, expired or revoked. Presenting an already rotated token means it
+  // leaked, so the whole family is revoked.
+  async rotate(refreshToken, meta) {
+    const outcome = await dbPool.transaction(async (client) => {
+      const result = await client.query(`
+        SELECT rt.id, rt.user_id, rt.family_id, rt.expires_at, rt.revoked_at, u.email, u.roles, u.tier, u.two_factor_enabled_at
+        FROM refresh_tokens rt
+        JOIN users u ON u.id = rt.user_id
+        WHERE rt.token_hash = $1
+        FOR UPDATE OF rt
+      `, [this.hash(refreshToken)]);
+
+      const row = result.rows[0];
+      if (!row) {
+        return null;
+      }
+      if (row.revoked_at) {
+        await this.revokeFamily(client, row.family_id);
+        return { reused: row };
+      }
+      if (row.expires_at <= new Date()) {
+        return null;
+      }
+
+      const next = await this.insertRefreshToken(client, row.user_id, row.family_id, meta);
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $2 WHERE id = $1',
+        [row.id, next.id]
+      );
+      // Roles and tier are re-read, so changes apply from the next refresh
+      return {
+        user: { id: row.user_id, email: row.email, roles: row.roles, tier: row.tier, two_factor_enabled_at: row.two_factor_enabled_at },
+        familyId: row.family_id,
+        token: next.token
+      };
+    });
+
+    if (!outcome) {
+      return null;
+    }
+    if (outcome.reused) {
+      logger.warn(`Refresh token reuse for user ${outcome.reused.user_id}, revoking session ${outcome.reused.family_id}`);
+      await this.denySession(outcome.reused.family_id);
+      return null;
+    }
+    return this.session(outcome.user, outcome.familyId, outcome.token);
+  }
+
+  async revokeFamily(db, familyId) {
+    await db.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+      [familyId]
+    );
+  }
+
+  // Ends the session behind the access token, or every session of its user
+  async logout(decoded, { all = false } = {}) {
+    const sessions = all ? await this.revokeAllSessions(decoded.id) : new Set();
+
+    if (decoded.sid && !sessions.has(decoded.sid)) {
+      await this.revokeFamily(dbPool, decoded.sid);
+      await this.denySession(decoded.sid);
+      sessions.add(decoded.sid);
+    }
+
+    await this.denyToken(decoded);
+    return sessions.size;
+  }
+
+  // Revokes every live session of a user, or all but `except`; returns their session ids
+  async revokeAllSessions(userId, { except = null } = {}) {
+    const result = await dbPool.query(`
+      UPDATE refresh_tokens SET revoked_at = NOW()
+      WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR family_id <> $2::uuid)
+      RETURNING family_id
+    `, [userId, except]);
+    const sessions = new Set(result.rows.map(row => row.family_id));
+    await Promise.all([...sessions].map(sid => this.denySession(sid)));
+    return sessions;
+  }
+
+  async denyToken(decoded) {
+    const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+    if (decoded.jti && ttl > 0) {
+      await redisClient.set(`${DENYLIST_PREFIX}jti:${decoded.jti}`, 1, ttl);
+    }
+  }
+
+  async denySession(sessionId) {
+    await redisClient.set(`${DENYLIST_PREFIX}sid:${sessionId}`, 1, ACCESS_TOKEN_TTL_SECONDS);
+  }
+
+  // Fails open while Redis is degraded: revocation then falls back to access token expiry
+  async isRevoked(decoded) {
+    const checks = [];
+    if (decoded.jti) checks.push(redisClient.exists(`${DENYLIST_PREFIX}jti:${decoded.jti}`));
+    if (decoded.sid) checks.push(redisClient.exists(`${DENYLIST_PREFIX}sid:${decoded.sid}`));
+
+    const results = await Promise.all(checks);
+    return results.some(count => count > 0);
+  }
+}
+
+module.exports = new TokenService();
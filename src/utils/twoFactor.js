@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const dbPool = require('../config/database');
+const { ROLES, rank, resolveRoles } = require('../config/roles');
+const auditLog = require('./auditLog');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'High Performance API';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const POLICY_CACHE_MS = 30000;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 second steps), as authenticator apps expect
+const totp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', secret).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+};
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// TOTP enrollment and verification, recovery codes and the per-role policy
+// that makes 2FA mandatory for some roles
+class TwoFactorService {
+  constructor() {
+    this.policy = null;
+  }
+
+  // AES-256-GCM key for secrets at rest, 32 bytes in base64. Checked at
+  // startup too, so a missing key doesn't wait for the first enrollment.
+  encryptionKey() {
+    const key = Buffer.from(process.env.TWO_FACTOR_ENCRYPTION_KEY || '', 'base64');
+    if (key.length !== 32) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY must be 32 bytes, base64 encoded (generate one with: openssl rand -base64 32)');
+    }
+    return key;
+  }
+
+  encrypt(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret), cipher.final()]);
+    return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => typeof part === 'string' ? part : part.toString('base64')).join(':');
+  }
+
+  decrypt(stored) {
+    const [, iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  }
+
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+  }
+
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+  }
+
+  // The matching time step, or null
+  matchStep(secret, code) {
+    const candidate = Buffer.from(String(code).replace(/\s/g, ''));
+    const current = this.currentStep();
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      const expected = Buffer.from(totp(secret, step));
+      if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  async status(userId) {
+    const result = await dbPool.query(`
+      SELECT u.two_factor_enabled_at,
+             (SELECT COUNT(*) FROM two_factor_recovery_codes c WHERE c.user_id = u.id AND c.used_at IS NULL) AS recovery_codes
+      FROM users u
+      WHERE u.id = $1
+    `, [userId], { primary: true });
+
+    const row = result.rows[0];
+    return row && {
+      enabled: Boolean(row.two_factor_enabled_at),
+      enabledAt: row.two_factor_enabled_at,
+      recoveryCodesRemaining: parseInt(row.recovery_codes)
+    };
+  }
+
+  // Starts (or restarts) enrollment with a new pending secret; 2FA stays off
+  // until confirm() sees a code from it. Returns null if 2FA is already on.
+  async enroll(user) {
+    const secret = crypto.randomBytes(20);
+    const result = await dbPool.query(`
+      UPDATE users SET two_factor_secret = $2, two_factor_last_step = NULL, updated_at = NOW()
+      WHERE id = $1 AND two_factor_enabled_at IS NULL
+      RETURNING id
+    `, [user.id, this.encrypt(secret)]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const encoded = base32Encode(secret);
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const params = new URLSearchParams({ secret: encoded, issuer: ISSUER, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return { secret: encoded, otpauthUri: `otpauth://totp/${label}?${params}` };
+  }
+
+  // Turns 2FA on once a code from the pending secret checks out; returns the
+  // recovery codes, or null when the code is wrong or nothing is pending
+  async confirm(user, code) {
+    if (!(await this.verifyCode(user.id, code, { pending: true }))) {
+      return null;
+    }
+
+    const codes = await dbPool.transaction(async (client) => {
+      await client.query('UPDATE users SET two_factor_enabled_at = NOW(), updated_at = NOW() WHERE id = $1', [user.id]);
+      return this.replaceRecoveryCodes(client, user.id);
+    });
+    await auditLog.record('two_factor.enable', { userId: user.id, actorId: user.id, email: user.email });
+    return codes;
+  }
+
+  // Checks a TOTP code against the user's enabled (or, with pending, not yet
+  // confirmed) secret. A code is accepted once: its step must be newer than
+  // the last one used, which the conditional update enforces even under races.
+  async verifyCode(userId, code, { pending = false } = {}) {
+    const result = await dbPool.query(
+      'SELECT two_factor_secret, two_factor_enabled_at FROM users WHERE id = $1',
+      [userId],
+      { primary: true }
+    );
+    const row = result.rows[0];
+    if (!row || !row.two_factor_secret || Boolean(row.two_factor_enabled_at) === pending) {
+      return false;
+    }
+
+    const step = this.matchStep(this.decrypt(row.two_factor_secret), code);
+    if (step === null) {
+      return false;
+    }
+
+    const claimed = await dbPool.query(`
+      UPDATE users SET two_factor_last_step = $2
+      WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)
+      RETURNING id
+    `, [userId, step]);
+    return claimed.rows.length > 0;
+  }
+
+  async useRecoveryCode(user, code) {
+    const result = await dbPool.query(`
+      UPDATE two_factor_recovery_codes SET used_at = NOW()
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `, [user.id, this.hashRecoveryCode(code)]);
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    await auditLog.record('two_factor.recovery_code_used', { userId: user.id, email: user.email });
+    return true;
+  }
+
+  // Either a TOTP code or a recovery code, whichever was sent
+  async verify(user, { code, recoveryCode }) {
+    if (code) {
+      return this.verifyCode(user.id, code);
+    }
+    return recoveryCode ? this.useRecoveryCode(user, recoveryCode) : false;
+  }
+
+  // db is the pool or a transaction client
+  async replaceRecoveryCodes(db, userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    await db.query(`
+      INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+      SELECT $1, unnest($2::text[])
+    `, [userId, codes.map(code => this.hashRecoveryCode(code))]);
+    return codes;
+  }
+
+  async regenerateRecoveryCodes(user) {
+    const codes = await dbPool.transaction(client => this.replaceRecoveryCodes(client, user.id));
+    await auditLog.record('two_factor.recovery_codes_regenerated', { userId: user.id, actorId: user.id, email: user.email });
+    return codes;
+  }
+
+  // actorId differs from the user when an admin resets a lost device
+  async disable(userId, { actorId = userId } = {}) {
+    const result = await dbPool.transaction(async (client) => {
+      const updated = await client.query(`
+        UPDATE users
+        SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL, updated_at = NOW()
+        WHERE id = $1
+        RETURNING id, email
+      `, [userId]);
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+      return updated.rows[0];
+    });
+    if (!result) {
+      return false;
+    }
+
+    await auditLog.record('two_factor.disable', { userId, actorId, email: result.email });
+    return true;
+  }
+
+  // Roles that need 2FA, cached briefly since every token signing asks
+  async requiredRoles() {
+    if (!this.policy || Date.now() - this.policy.loadedAt > POLICY_CACHE_MS) {
+      const result = await dbPool.query('SELECT role FROM two_factor_policies');
+      this.policy = { roles: result.rows.map(row => row.role), loadedAt: Date.now() };
+    }
+    return this.policy.roles;
+  }
+
+  async setRoleRequired(role, required, { actorId }) {
+    if (required) {
+      await dbPool.query(
+        'INSERT INTO two_factor_policies (role, required_by) VALUES ($1, $2) ON CONFLICT (role) DO NOTHING',
+        [role, actorId]
+      );
+    } else {
+      await dbPool.query('DELETE FROM two_factor_policies WHERE role = $1', [role]);
+    }
+    this.policy = null;
+
+    await auditLog.record(required ? 'two_factor.role_required' : 'two_factor.role_optional', { actorId, details: { role } });
+    return this.policies();
+  }
+
+  async policies() {
+    const required = await this.requiredRoles();
+    return ROLES.map(role => ({ role, required: required.includes(role) }));
+  }
+
+  // The roles a token may carry. Without 2FA, a user loses every role at or
+  // above the lowest role that requires it (higher roles include lower ones),
+  // possibly all of them; enrolling needs no role.
+  async effectiveRoles(user) {
+    const roles = resolveRoles(user);
+    const required = await this.requiredRoles();
+    if (user.two_factor_enabled_at || required.length === 0) {
+      return { roles, withheld: [] };
+    }
+
+    const threshold = Math.min(...required.map(rank));
+    return {
+      roles: roles.filter(role => rank(role) < threshold),
+      withheld: roles.filter(role => rank(role) >= threshold)
+    };
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,329 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const request = require('supertest');
+const dbPool = require('../src/config/database');
+const redisClient = require('../src/config/redis');
+const mailer = require('../src/utils/mailer');
+const tokens = require('../src/utils/tokens');
+const userRoutes = require('../src/routes/users');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+
+const SESSION = '4f0c8a36-7e0e-4d8f-9a53-1b4f7c2c9d01';
+const OTHER_SESSION = '9b2e4c1a-53f7-4a6b-8e0d-2c7f1a9e6b42';
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// The columns a SELECT or RETURNING lists, as Postgres would return them
+const columns = (sql, row) => {
+  const list = sql.match(/(?:SELECT|RETURNING) ([\w, ]+?)\s+FROM|RETURNING ([\w, ]+)\s*$/);
+  const names = (list[1] || list[2]).split(',').map(name => name.trim());
+  return Object.fromEntries(names.map(name => [name, row[name] === undefined ? null : row[name]]));
+};
+
+// users, account_tokens, refresh_tokens and api_keys as accounts.js,
+// accountTokens.js and the login route query them
+const createTables = () => {
+  const tables = {
+    users: [
+      {
+        id: 7,
+        email: 'ada@example.com',
+        pending_email: null,
+        name: 'Ada',
+        password: bcrypt.hashSync('correct horse', 4),
+        roles: ['customer'],
+        tier: 'authenticated',
+        email_verified_at: new Date('2026-01-10T00:00:00Z'),
+        two_factor_enabled_at: null,
+        deleted_at: null
+      },
+      { id: 8, email: 'bob@example.com', pending_email: null, name: 'Bob', deleted_at: null }
+    ],
+    accountTokens: [],
+    sessions: [
+      { family_id: SESSION, user_id: 7, revoked_at: null },
+      { family_id: OTHER_SESSION, user_id: 7, revoked_at: null }
+    ],
+    apiKeys: [{ id: 3, user_id: 7, key_hash: 'a'.repeat(64), revoked_at: null }]
+  };
+  const user = (id) => tables.users.find(row => row.id === Number(id) && !row.deleted_at);
+
+  dbPool
+    .on(/FROM users WHERE id = \$1 AND deleted_at IS NULL/, ([id], sql) => (user(id) ? [columns(sql, user(id))] : []))
+    .on(/FROM users WHERE email = \$1 AND id <> \$2/, ([email, id]) => (
+      tables.users.filter(row => row.email === email && row.id !== id).map(() => ({ '?column?': 1 }))
+    ))
+    .on(/FROM users WHERE email = \$1/, ([email]) => tables.users.filter(row => row.email === email))
+    .on(/pending_email = COALESCE/, ([id, name, email], sql) => {
+      const row = user(id);
+      if (!row) return [];
+      row.name = name || row.name;
+      row.pending_email = email || row.pending_email;
+      return [columns(sql, row)];
+    })
+    .on(/UPDATE account_tokens SET used_at = NOW\(\) WHERE user_id/, ([userId, purpose]) => {
+      tables.accountTokens
+        .filter(row => row.user_id === userId && row.purpose === purpose)
+        .forEach(row => { row.used_at = new Date(); });
+    })
+    .on(/INSERT INTO account_tokens/, ([userId, purpose, tokenHash, , email]) => {
+      tables.accountTokens.push({ user_id: userId, purpose, token_hash: tokenHash, email, used_at: null });
+    })
+    .on(/UPDATE account_tokens SET used_at = NOW\(\)\s+WHERE token_hash/, ([tokenHash, purposes]) => {
+      const row = tables.accountTokens.find(token => token.token_hash === tokenHash && purposes.includes(token.purpose) && !token.used_at);
+      if (!row) return [];
+      row.used_at = new Date();
+      return [row];
+    })
+    .on(/SET email = pending_email/, ([id, email]) => {
+      const row = user(id);
+      if (!row || row.pending_email !== email) return [];
+      if (tables.users.some(other => other.email === email)) {
+        throw Object.assign(new Error('duplicate key value violates unique constraint "users_email_key"'), { code: '23505' });
+      }
+      Object.assign(row, { email, pending_email: null, email_verified_at: new Date() });
+      return [row];
+    })
+    .on(/UPDATE users SET password = \$2/, ([id, password]) => { user(id).password = password; })
+    .on(/UPDATE refresh_tokens SET revoked_at = NOW\(\)\s+WHERE user_id/, ([userId, except]) => (
+      tables.sessions
+        .filter(row => row.user_id === userId && !row.revoked_at && row.family_id !== except)
+        .map(row => {
+          row.revoked_at = new Date();
+          return { family_id: row.family_id };
+        })
+    ))
+    .on(/SET email = 'deleted-'/, ([id]) => {
+      const row = user(id);
+      if (!row) return [];
+      Object.assign(row, { email: `deleted-${row.id}@deleted.invalid`, name: 'Deleted user', password: '!', pending_email: null, deleted_at: new Date() });
+      return [{ id: row.id }];
+    })
+    .on(/DELETE FROM refresh_tokens WHERE user_id/, ([userId]) => {
+      const deleted = tables.sessions.filter(row => row.user_id === userId);
+      tables.sessions = tables.sessions.filter(row => row.user_id !== userId);
+      return deleted;
+    })
+    .on(/UPDATE api_keys SET revoked_at/, ([userId]) => (
+      tables.apiKeys.filter(row => row.user_id === userId).map(row => {
+        row.revoked_at = row.revoked_at || new Date();
+        return { key_hash: row.key_hash };
+      })
+    ))
+    .on(/FROM orders o/, () => [{ id: 31, status: 'delivered', total_amount: '25.00', items: [{ product_id: 1, quantity: 1 }] }])
+    .on(/FROM refresh_tokens\s+WHERE user_id/, () => tables.sessions.map(row => ({ session_id: row.family_id, revoked_at: row.revoked_at })))
+    .on(/FROM api_keys k/, () => [{ id: 3, prefix: 'hpk_abcd', scopes: ['orders:read'] }])
+    .on(/FROM audit_log/, () => [{ id: 1, event: 'password.change', user_id: 7 }])
+    .on(/INSERT INTO refresh_tokens/, () => [{ id: 1 }]);
+
+  return tables;
+};
+
+const bearer = (sessionId = SESSION) => `Bearer ${tokens.signAccessToken({ id: 7, email: 'ada@example.com' }, sessionId, ['customer'])}`;
+
+describe('account self-service', () => {
+  let tables;
+  let mail;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    dbPool.reset();
+    redisClient.reset();
+    tables = createTables();
+    mail = [];
+    jest.spyOn(mailer, 'send').mockImplementation(async (message) => { mail.push(message); });
+  });
+
+  describe('GET /me', () => {
+    it('returns the profile without the password hash', async () => {
+      const res = await request(app).get('/api/users/me').set('Authorization', bearer());
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({ id: 7, email: 'ada@example.com', name: 'Ada', pending_email: null });
+      expect(res.body.user).not.toHaveProperty('password');
+    });
+
+    it('answers 404 once the account is deleted', async () => {
+      tables.users[0].deleted_at = new Date();
+      const res = await request(app).get('/api/users/me').set('Authorization', bearer());
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /me', () => {
+    const changeEmail = (email, currentPassword = 'correct horse') => request(app)
+      .patch('/api/users/me')
+      .set('Authorization', bearer())
+      .send({ email, currentPassword });
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    const mailedToken = () => mail[mail.length - 1].text.match(/POST \/api\/users\/verify-email:\n(\S+)/)[1];
+
+    it('updates the name', async () => {
+      const res = await request(app).patch('/api/users/me').set('Authorization', bearer()).send({ name: 'Ada L.' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.name).toBe('Ada L.');
+    });
+
+    it('keeps the current email until the new one is verified', async () => {
+      const res = await changeEmail('ada@new.example.com');
+      await flush();
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({ email: 'ada@example.com', pending_email: 'ada@new.example.com' });
+      expect(tables.users[0].email_verified_at).not.toBeNull();
+      expect(mail).toHaveLength(1);
+      expect(mail[0].to).toBe('ada@new.example.com');
+
+      // Sign-in still goes by the current address only
+      const old = await request(app).post('/api/users/login').send({ email: 'ada@example.com', password: 'correct horse' });
+      const pending = await request(app).post('/api/users/login').send({ email: 'ada@new.example.com', password: 'correct horse' });
+      expect(old.status).toBe(200);
+      expect(pending.status).toBe(401);
+    });
+
+    it('swaps the new email in when its token is redeemed', async () => {
+      await changeEmail('ada@new.example.com');
+      await flush();
+
+      const res = await request(app).post('/api/users/verify-email').send({ token: mailedToken() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.email).toBe('ada@new.example.com');
+      expect(tables.users[0]).toMatchObject({ email: 'ada@new.example.com', pending_email: null });
+      expect(tables.accountTokens[0]).toMatchObject({ purpose: 'change_email', email: 'ada@new.example.com', token_hash: sha256(mailedToken()) });
+
+      const again = await request(app).post('/api/users/verify-email').send({ token: mailedToken() });
+      expect(again.status).toBe(400);
+    });
+
+    it('ignores a token for an address that is no longer pending', async () => {
+      await changeEmail('ada@first.example.com');
+      await flush();
+      const first = mailedToken();
+      await changeEmail('ada@second.example.com');
+      await flush();
+
+      const res = await request(app).post('/api/users/verify-email').send({ token: first });
+
+      expect(res.status).toBe(400);
+      expect(tables.users[0].email).toBe('ada@example.com');
+    });
+
+    it('answers 409 when the address was taken before it was verified', async () => {
+      await changeEmail('carol@example.com');
+      await flush();
+      tables.users.push({ id: 9, email: 'carol@example.com', deleted_at: null });
+
+      const res = await request(app).post('/api/users/verify-email').send({ token: mailedToken() });
+
+      expect(res.status).toBe(409);
+      expect(tables.users[0].email).toBe('ada@example.com');
+    });
+
+    it('refuses an address another account uses', async () => {
+      const res = await changeEmail('bob@example.com');
+
+      expect(res.status).toBe(409);
+      expect(tables.users[0].pending_email).toBeNull();
+      expect(mail).toHaveLength(0);
+    });
+
+    it('needs the current password for an email change', async () => {
+      const res = await changeEmail('ada@new.example.com', 'wrong password');
+
+      expect(res.status).toBe(401);
+      expect(tables.users[0].pending_email).toBeNull();
+    });
+  });
+
+  describe('POST /me/password', () => {
+    const changePassword = (currentPassword) => request(app)
+      .post('/api/users/me/password')
+      .set('Authorization', bearer())
+      .send({ currentPassword, newPassword: 'battery staple' });
+
+    it('sets the new password and signs out every other session', async () => {
+      const res = await changePassword('correct horse');
+
+      expect(res.status).toBe(200);
+      expect(res.body.sessionsRevoked).toBe(1);
+      expect(bcrypt.compareSync('battery staple', tables.users[0].password)).toBe(true);
+      await expect(tokens.isRevoked({ sid: OTHER_SESSION })).resolves.toBe(true);
+      await expect(tokens.isRevoked({ sid: SESSION })).resolves.toBe(false);
+      expect(dbPool.calls(/INSERT INTO audit_log/)[0].params[0]).toBe('password.change');
+    });
+
+    it('changes nothing with a wrong current password', async () => {
+      const res = await changePassword('wrong password');
+
+      expect(res.status).toBe(401);
+      expect(bcrypt.compareSync('correct horse', tables.users[0].password)).toBe(true);
+      expect(tables.sessions.every(row => !row.revoked_at)).toBe(true);
+    });
+
+    it('is refused to API keys', async () => {
+      const app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.principal = { type: 'apikey', id: 3, scopes: [], user: { id: 7 } };
+        req.user = req.principal.user;
+        next();
+      });
+      app.use('/api/users', userRoutes);
+
+      const res = await request(app).post('/api/users/me/password').send({ currentPassword: 'correct horse', newPassword: 'battery staple' });
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('DELETE /me', () => {
+    it('anonymizes the user and ends every session and API key', async () => {
+      const token = bearer();
+      const res = await request(app).delete('/api/users/me').set('Authorization', token).send({ password: 'correct horse' });
+
+      expect(res.status).toBe(200);
+      expect(tables.users[0]).toMatchObject({ email: 'deleted-7@deleted.invalid', name: 'Deleted user', password: '!' });
+      expect(dbPool.calls(/UPDATE orders SET shipping_address = '\{\}'::jsonb/)[0].params).toEqual([7]);
+      expect(dbPool.calls(/UPDATE audit_log SET email = NULL, ip = NULL/)).toHaveLength(1);
+      expect(tables.apiKeys[0].revoked_at).not.toBeNull();
+      await expect(tokens.isRevoked({ sid: OTHER_SESSION })).resolves.toBe(true);
+
+      const after = await request(app).get('/api/users/me').set('Authorization', token);
+      expect(after.status).toBe(401);
+    });
+
+    it('deletes nothing with a wrong password', async () => {
+      const res = await request(app).delete('/api/users/me').set('Authorization', bearer()).send({ password: 'wrong password' });
+
+      expect(res.status).toBe(401);
+      expect(tables.users[0].deleted_at).toBeNull();
+      expect(dbPool.calls(/SET email = 'deleted-'/)).toHaveLength(0);
+    });
+  });
+
+  describe('GET /me/export', () => {
+    it('returns everything stored about the user as a download', async () => {
+      const res = await request(app).get('/api/users/me/export').set('Authorization', bearer());
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toBe('attachment; filename="account-7-export.json"');
+      expect(res.headers['cache-control']).toBe('no-store');
+      expect(res.body.profile).toMatchObject({ id: 7, email: 'ada@example.com' });
+      expect(res.body.profile).not.toHaveProperty('password');
+      expect(res.body.orders[0].items).toHaveLength(1);
+      expect(res.body.sessions.map(row => row.session_id)).toEqual([SESSION, OTHER_SESSION]);
+      expect(res.body.apiKeys).toHaveLength(1);
+      expect(res.body.auditEvents[0].event).toBe('password.change');
+      // Only the user's own rows
+      dbPool.calls(/FROM orders o|FROM refresh_tokens\s+WHERE user_id/).forEach(({ params }) => expect(params).toEqual([7]));
+    });
+  });
+});
@@ -0,0 +1,170 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const dbPool = require('../src/config/database');
+const redisClient = require('../src/config/redis');
+const cache = require('../src/middleware/cache');
+const { resolveRoles } = require('../src/config/roles');
+const roleGrants = require('../src/utils/roleGrants');
+const tokens = require('../src/utils/tokens');
+const twoFactor = require('../src/utils/twoFactor');
+const adminRoutes = require('../src/routes/admin');
+
+// server.js mounts the router behind auth and requireRole('admin')
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 1, email: 'admin@example.com', roles: ['admin'] };
+  next();
+});
+app.use('/api/admin', adminRoutes);
+
+describe('admin role management', () => {
+  let users;
+
+  beforeEach(() => {
+    dbPool.reset();
+    redisClient.reset();
+    jest.restoreAllMocks();
+    jest.spyOn(cache, 'invalidateTags');
+
+    users = new Map([[7, { id: 7, email: 'ada@example.com', roles: ['customer', 'staff'] }]]);
+    dbPool
+      .on(/array_append/, ([id, role]) => {
+        const user = users.get(Number(id));
+        if (user && !user.roles.includes(role)) user.roles.push(role);
+        return user ? [user] : [];
+      })
+      .on(/array_remove/, ([id, role]) => {
+        const user = users.get(Number(id));
+        if (user) user.roles = user.roles.filter(held => held !== role);
+        return user ? [user] : [];
+      })
+      .on(/UPDATE refresh_tokens SET revoked_at = NOW\(\)\s+WHERE user_id/, ([userId]) => (
+        userId === 7 ? [{ family_id: '4f0c8a36-7e0e-4d8f-9a53-1b4f7c2c9d01' }, { family_id: '9b2e4c1a-53f7-4a6b-8e0d-2c7f1a9e6b42' }] : []
+      ));
+  });
+
+  it('invalidates the cached user when a role is granted', async () => {
+    const res = await request(app).post('/api/admin/users/7/roles').send({ role: 'admin' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.roles).toContain('admin');
+    expect(cache.invalidateTags).toHaveBeenCalledWith(['users', 'user:7']);
+  });
+
+  it('invalidates the cached user and ends every session when a role is revoked', async () => {
+    const res = await request(app).delete('/api/admin/users/7/roles/staff');
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.roles).toEqual(['customer']);
+    expect(res.body.sessionsRevoked).toBe(2);
+    expect(cache.invalidateTags).toHaveBeenCalledWith(['users', 'user:7']);
+
+    const session = tokens.verify(tokens.signAccessToken(users.get(7), '4f0c8a36-7e0e-4d8f-9a53-1b4f7c2c9d01', ['customer', 'staff']));
+    await expect(tokens.isRevoked(session)).resolves.toBe(true);
+  });
+
+  it('records who granted and revoked which role in the audit trail', async () => {
+    await request(app).post('/api/admin/users/7/roles').send({ role: 'admin' });
+    await request(app).delete('/api/admin/users/7/roles/staff');
+
+    expect(dbPool.calls(/INSERT INTO audit_log/).map(call => call.params.slice(0, 4).concat([call.params[5]]))).toEqual([
+      ['role.grant', 7, 1, 'ada@example.com', { role: 'admin', action: 'grant' }],
+      ['role.revoke', 7, 1, 'ada@example.com', { role: 'staff', action: 'revoke', sessionsRevoked: 2 }]
+    ]);
+  });
+
+  it('neither invalidates nor revokes anything for an unknown user', async () => {
+    const res = await request(app).delete('/api/admin/users/99/roles/staff');
+
+    expect(res.status).toBe(404);
+    expect(cache.invalidateTags).not.toHaveBeenCalled();
+    expect(dbPool.calls(/refresh_tokens/)).toHaveLength(0);
+  });
+});
+
+describe('bootstrap admins', () => {
+  beforeEach(() => {
+    dbPool.reset();
+    dbPool.on(/array_append/, ([email, role]) => (
+      email === 'ada@example.com' ? [{ id: 7, email, roles: ['customer', role] }] : []
+    ));
+  });
+
+  it('are never derived from the email address', () => {
+    process.env.ADMIN_EMAILS = 'ada@example.com';
+    try {
+      expect(resolveRoles({ email: 'ada@example.com', roles: ['customer'] })).toEqual(['customer']);
+      expect(resolveRoles({ email: 'ada@example.com', roles: [] })).toEqual(['customer']);
+    } finally {
+      delete process.env.ADMIN_EMAILS;
+    }
+  });
+
+  it('are granted from the command line by email', async () => {
+    await expect(roleGrants.grant(' Ada@Example.com ')).resolves.toEqual({ id: 7, email: 'ada@example.com', roles: ['customer', 'admin'] });
+    expect(dbPool.calls(/array_append/)[0].params).toEqual(['ada@example.com', 'admin']);
+  });
+
+  it('are recorded in the audit trail without an actor', async () => {
+    await roleGrants.grant('ada@example.com', 'staff');
+    await roleGrants.grant('nobody@example.com');
+
+    expect(dbPool.calls(/INSERT INTO audit_log/).map(call => call.params)).toEqual([
+      ['role.grant', 7, null, 'ada@example.com', null, { role: 'staff', action: 'grant', via: 'cli' }]
+    ]);
+  });
+
+  it('refuse unknown accounts and roles', async () => {
+    await expect(roleGrants.grant('nobody@example.com')).resolves.toBeNull();
+    await expect(roleGrants.grant('ada@example.com', 'root')).rejects.toThrow('Unknown role "root"');
+  });
+});
+
+describe('admin API key creation', () => {
+  let owner;
+
+  beforeEach(() => {
+    dbPool.reset();
+    redisClient.reset();
+    twoFactor.policy = null;
+    owner = { id: 7, email: 'ada@example.com', roles: ['customer'], two_factor_enabled_at: null };
+    dbPool
+      .on(/SELECT id, email, roles, two_factor_enabled_at FROM users WHERE id = \$1/, ([id]) => (Number(id) === 7 ? [owner] : []))
+      .on(/INSERT INTO api_keys/, ([userId, name, prefix, keyHash, scopes]) => [{ id: 3, user_id: userId, name, prefix, scopes }]);
+  });
+
+  it('creates a key within the owner\'s permissions', async () => {
+    const res = await request(app).post('/api/admin/api-keys').send({ name: 'orders', userId: 7, scopes: ['orders:read', 'orders:write'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.apiKey.scopes).toEqual(['orders:read', 'orders:write']);
+  });
+
+  it('refuses scopes beyond the owner\'s permissions', async () => {
+    const res = await request(app).post('/api/admin/api-keys').send({ name: 'reports', userId: 7, scopes: ['orders:read', 'users:read'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.denied).toEqual(['users:read']);
+    expect(dbPool.calls(/INSERT INTO api_keys/)).toHaveLength(0);
+  });
+
+  it('refuses scopes of roles the 2FA policy withholds from an unenrolled owner', async () => {
+    owner.roles = ['staff'];
+    dbPool.on(/SELECT role FROM two_factor_policies/, () => [{ role: 'staff' }]);
+
+    const res = await request(app).post('/api/admin/api-keys').send({ name: 'reports', userId: 7, scopes: ['users:read'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.denied).toEqual(['users:read']);
+  });
+
+  it('returns 404 for an unknown owner', async () => {
+    const res = await request(app).post('/api/admin/api-keys').send({ name: 'orphan', userId: 99, scopes: ['products:read'] });
+    expect(res.status).toBe(404);
+  });
+});
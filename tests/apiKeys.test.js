@@ -0,0 +1,127 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const dbPool = require('../src/config/database');
+const redisClient = require('../src/config/redis');
+const apiKeys = require('../src/utils/apiKeys');
+const twoFactor = require('../src/utils/twoFactor');
+const apiKey = require('../src/middleware/apiKey');
+const createRateLimiters = require('../src/middleware/rateLimiter');
+const tokens = require('../src/utils/tokens');
+const userRoutes = require('../src/routes/users');
+
+// The front of the middleware stack in server.js
+const app = express();
+app.set('trust proxy', true);
+app.use(apiKey);
+app.use(createRateLimiters());
+app.use(apiKey.rejectInvalid);
+app.use(express.json());
+app.use('/api/users', userRoutes);
+
+const VALID_KEY = 'hpk_0badc0de_valid-secret';
+
+// An api_keys row joined with its owner, as authenticate() selects it
+const keyRecord = (overrides = {}) => ({
+  id: 3,
+  user_id: 7,
+  name: 'reporting',
+  prefix: 'hpk_0badc0de',
+  scopes: ['products:read', 'orders:read', 'users:read'],
+  tier: 'authenticated',
+  rate_limit: null,
+  owner_email: 'ada@example.com',
+  owner_roles: ['staff'],
+  owner_two_factor_enabled_at: null,
+  ...overrides
+});
+
+describe('API keys', () => {
+  let record;
+
+  beforeEach(() => {
+    dbPool.reset();
+    redisClient.reset();
+    twoFactor.policy = null;
+    record = keyRecord();
+    dbPool.on(/FROM api_keys k/, ([keyHash]) => (keyHash === apiKeys.hash(VALID_KEY) ? [record] : []));
+  });
+
+  describe('scopes at use', () => {
+    it('keeps the scopes the owner holds', async () => {
+      const principal = await apiKeys.authenticate(VALID_KEY, '203.0.113.9');
+      expect(principal.scopes).toEqual(['products:read', 'orders:read', 'users:read']);
+    });
+
+    it('drops scopes the owner has lost since the key was made', async () => {
+      record = keyRecord({ owner_roles: ['customer'] });
+
+      const principal = await apiKeys.authenticate(VALID_KEY, '203.0.113.9');
+      expect(principal.scopes).toEqual(['products:read', 'orders:read']);
+    });
+
+    it('drops scopes of roles the 2FA policy withholds from an unenrolled owner', async () => {
+      dbPool.on(/SELECT role FROM two_factor_policies/, () => [{ role: 'staff' }]);
+      record = keyRecord({ owner_roles: ['customer', 'staff'] });
+
+      const principal = await apiKeys.authenticate(VALID_KEY, '203.0.113.9');
+      expect(principal.scopes).toEqual(['products:read', 'orders:read']);
+    });
+
+    it('keeps them once the owner has enrolled', async () => {
+      dbPool.on(/SELECT role FROM two_factor_policies/, () => [{ role: 'staff' }]);
+      record = keyRecord({ owner_two_factor_enabled_at: new Date() });
+
+      const principal = await apiKeys.authenticate(VALID_KEY, '203.0.113.9');
+      expect(principal.scopes).toEqual(['products:read', 'orders:read', 'users:read']);
+    });
+  });
+
+  describe('invalid keys', () => {
+    const send = (key, ip = '203.0.113.9') => request(app).get('/api/users/me').set('X-Forwarded-For', ip).set('X-API-Key', key);
+
+    it('are rejected after counting against the IP', async () => {
+      const first = await send('hpk_deadbeef_guess-1');
+      const second = await send('hpk_deadbeef_guess-2');
+
+      expect(first.status).toBe(401);
+      expect(first.body).toEqual({ error: 'Invalid API key' });
+      expect(first.headers['ratelimit-limit']).toBe('1000');
+      expect(Number(second.headers['ratelimit-remaining'])).toBe(Number(first.headers['ratelimit-remaining']) - 1);
+    });
+
+    it('count against the IP even alongside a valid access token', async () => {
+      const token = tokens.signAccessToken({ id: 7, email: 'ada@example.com', tier: 'enterprise' }, 'session-1', ['customer']);
+      const res = await send('hpk_deadbeef_guess-3', '198.51.100.4').set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(401);
+      expect(res.headers['ratelimit-limit']).toBe('1000');
+    });
+
+    it('are throttled once the IP runs out', async () => {
+      const limited = express();
+      limited.use(apiKey);
+      limited.use(require('express-rate-limit')({ limit: 2, windowMs: 60000, keyGenerator: req => req.ip }));
+      limited.use(apiKey.rejectInvalid);
+
+      const statuses = [];
+      for (let attempt = 0; attempt < 3; attempt++) {
+        statuses.push((await request(limited).get('/').set('X-API-Key', `hpk_deadbeef_guess-${attempt}`)).status);
+      }
+      expect(statuses).toEqual([401, 401, 429]);
+    });
+  });
+
+  describe('logout', () => {
+    it('needs a user session, not an API key', async () => {
+      const res = await request(app).post('/api/users/logout').set('X-API-Key', VALID_KEY).send({ all: true });
+
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({ error: 'Requires a user session' });
+      expect(dbPool.calls(/refresh_tokens/)).toHaveLength(0);
+    });
+  });
+});
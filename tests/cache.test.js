@@ -0,0 +1,342 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+
+const express = require('express');
+const request = require('supertest');
+const redisClient = require('../src/config/redis');
+const cache = require('../src/middleware/cache');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const UPDATED_AT = '2026-01-15T12:00:00.000Z';
+let calls;
+let delayMs;
+
+const app = express();
+// Stands in for auth: X-Test-User signs the request in, X-Test-Key through an API key
+app.use((req, res, next) => {
+  if (req.get('X-Test-User')) {
+    req.user = { id: Number(req.get('X-Test-User')) };
+  }
+  if (req.get('X-Test-Key')) {
+    req.principal = { type: 'apikey', id: Number(req.get('X-Test-Key')) };
+  }
+  next();
+});
+
+const handler = (body) => async (req, res) => {
+  calls++;
+  await sleep(delayMs);
+  res.json(body(req));
+};
+
+app.get('/api/things', cache.cache(60, true, { tags: ['things'] }),
+  handler(() => ({ things: [{ id: 1 }, { id: 2 }] })));
+app.get('/api/things/:id', cache.cache(60, true, { tags: (req) => ['things', `thing:${req.params.id}`] }),
+  handler(req => ({ thing: { id: Number(req.params.id), updated_at: UPDATED_AT } })));
+app.get('/api/greeting', cache.cache(60, true, { vary: ['Accept-Language'] }),
+  handler(req => ({ greeting: req.get('Accept-Language') === 'fr' ? 'Bonjour' : 'Hello' })));
+app.get('/api/shared', cache.cache(60, true, { shared: true }),
+  handler(() => ({ shared: true })));
+app.put('/api/things/:id', cache.invalidate(req => [`thing:${req.params.id}`]), (req, res) => {
+  res.status(req.query.conflict ? 409 : 200).json({ ok: !req.query.conflict });
+});
+
+const THINGS_KEY = 'api:GET:/api/things';
+const thingKey = (id) => `api:GET:/api/things/${id}`;
+
+// A cached entry as cache() writes it, fresh for another minute unless given an age
+const entryFor = (body, { staleFor = 0 } = {}) => {
+  const now = Date.now();
+  return {
+    body,
+    status: 200,
+    headers: {},
+    tags: [],
+    freshUntil: staleFor ? now - staleFor : now + 60000,
+    expiresAt: now + 120000,
+    ...cache.buildValidators(body)
+  };
+};
+
+describe('cache', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    redisClient.reset();
+    cache.memoryCache.flushAll();
+    cache.pendingInvalidations.clear();
+    cache.pendingPurgeAll = false;
+    calls = 0;
+    delayMs = 0;
+  });
+
+  it('serves repeat requests from memory, then from Redis once memory is gone', async () => {
+    const first = await request(app).get('/api/things');
+    const second = await request(app).get('/api/things');
+    cache.memoryCache.flushAll();
+    const third = await request(app).get('/api/things');
+
+    expect([first, second, third].map(res => res.headers['x-cache'])).toEqual(['MISS', 'HIT-MEMORY', 'HIT-REDIS']);
+    expect(third.body).toEqual(first.body);
+    expect(calls).toBe(1);
+  });
+
+  describe('tags', () => {
+    beforeEach(async () => {
+      await request(app).get('/api/things');
+      await request(app).get('/api/things/1');
+      await request(app).get('/api/things/2');
+    });
+
+    it('index each entry under its tags', () => {
+      expect([...redisClient.sets.get('cache:tag:{things}')]).toEqual([THINGS_KEY, thingKey(1), thingKey(2)]);
+      expect([...redisClient.sets.get('cache:tag:{thing:1}')]).toEqual([thingKey(1)]);
+    });
+
+    it('invalidate only the entries they name, in both tiers, and drop the tag index', async () => {
+      await cache.invalidateTags(['thing:1']);
+
+      expect(redisClient.store.has(thingKey(1))).toBe(false);
+      expect(cache.memoryCache.has(thingKey(1))).toBe(false);
+      expect(redisClient.sets.has('cache:tag:{thing:1}')).toBe(false);
+      expect(redisClient.store.has(thingKey(2))).toBe(true);
+      expect(cache.memoryCache.keys().sort()).toEqual([THINGS_KEY, thingKey(2)]);
+    });
+
+    it('tell the other instances which tags to evict', async () => {
+      const publish = jest.spyOn(redisClient, 'publish');
+
+      await cache.invalidateTags(['things']);
+
+      expect(publish).toHaveBeenCalledWith('cache:invalidate', { origin: cache.instanceId, tags: ['things'] });
+      expect(cache.memoryCache.keys()).toEqual([]);
+    });
+
+    it('are invalidated by a successful write before its response is sent', async () => {
+      const res = await request(app).put('/api/things/1');
+
+      expect(res.status).toBe(200);
+      expect(redisClient.store.has(thingKey(1))).toBe(false);
+      expect((await request(app).get('/api/things/1')).headers['x-cache']).toBe('MISS');
+    });
+
+    it('survive a write that fails', async () => {
+      await request(app).put('/api/things/1?conflict=1');
+
+      expect(redisClient.store.has(thingKey(1))).toBe(true);
+    });
+  });
+
+  describe('validators', () => {
+    it('answer a matching If-None-Match with a 304 from the cache', async () => {
+      const first = await request(app).get('/api/things');
+      const second = await request(app).get('/api/things').set('If-None-Match', first.headers.etag);
+
+      expect(first.headers.etag).toMatch(/^"[\w-]+"$/);
+      expect(second.status).toBe(304);
+      expect(second.text).toBe('');
+      expect(second.headers['x-cache']).toBe('HIT-MEMORY');
+      expect(calls).toBe(1);
+    });
+
+    it('answer with a 304 on a miss when the recomputed body is unchanged', async () => {
+      const first = await request(app).get('/api/things');
+      redisClient.reset();
+      cache.memoryCache.flushAll();
+
+      const second = await request(app).get('/api/things').set('If-None-Match', first.headers.etag);
+
+      expect(second.status).toBe(304);
+      expect(second.headers['x-cache']).toBe('MISS');
+      expect(calls).toBe(2);
+    });
+
+    it('send the full body when the ETag no longer matches', async () => {
+      const res = await request(app).get('/api/things').set('If-None-Match', '"outdated"');
+
+      expect(res.status).toBe(200);
+      expect(res.body.things).toHaveLength(2);
+    });
+
+    it('set Last-Modified for a single record only', async () => {
+      const one = await request(app).get('/api/things/1');
+      const list = await request(app).get('/api/things');
+      const since = await request(app).get('/api/things/1').set('If-Modified-Since', one.headers['last-modified']);
+
+      expect(one.headers['last-modified']).toBe(new Date(UPDATED_AT).toUTCString());
+      expect(list.headers['last-modified']).toBeUndefined();
+      expect(since.status).toBe(304);
+    });
+  });
+
+  describe('recomputing', () => {
+    it('runs the handler once for concurrent misses in this worker', async () => {
+      delayMs = 50;
+
+      const responses = await Promise.all([1, 2, 3].map(() => request(app).get('/api/things')));
+
+      expect(calls).toBe(1);
+      expect(responses.map(res => res.headers['x-cache']).sort()).toEqual(['HIT-COALESCED', 'HIT-COALESCED', 'MISS']);
+      responses.forEach(res => expect(res.body.things).toHaveLength(2));
+    });
+
+    it('holds a SET NX lock while recomputing and releases it afterwards', async () => {
+      delayMs = 50;
+      const acquireLock = jest.spyOn(redisClient, 'acquireLock');
+
+      const pending = request(app).get('/api/things').then(res => res);
+      await sleep(20);
+      expect(redisClient.store.has(`cache:lock:${THINGS_KEY}`)).toBe(true);
+      await pending;
+
+      expect(acquireLock).toHaveBeenCalledWith(`cache:lock:${THINGS_KEY}`, 5000);
+      expect(redisClient.store.has(`cache:lock:${THINGS_KEY}`)).toBe(false);
+    });
+
+    it('waits for another worker holding the lock instead of recomputing', async () => {
+      await redisClient.acquireLock(`cache:lock:${THINGS_KEY}`);
+      setTimeout(() => redisClient.set(THINGS_KEY, entryFor({ things: [{ id: 9 }] })), 60);
+
+      const res = await request(app).get('/api/things');
+
+      expect(res.headers['x-cache']).toBe('HIT-COALESCED');
+      expect(res.body.things).toEqual([{ id: 9 }]);
+      expect(calls).toBe(0);
+    });
+
+    it('serves a stale entry while another worker recomputes it', async () => {
+      await redisClient.set(THINGS_KEY, entryFor({ things: [{ id: 9 }] }, { staleFor: 1000 }));
+      await redisClient.acquireLock(`cache:lock:${THINGS_KEY}`);
+
+      const res = await request(app).get('/api/things');
+
+      expect(res.headers['x-cache']).toBe('STALE');
+      expect(res.body.things).toEqual([{ id: 9 }]);
+      expect(calls).toBe(0);
+    });
+
+    it('recomputes a stale entry when nobody else is', async () => {
+      await redisClient.set(THINGS_KEY, entryFor({ things: [{ id: 9 }] }, { staleFor: 1000 }));
+
+      const res = await request(app).get('/api/things');
+
+      expect(res.headers['x-cache']).toBe('MISS');
+      expect(res.body.things).toHaveLength(2);
+      expect(calls).toBe(1);
+    });
+  });
+
+  describe('vary', () => {
+    it('keys entries by the headers a route varies on', async () => {
+      const en = await request(app).get('/api/greeting').set('Accept-Language', 'en');
+      const fr = await request(app).get('/api/greeting').set('Accept-Language', 'fr');
+      const again = await request(app).get('/api/greeting').set('Accept-Language', 'EN ');
+
+      expect([en.body.greeting, fr.body.greeting, again.body.greeting]).toEqual(['Hello', 'Bonjour', 'Hello']);
+      expect(again.headers['x-cache']).toBe('HIT-MEMORY');
+      expect(en.headers.vary).toBe('Accept-Language');
+      expect(redisClient.store.has('api:GET:/api/greeting|accept-language=fr')).toBe(true);
+      expect(calls).toBe(2);
+    });
+
+    it('keeps authenticated callers apart, and API keys apart from sessions', async () => {
+      const anonymous = await request(app).get('/api/things');
+      await request(app).get('/api/things').set('X-Test-User', '1');
+      await request(app).get('/api/things').set('X-Test-User', '2');
+      await request(app).get('/api/things').set('X-Test-User', '1').set('X-Test-Key', '5');
+      const repeat = await request(app).get('/api/things').set('X-Test-User', '1');
+
+      expect(anonymous.headers.vary).toBeUndefined();
+      expect(repeat.headers.vary).toBe('Authorization, X-API-Key');
+      expect(repeat.headers['x-cache']).toBe('HIT-MEMORY');
+      expect(cache.memoryCache.keys().sort()).toEqual([
+        THINGS_KEY,
+        `${THINGS_KEY}|user=1`,
+        `${THINGS_KEY}|user=2`,
+        `${THINGS_KEY}|user=apikey:5`
+      ]);
+    });
+
+    it('shares one entry between callers on routes marked shared', async () => {
+      await request(app).get('/api/shared').set('X-Test-User', '1');
+      const other = await request(app).get('/api/shared').set('X-Test-User', '2');
+
+      expect(other.headers['x-cache']).toBe('HIT-MEMORY');
+      expect(calls).toBe(1);
+    });
+
+    it('ignores the order of query parameters', async () => {
+      await request(app).get('/api/things?b=2&a=1');
+      const reordered = await request(app).get('/api/things?a=1&b=2');
+
+      expect(reordered.headers['x-cache']).toBe('HIT-MEMORY');
+      expect(cache.memoryCache.keys()).toEqual([`${THINGS_KEY}?a=1&b=2`]);
+    });
+  });
+
+  describe('degraded mode', () => {
+    beforeEach(async () => {
+      await request(app).get('/api/things/1');
+      jest.spyOn(redisClient, 'isDegraded').mockReturnValue(true);
+    });
+
+    it('answers from memory and the handler without reading Redis', async () => {
+      const get = jest.spyOn(redisClient, 'get');
+
+      const cached = await request(app).get('/api/things/1');
+      cache.memoryCache.flushAll();
+      const recomputed = await request(app).get('/api/things/1');
+
+      expect(cached.headers['x-cache']).toBe('HIT-MEMORY');
+      expect(recomputed.headers['x-cache']).toBe('MISS');
+      expect(get).not.toHaveBeenCalled();
+    });
+
+    it('evicts memory right away and replays the Redis invalidation on recovery', async () => {
+      await cache.invalidateTags(['thing:1']);
+
+      expect(cache.memoryCache.has(thingKey(1))).toBe(false);
+      expect(redisClient.store.has(thingKey(1))).toBe(true);
+      expect(cache.getStats().pendingInvalidations).toBe(1);
+
+      redisClient.isDegraded.mockReturnValue(false);
+      await redisClient.recover();
+
+      expect(redisClient.store.has(thingKey(1))).toBe(false);
+      expect(cache.getStats().pendingInvalidations).toBe(0);
+    });
+
+    it('purges everything on recovery when too many invalidations were deferred', async () => {
+      await redisClient.set('ratelimit:api:1.2.3.4', 3);
+      cache.deferInvalidation(Array.from({ length: 10001 }, (_, i) => `tag:${i}`));
+      expect(cache.getStats().pendingInvalidations).toBe('ALL');
+
+      redisClient.isDegraded.mockReturnValue(false);
+      await redisClient.recover();
+
+      expect([...redisClient.store.keys()]).toEqual(['ratelimit:api:1.2.3.4']);
+      expect(cache.getStats().pendingInvalidations).toBe(0);
+    });
+  });
+
+  describe('patterns', () => {
+    beforeEach(async () => {
+      await request(app).get('/api/things');
+      await request(app).get('/api/things/1');
+      await request(app).get('/api/things/2');
+    });
+
+    it('delete the matching keys in both tiers, found with SCAN', async () => {
+      await expect(cache.invalidatePattern('api:GET:/api/things/*')).resolves.toBe(2);
+
+      expect([...redisClient.store.keys()]).toEqual([THINGS_KEY]);
+      expect(cache.memoryCache.keys()).toEqual([THINGS_KEY]);
+    });
+
+    it('match a key without wildcards in memory by substring', async () => {
+      await cache.invalidatePattern('/api/things/1');
+
+      expect(cache.memoryCache.keys().sort()).toEqual([THINGS_KEY, thingKey(2)]);
+    });
+  });
+});
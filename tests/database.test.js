@@ -0,0 +1,330 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('pg', () => {
+  // Stands in for pg.Pool: every query is logged with the connection it ran on
+  // ('pool' or a checked-out client's number) and answered by the first handler
+  // whose pattern matches
+  class Pool {
+    constructor(options) {
+      this.options = options;
+      this.queries = [];
+      this.handlers = [];
+      this.released = [];
+      this.clients = 0;
+      Pool.instances.push(this);
+    }
+
+    on(pattern, handler) {
+      if (typeof pattern === 'string') return this;
+      this.handlers.push({ pattern, handler });
+      return this;
+    }
+
+    async run(text, params, connection) {
+      this.queries.push({ text, params, connection });
+      const match = this.handlers.find(({ pattern }) => pattern.test(text));
+      const rows = match ? await match.handler(params, text) : [];
+      return { rows: rows || [], rowCount: (rows || []).length };
+    }
+
+    query(text, params) {
+      return this.run(text, params, 'pool');
+    }
+
+    async connect() {
+      const connection = ++this.clients;
+      return {
+        query: (text, params) => this.run(text, params, connection),
+        release: (discard) => this.released.push({ connection, discard: Boolean(discard) })
+      };
+    }
+
+    async end() {}
+  }
+  Pool.instances = [];
+  return { Pool };
+});
+
+process.env.DB_EXPLAIN_THRESHOLD_MS = '5';
+process.env.DATABASE_REPLICA_URLS = 'postgres://replica-1/app';
+
+const { Pool } = require('pg');
+const dbPool = require('../src/config/database');
+const redisClient = require('../src/config/redis');
+const queryStats = require('../src/utils/queryStats');
+const requestContext = require('../src/utils/requestContext');
+
+const [primary, replicaPool] = Pool.instances;
+const replica = dbPool.replicas[0];
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const statement = (text) => queryStats.getStatements().statements.find(entry => entry.statement === text);
+const pgError = (code, message = `error ${code}`) => Object.assign(new Error(message), { code, severity: 'ERROR' });
+
+// Runs fn inside a request made by user, as requestContext.middleware() would
+const asUser = (user, fn) => new Promise((resolve, reject) => {
+  requestContext.middleware()({ user }, {}, () => fn().then(resolve, reject));
+});
+
+describe('database', () => {
+  beforeEach(() => {
+    [primary, replicaPool].forEach(pool => {
+      pool.queries = [];
+      pool.handlers = [];
+      pool.released = [];
+      pool.clients = 0;
+    });
+    Object.assign(replica, { healthy: true, lagMs: null, lastError: null });
+    dbPool.stickyUsers.clear();
+    redisClient.reset();
+    queryStats.reset();
+  });
+
+  describe('transactions', () => {
+    it('record the queries their callback runs', async () => {
+      primary.on(/FROM products/, () => [{ id: 1 }]);
+
+      const rows = await dbPool.transaction(async (client) => {
+        await client.query('UPDATE products SET stock = stock - 1 WHERE id = $1', [1]);
+        return (await client.query('SELECT id FROM products WHERE id = $1', [1])).rows;
+      });
+
+      expect(rows).toEqual([{ id: 1 }]);
+      expect(statement('UPDATE products SET stock = stock - ? WHERE id = $1').calls).toBe(1);
+      expect(statement('SELECT id FROM products WHERE id = $1')).toMatchObject({ calls: 1, rows: 1 });
+      expect(primary.queries.map(query => [query.text, query.connection])).toEqual([
+        ['BEGIN', 1],
+        ['UPDATE products SET stock = stock - 1 WHERE id = $1', 1],
+        ['SELECT id FROM products WHERE id = $1', 1],
+        ['COMMIT', 1]
+      ]);
+    });
+
+    it('record failed queries as errors', async () => {
+      primary.on(/INSERT INTO orders/, () => {
+        throw Object.assign(new Error('null value in column "user_id"'), { code: '23502' });
+      });
+
+      await expect(dbPool.transaction(client => client.query('INSERT INTO orders (user_id) VALUES ($1)', [null])))
+        .rejects.toThrow('null value');
+
+      expect(statement('INSERT INTO orders (user_id) VALUES ($1)')).toMatchObject({ calls: 1, errors: 1 });
+    });
+
+    it('explain a slow read on a pool connection, outside the transaction', async () => {
+      primary
+        .on(/^EXPLAIN/, () => [{ 'QUERY PLAN': [{ Plan: { 'Node Type': 'Seq Scan' } }] }])
+        .on(/FROM products/, async () => {
+          await sleep(10);
+          return [{ id: 1 }];
+        });
+
+      await dbPool.transaction(client => client.query('SELECT id FROM products WHERE name = $1', ['Lamp']));
+      await sleep(0);
+
+      const explain = primary.queries.find(query => query.text.startsWith('EXPLAIN'));
+      expect(explain).toMatchObject({ params: ['Lamp'], connection: 'pool' });
+      expect(statement('SELECT id FROM products WHERE name = $1').explain).toMatchObject({ pool: 'primary' });
+    });
+
+    it.each([
+      ['a serialization failure', '40001'],
+      ['a deadlock', '40P01']
+    ])('re-run the callback after %s', async (description, code) => {
+      let attempts = 0;
+      primary.on(/UPDATE products/, () => {
+        if (++attempts === 1) throw pgError(code);
+        return [{ id: 1 }];
+      });
+
+      const rows = await dbPool.transaction(async (client) => (await client.query('UPDATE products SET stock = 0 RETURNING id')).rows);
+
+      expect(rows).toEqual([{ id: 1 }]);
+      expect(attempts).toBe(2);
+      expect(primary.queries.map(query => query.text).filter(text => !text.startsWith('UPDATE'))).toEqual(['BEGIN', 'ROLLBACK', 'BEGIN', 'COMMIT']);
+      expect(primary.released).toEqual([{ connection: 1, discard: false }, { connection: 2, discard: false }]);
+    });
+
+    it('give up once the retries are used up', async () => {
+      let attempts = 0;
+      primary.on(/UPDATE/, () => {
+        attempts++;
+        throw pgError('40001');
+      });
+
+      await expect(dbPool.transaction({ retries: 1 }, client => client.query('UPDATE products SET stock = 0')))
+        .rejects.toMatchObject({ code: '40001' });
+      expect(attempts).toBe(2);
+    });
+
+    it('never re-run other errors', async () => {
+      let attempts = 0;
+      primary.on(/INSERT/, () => {
+        attempts++;
+        throw pgError('23505', 'duplicate key');
+      });
+
+      await expect(dbPool.transaction(client => client.query('INSERT INTO users (email) VALUES ($1)', ['a@b.c'])))
+        .rejects.toThrow('duplicate key');
+      expect(attempts).toBe(1);
+    });
+
+    it('begin with the isolation level and access mode asked for', async () => {
+      await dbPool.transaction({ isolationLevel: 'serializable', readOnly: true }, () => null);
+
+      expect(primary.queries[0].text).toBe('BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY');
+      await expect(dbPool.transaction({ isolationLevel: 'chaos' }, () => null)).rejects.toThrow('Invalid isolation level "chaos"');
+    });
+
+    it('run nested calls in savepoints', async () => {
+      await dbPool.transaction(async (client) => {
+        await client.query('INSERT INTO orders (user_id) VALUES (1)');
+        await dbPool.transaction(inner => inner.query('INSERT INTO order_items (order_id) VALUES (1)'));
+      });
+
+      expect(primary.queries.map(query => query.text)).toEqual([
+        'BEGIN',
+        'INSERT INTO orders (user_id) VALUES (1)',
+        'SAVEPOINT sp_1',
+        'INSERT INTO order_items (order_id) VALUES (1)',
+        'RELEASE SAVEPOINT sp_1',
+        'COMMIT'
+      ]);
+    });
+
+    it('roll a failed nested call back to its savepoint and let the outer one commit', async () => {
+      primary.on(/INSERT INTO audit_log/, () => {
+        throw pgError('23514', 'check violation');
+      });
+
+      const outcome = await dbPool.transaction(async (client) => {
+        await client.query('INSERT INTO orders (user_id) VALUES (1)');
+        await dbPool.transaction(inner => inner.query('INSERT INTO audit_log (action) VALUES ($1)', ['x']))
+          .catch(error => error.message);
+        await dbPool.transaction(inner => inner.query('INSERT INTO order_items (order_id) VALUES (1)'));
+        return 'kept';
+      });
+
+      expect(outcome).toBe('kept');
+      expect(primary.queries.map(query => query.text)).toEqual([
+        'BEGIN',
+        'INSERT INTO orders (user_id) VALUES (1)',
+        'SAVEPOINT sp_1',
+        'INSERT INTO audit_log (action) VALUES ($1)',
+        'ROLLBACK TO SAVEPOINT sp_1',
+        'SAVEPOINT sp_2',
+        'INSERT INTO order_items (order_id) VALUES (1)',
+        'RELEASE SAVEPOINT sp_2',
+        'COMMIT'
+      ]);
+    });
+
+    it('discard the connection when they time out, without waiting on a rollback', async () => {
+      primary.on(/pg_sleep/, () => new Promise(() => {}));
+
+      const error = await dbPool.transaction({ timeoutMs: 20 }, client => client.query('SELECT pg_sleep(60)'))
+        .catch(caught => caught);
+
+      expect(error).toMatchObject({ name: 'TransactionTimeoutError', status: 503 });
+      expect(primary.queries.map(query => query.text)).toEqual(['BEGIN', 'SELECT pg_sleep(60)']);
+      expect(primary.released).toEqual([{ connection: 1, discard: true }]);
+    });
+
+    it('discard the connection when even the rollback fails, and report the original error', async () => {
+      primary
+        .on(/UPDATE/, () => {
+          throw pgError('23503', 'foreign key violation');
+        })
+        .on(/^ROLLBACK$/, () => {
+          throw new Error('Connection terminated');
+        });
+
+      await expect(dbPool.transaction(client => client.query('UPDATE orders SET user_id = 99')))
+        .rejects.toThrow('foreign key violation');
+      expect(primary.released).toEqual([{ connection: 1, discard: true }]);
+    });
+  });
+
+  describe('read replicas', () => {
+    const where = (pool) => pool.queries.map(query => query.text);
+
+    it('take reads, while writes and locking reads go to the primary', async () => {
+      await dbPool.query('SELECT * FROM products');
+      await dbPool.query('WITH recent AS (SELECT 1) SELECT * FROM recent');
+      await dbPool.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [1]);
+      await dbPool.query("SELECT nextval('orders_id_seq')");
+      await dbPool.query('UPDATE products SET stock = 0');
+      await dbPool.query('SELECT * FROM users', [], { primary: true });
+
+      expect(where(replicaPool)).toEqual(['SELECT * FROM products', 'WITH recent AS (SELECT 1) SELECT * FROM recent']);
+      expect(where(primary)).toHaveLength(4);
+    });
+
+    it('send a user to the primary after their own write, in this and later requests', async () => {
+      await asUser({ id: 7 }, async () => {
+        await dbPool.query('SELECT * FROM orders');
+        await dbPool.query('UPDATE users SET name = $1 WHERE id = 7', ['Ada']);
+        await dbPool.query('SELECT * FROM users WHERE id = 7');
+      });
+      await asUser({ id: 7 }, () => dbPool.query('SELECT * FROM orders'));
+      await asUser({ id: 8 }, () => dbPool.query('SELECT * FROM products'));
+
+      expect(where(replicaPool)).toEqual(['SELECT * FROM orders', 'SELECT * FROM products']);
+      expect(where(primary)).toEqual([
+        'UPDATE users SET name = $1 WHERE id = 7',
+        'SELECT * FROM users WHERE id = 7',
+        'SELECT * FROM orders'
+      ]);
+    });
+
+    it('share stickiness with other workers through Redis, for the sticky window', async () => {
+      await asUser({ id: 7 }, () => dbPool.transaction(client => client.query('UPDATE users SET name = $1', ['Ada'])));
+      expect(redisClient.ttls.get('db:sticky:7')).toBe(5);
+
+      // Another worker only has the Redis key
+      dbPool.stickyUsers.clear();
+      await asUser({ id: 7 }, () => dbPool.query('SELECT * FROM orders'));
+      expect(where(replicaPool)).toEqual([]);
+
+      // Once the window has passed
+      redisClient.reset();
+      dbPool.stickyUsers.set(7, Date.now() - 1);
+      await asUser({ id: 7 }, () => dbPool.query('SELECT * FROM orders'));
+      expect(where(replicaPool)).toEqual(['SELECT * FROM orders']);
+    });
+
+    it('leave read-only transactions out of stickiness', async () => {
+      await asUser({ id: 7 }, () => dbPool.transaction({ readOnly: true }, client => client.query('SELECT 1')));
+      await asUser({ id: 7 }, () => dbPool.query('SELECT * FROM orders'));
+
+      expect(where(replicaPool)).toEqual(['SELECT * FROM orders']);
+    });
+
+    it('retry a read on the primary when the replica is unreachable, and stop using it', async () => {
+      replicaPool.on(/SELECT/, () => {
+        throw new Error('connect ECONNREFUSED');
+      });
+      primary.on(/FROM products/, () => [{ id: 1 }]);
+
+      const result = await dbPool.query('SELECT * FROM products');
+      await dbPool.query('SELECT * FROM categories');
+
+      expect(result.rows).toEqual([{ id: 1 }]);
+      expect(replica).toMatchObject({ healthy: false, lastError: 'connect ECONNREFUSED' });
+      expect(where(replicaPool)).toEqual(['SELECT * FROM products']);
+    });
+
+    it('take a replica out of rotation while it lags, and back once it catches up', async () => {
+      let lag = 2500;
+      replicaPool.on(/lag_ms/, () => [{ lag_ms: String(lag) }]);
+
+      await dbPool.checkReplicas();
+      expect(replica).toMatchObject({ healthy: false, lagMs: 2500 });
+      await dbPool.query('SELECT * FROM products');
+      expect(where(primary)).toEqual(['SELECT * FROM products']);
+
+      lag = 0;
+      await dbPool.checkReplicas();
+      expect(replica).toMatchObject({ healthy: true, lagMs: 0 });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+// Stand-in for the pool in src/config/database.js. Tests register handlers
+// for the statements they care about: the first whose pattern matches the
+// SQL answers it, anything else gets no rows. Transactions and withClient
+// run against the same fake, so handlers see every statement in order.
+const createFakeDb = () => {
+  let handlers = [];
+
+  const db = {
+    queries: [],
+
+    // handler(params, sql) returns the rows (or nothing), or a full { rows } result
+    on(pattern, handler) {
+      handlers.push({ pattern, handler });
+      return db;
+    },
+
+    reset() {
+      handlers = [];
+      db.queries = [];
+    },
+
+    // Statements seen so far whose SQL matches pattern
+    calls(pattern) {
+      return db.queries.filter(({ text }) => pattern.test(text));
+    },
+
+    query(text, params = []) {
+      // Submittables such as COPY streams are logged and handed back, like pg does
+      if (text && typeof text.submit === 'function') {
+        db.queries.push({ text: text.text, params: [] });
+        return text;
+      }
+      return db.run(text, params);
+    },
+
+    async run(text, params) {
+      const sql = typeof text === 'string' ? text : text.text;
+      const values = typeof text === 'string' ? params : text.values || [];
+      db.queries.push({ text: sql, params: values });
+
+      const match = handlers.find(({ pattern }) => pattern.test(sql));
+      const result = (match && await match.handler(values, sql)) || [];
+      return Array.isArray(result) ? { rows: result, rowCount: result.length } : result;
+    },
+
+    async transaction(callback) {
+      return callback(db);
+    },
+
+    async withClient(callback) {
+      return callback({ query: db.query, release() {} });
+    }
+  };
+
+  return db;
+};
+
+module.exports = { createFakeDb };
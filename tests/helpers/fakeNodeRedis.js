@@ -0,0 +1,212 @@
+const EventEmitter = require('events');
+
+// Stand-in for the node-redis package, for testing src/config/redis.js and
+// redisTopology.js without a server. Every client created is kept in
+// `clients` with its options; they share one keyspace and one set of pub/sub
+// channels. Set `down` to make every connect fail as if Redis were
+// unreachable, or add hosts to `unreachable` to fail only theirs; drop or
+// restore one connected client with drop() / restore().
+const createFakeNodeRedis = () => {
+  const fake = {
+    clients: [],
+    down: false,
+    unreachable: new Set(),
+    store: new Map(),
+    sets: new Map(),
+    channels: new Map(),
+    sentinelMaster: { host: '10.0.0.1', port: 6379 }
+  };
+
+  class FakeClient extends EventEmitter {
+    constructor(options, { cluster = false } = {}) {
+      super();
+      this.options = options;
+      this.cluster = cluster;
+      this.isOpen = false;
+      this.isReady = false;
+      this.commands = [];
+      if (cluster) {
+        this.masters = options.rootNodes.map(node => ({ address: node.url.replace('redis://', '') }));
+        this.replicas = [];
+      }
+      fake.clients.push(this);
+    }
+
+    // Where the client connects to, as host:port or a URL's host
+    get host() {
+      if (this.options.socket && this.options.socket.host) return this.options.socket.host;
+      return this.options.url ? new URL(this.options.url).hostname : null;
+    }
+
+    async connect() {
+      if (fake.down || fake.unreachable.has(this.host)) {
+        const error = new Error('connect ECONNREFUSED');
+        this.emit('error', error);
+        throw error;
+      }
+      this.isOpen = true;
+      this.isReady = true;
+      this.emit('connect');
+      this.emit('ready');
+    }
+
+    drop() {
+      this.isReady = false;
+      this.emit('error', new Error('Socket closed unexpectedly'));
+      this.emit('reconnecting');
+    }
+
+    restore() {
+      this.isReady = true;
+      this.emit('ready');
+    }
+
+    async disconnect() {
+      this.isOpen = false;
+      this.isReady = false;
+      for (const listeners of fake.channels.values()) {
+        listeners.delete(this);
+      }
+    }
+
+    duplicate() {
+      return new FakeClient(this.options, { cluster: this.cluster });
+    }
+
+    async nodeClient() {
+      return this;
+    }
+
+    // Like disableOfflineQueue: commands fail while disconnected
+    run(name, args, action) {
+      this.commands.push([name, ...args]);
+      if (!this.isReady) {
+        return Promise.reject(new Error('The client is closed'));
+      }
+      return Promise.resolve(action());
+    }
+
+    get(key) {
+      return this.run('GET', [key], () => (fake.store.has(key) ? fake.store.get(key) : null));
+    }
+
+    set(key, value, options = {}) {
+      return this.run('SET', [key, value], () => {
+        if (options.NX && fake.store.has(key)) return null;
+        fake.store.set(key, value);
+        return 'OK';
+      });
+    }
+
+    setEx(key, ttl, value) {
+      return this.run('SETEX', [key, ttl, value], () => {
+        fake.store.set(key, value);
+        return 'OK';
+      });
+    }
+
+    del(key) {
+      return this.run('DEL', [key], () => Number(fake.store.delete(key)));
+    }
+
+    exists(key) {
+      return this.run('EXISTS', [key], () => Number(fake.store.has(key)));
+    }
+
+    unlink(keys) {
+      const list = [].concat(keys);
+      return this.run('UNLINK', list, () => list.filter(key => [fake.store.delete(key), fake.sets.delete(key)].some(Boolean)).length);
+    }
+
+    sAdd(key, member) {
+      return this.run('SADD', [key, member], () => {
+        if (!fake.sets.has(key)) fake.sets.set(key, new Set());
+        const set = fake.sets.get(key);
+        return set.has(member) ? 0 : Number(Boolean(set.add(member)));
+      });
+    }
+
+    // TTLs are accepted but never expire anything
+    expire(key, seconds) {
+      return this.run('EXPIRE', [key, seconds], () => Number(fake.store.has(key) || fake.sets.has(key)));
+    }
+
+    // The whole set in one reply
+    sScan(key) {
+      return this.run('SSCAN', [key], () => ({ cursor: 0, members: [...(fake.sets.get(key) || [])] }));
+    }
+
+    eval(script, { keys, arguments: args }) {
+      return this.run('EVAL', [...keys, ...args], () => {
+        // The lock release script: delete only when the token matches
+        if (fake.store.get(keys[0]) === args[0]) {
+          fake.store.delete(keys[0]);
+          return 1;
+        }
+        return 0;
+      });
+    }
+
+    ping() {
+      return this.run('PING', [], () => 'PONG');
+    }
+
+    sendCommand(args) {
+      return this.run(args[0], args.slice(1), () => (
+        args[0] === 'SENTINEL' ? [fake.sentinelMaster.host, String(fake.sentinelMaster.port)] : null
+      ));
+    }
+
+    // Queued commands run one by one on exec, each recorded on its own
+    multi() {
+      const queued = [];
+      const chain = new Proxy({}, {
+        get: (target, name) => {
+          if (name === 'exec') {
+            return () => this.run('EXEC', [queued.length], () => Promise.all(
+              queued.map(([command, ...args]) => this[command](...args))
+            ));
+          }
+          return (...args) => {
+            queued.push([name, ...args]);
+            return chain;
+          };
+        }
+      });
+      return chain;
+    }
+
+    subscribe(channel, handler) {
+      return this.run('SUBSCRIBE', [channel], () => {
+        if (!fake.channels.has(channel)) fake.channels.set(channel, new Map());
+        fake.channels.get(channel).set(this, handler);
+      });
+    }
+
+    publish(channel, message) {
+      return this.run('PUBLISH', [channel, message], () => {
+        const listeners = [...(fake.channels.get(channel) || new Map())]
+          .filter(([client]) => client.isReady);
+        listeners.forEach(([, handler]) => handler(message));
+        return listeners.length;
+      });
+    }
+  }
+
+  fake.createClient = (options) => new FakeClient(options);
+  fake.createCluster = (options) => new FakeClient(options, { cluster: true });
+
+  // Clients whose options match, e.g. the ones pointed at a given host
+  fake.find = (predicate) => fake.clients.filter(client => predicate(client.options));
+
+  // Delivers a message on a channel, as another server process would
+  fake.broadcast = (channel, message) => {
+    for (const [client, handler] of fake.channels.get(channel) || []) {
+      if (client.isReady) handler(message);
+    }
+  };
+
+  return fake;
+};
+
+module.exports = { createFakeNodeRedis };
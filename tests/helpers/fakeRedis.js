@@ -0,0 +1,92 @@
+// In-memory stand-in for the RedisManager in src/config/redis.js, covering
+// the calls the modules under test make. Values are JSON round-tripped like
+// the real wrapper does; TTLs are recorded but never expire anything.
+const globToRegExp = (glob) => new RegExp(`^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+
+const createFakeRedis = () => {
+  const store = new Map();
+  const ttls = new Map();
+  const sets = new Map();
+  const recoveryHandlers = [];
+
+  return {
+    store,
+    ttls,
+    sets,
+    client: { on() {}, isReady: true },
+
+    reset() {
+      store.clear();
+      ttls.clear();
+      sets.clear();
+    },
+
+    isDegraded: () => false,
+    isConnected: () => true,
+    onRecovery(handler) {
+      recoveryHandlers.push(handler);
+    },
+    // What the real manager does when its circuit closes after an outage
+    async recover() {
+      await Promise.all(recoveryHandlers.map(handler => handler()));
+    },
+    hashTag: (prefix, id) => `${prefix}{${id}}`,
+
+    async get(key) {
+      return store.has(key) ? JSON.parse(store.get(key)) : null;
+    },
+    async set(key, value, ttlSeconds = 300) {
+      store.set(key, JSON.stringify(value));
+      ttls.set(key, ttlSeconds);
+      return true;
+    },
+    async del(key) {
+      store.delete(key);
+      return true;
+    },
+    async exists(key) {
+      return store.has(key) ? 1 : 0;
+    },
+    async unlink(keys) {
+      return keys.filter(key => {
+        const existed = store.has(key) || sets.has(key);
+        store.delete(key);
+        sets.delete(key);
+        return existed;
+      }).length;
+    },
+    async sAddMany(setKeys, member) {
+      setKeys.forEach(setKey => {
+        if (!sets.has(setKey)) sets.set(setKey, new Set());
+        sets.get(setKey).add(member);
+      });
+      return true;
+    },
+    async *sScan(setKey) {
+      yield* (sets.get(setKey) || []);
+    },
+    async *scan(match) {
+      const pattern = globToRegExp(match);
+      yield* [...store.keys(), ...sets.keys()].filter(key => pattern.test(key));
+    },
+    async acquireLock(key) {
+      if (store.has(key)) return null;
+      const token = String(Math.random());
+      store.set(key, JSON.stringify(token));
+      return token;
+    },
+    async releaseLock(key, token) {
+      if (store.get(key) === JSON.stringify(token)) store.delete(key);
+      return true;
+    },
+    async evalScript() {
+      return null;
+    },
+    async publish() {
+      return true;
+    },
+    async subscribe() {}
+  };
+};
+
+module.exports = { createFakeRedis };
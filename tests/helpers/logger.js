@@ -0,0 +1,7 @@
+// Stands in for src/utils/logger, so tests neither print nor write to logs/
+module.exports = {
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
@@ -0,0 +1,12 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Runs before every test file: signing keys go to a throwaway directory and
+// nothing reads the developer's .env values for these
+process.env.NODE_ENV = 'test';
+process.env.JWT_KEYS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+process.env.TWO_FACTOR_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+process.env.BCRYPT_ROUNDS = '4';
+delete process.env.JWT_SECRET;
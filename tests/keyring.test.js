@@ -0,0 +1,155 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const keyring = require('../src/utils/keyring');
+const tokens = require('../src/utils/tokens');
+const wellKnownRoutes = require('../src/routes/wellKnown');
+
+const app = express();
+app.use('/.well-known', wellKnownRoutes);
+
+const START = Date.UTC(2026, 0, 15, 12, 0, 0);
+const MINUTE = 60 * 1000;
+// JWKS max-age plus one reload interval
+const PUBLISH_DELAY_MS = 6 * MINUTE;
+
+const token = () => tokens.signAccessToken({ id: 7, email: 'ada@example.com' }, 'session-1', ['customer']);
+const kidOf = (signed) => jwt.decode(signed, { complete: true }).header.kid;
+
+describe('keyring', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate'] });
+    fs.rmSync(keyring.directory, { recursive: true, force: true });
+    keyring.load();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('generates and activates a key on first use', () => {
+    const signed = token();
+
+    expect(keyring.list()).toEqual([expect.objectContaining({ kid: kidOf(signed), alg: 'ES256', state: 'active' })]);
+    expect(tokens.verify(signed).id).toBe(7);
+  });
+
+  it('stores keys as private files named by their thumbprint', () => {
+    const { kid } = keyring.generate();
+    const file = path.join(keyring.directory, `${kid}.json`);
+
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).kid).toBe(kid);
+  });
+
+  it('publishes a generated key before it signs anything', () => {
+    const active = kidOf(token());
+    const { kid, state } = keyring.generate();
+
+    expect(state).toBe('pending');
+    expect(keyring.jwks().keys.map(key => key.kid)).toEqual(expect.arrayContaining([active, kid]));
+    expect(kidOf(token())).toBe(active);
+  });
+
+  describe('rotate', () => {
+    it('refuses when no key is pending', () => {
+      token();
+      expect(() => keyring.rotate()).toThrow(/No pending key to activate/);
+    });
+
+    it('refuses a key verifiers may not have fetched yet', () => {
+      const active = kidOf(token());
+      keyring.generate();
+      jest.advanceTimersByTime(PUBLISH_DELAY_MS - MINUTE);
+
+      expect(() => keyring.rotate()).toThrow(/rotate again in 60s/);
+      expect(kidOf(token())).toBe(active);
+    });
+
+    it('activates the pending key once published long enough and retires the old one', () => {
+      const old = token();
+      const { kid } = keyring.generate();
+      jest.advanceTimersByTime(PUBLISH_DELAY_MS);
+
+      expect(keyring.rotate()).toEqual({ kid, retired: [kidOf(old)] });
+      expect(kidOf(token())).toBe(kid);
+      // Tokens from the retired key stay valid
+      expect(tokens.verify(old).id).toBe(7);
+    });
+
+    it('skips a newer pending key that is not ready for an older one that is', () => {
+      token();
+      const { kid: older } = keyring.generate();
+      jest.advanceTimersByTime(PUBLISH_DELAY_MS);
+      keyring.generate();
+
+      expect(keyring.rotate().kid).toBe(older);
+    });
+  });
+
+  describe('prune', () => {
+    it('deletes retired keys only once every token they signed has expired', () => {
+      const old = kidOf(token());
+      keyring.generate();
+      jest.advanceTimersByTime(PUBLISH_DELAY_MS);
+      keyring.rotate();
+
+      jest.advanceTimersByTime(15 * MINUTE);
+      expect(keyring.prune()).toEqual([]);
+
+      jest.advanceTimersByTime(2 * MINUTE);
+      expect(keyring.prune()).toEqual([old]);
+      expect(keyring.list().map(key => key.state)).toEqual(['active']);
+    });
+  });
+
+  it('picks up keys another process wrote when a token names an unknown kid', () => {
+    token();
+    const other = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const record = {
+      kid: 'written-elsewhere',
+      alg: 'ES256',
+      createdAt: new Date().toISOString(),
+      activatedAt: new Date().toISOString(),
+      retiredAt: null,
+      publicKey: other.publicKey.export({ format: 'pem', type: 'spki' }),
+      privateKey: other.privateKey.export({ format: 'pem', type: 'pkcs8' })
+    };
+    fs.writeFileSync(path.join(keyring.directory, 'written-elsewhere.json'), JSON.stringify(record));
+    const signed = jwt.sign({ id: 7 }, other.privateKey, { algorithm: 'ES256', keyid: 'written-elsewhere' });
+
+    // Unknown kids reload the directory at most every 5 seconds
+    expect(() => tokens.verify(signed)).toThrow('unknown key id written-elsewhere');
+    jest.advanceTimersByTime(5001);
+    expect(tokens.verify(signed).id).toBe(7);
+  });
+
+  describe('JWKS', () => {
+    it('serves the public keys with a cache lifetime shorter than the publish delay', async () => {
+      const signed = token();
+      keyring.generate();
+
+      const res = await request(app).get('/.well-known/jwks.json');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['cache-control']).toBe('public, max-age=300');
+      expect(res.body.keys).toHaveLength(2);
+      res.body.keys.forEach(key => {
+        expect(key).toMatchObject({ kty: 'EC', crv: 'P-256', alg: 'ES256', use: 'sig' });
+        expect(key).not.toHaveProperty('d');
+      });
+
+      // A verifier needs nothing but the JWKS
+      const jwk = res.body.keys.find(key => key.kid === kidOf(signed));
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      expect(jwt.verify(signed, publicKey, { algorithms: ['ES256'] }).id).toBe(7);
+    });
+  });
+});
@@ -1,6 +1,13 @@
+const fs = require('fs');
+const path = require('path');
 const autocannon = require('autocannon');
 const logger = require('../src/utils/logger');
 
+// Written by `npm run seed`; lets scenarios hit real product ids and log in as seeded users
+const SEED_MANIFEST = path.resolve(process.env.SEED_MANIFEST || path.join(__dirname, 'seed-manifest.json'));
+// Require a staff role; the seeded admin is used for these
+const STAFF_ENDPOINTS = ['/api/users', '/api/analytics'];
+
 class LoadTester {
   constructor() {
     this.baseUrl = process.env.TEST_URL || 'http://localhost:3000';
@@ -10,6 +17,43 @@ class LoadTester {
       heavy: { connections: 100, duration: 120 },
       extreme: { connections: 500, duration: 180 }
     };
+    this.fixtures = this.loadFixtures();
+  }
+
+  loadFixtures() {
+    if (!fs.existsSync(SEED_MANIFEST)) {
+      return null;
+    }
+    const manifest = JSON.parse(fs.readFileSync(SEED_MANIFEST, 'utf8'));
+    logger.info(`Using seed fixtures: ${JSON.stringify(manifest.counts)}`);
+    return manifest;
+  }
+
+  requireFixtures(endpoint) {
+    if (!this.fixtures) {
+      throw new Error(`${endpoint} needs seeded data, run \`npm run seed\` first`);
+    }
+    return this.fixtures;
+  }
+
+  randomProductId() {
+    const ids = this.fixtures.activeProductIds;
+    return ids[Math.floor(Math.random() * ids.length)];
+  }
+
+  // Logs in as a seeded user (random unless given); authenticated scenarios share its token
+  async login(id) {
+    const { counts, users } = this.requireFixtures('Authenticated endpoints');
+    id = id || 1 + Math.floor(Math.random() * counts.users);
+    const response = await fetch(`${this.baseUrl}/api/users/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: users.emailTemplate.replace('{id}', id), password: users.password })
+    });
+    if (!response.ok) {
+      throw new Error(`Login as seeded user ${id} failed with ${response.status}`);
+    }
+    return (await response.json()).token;
   }
 
   async runTest(scenario = 'medium', endpoint = '/health') {
@@ -21,14 +65,31 @@ class LoadTester {
     logger.info(`Starting ${scenario} load test on ${this.baseUrl}${endpoint}`);
     logger.info(`Config: ${config.connections} connections for ${config.duration}s`);
 
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    if (endpoint.startsWith('/api/orders')) {
+      headers.Authorization = `Bearer ${await this.login()}`;
+    } else if (STAFF_ENDPOINTS.some(prefix => endpoint.startsWith(prefix))) {
+      headers.Authorization = `Bearer ${await this.login(this.requireFixtures(endpoint).users.adminId)}`;
+    }
+
+    // :productId is replaced with a random seeded product on every request
+    let requests;
+    if (endpoint.includes(':productId')) {
+      this.requireFixtures(endpoint);
+      requests = [{
+        setupRequest: (request) => ({ ...request, path: endpoint.replace(':productId', this.randomProductId()) })
+      }];
+    }
+
     const instance = autocannon({
       url: `${this.baseUrl}${endpoint}`,
       connections: config.connections,
       duration: config.duration,
       pipelining: 1,
-      headers: {
-        'Content-Type': 'application/json'
-      }
+      headers,
+      requests
     });
 
     return new Promise((resolve, reject) => {
@@ -89,6 +150,9 @@ class LoadTester {
       '/api/users',
       '/api/analytics/performance'
     ];
+    if (this.fixtures) {
+      endpoints.push('/api/products/:productId', '/api/orders');
+    }
 
     const results = {};
 
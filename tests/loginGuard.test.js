@@ -0,0 +1,221 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const request = require('supertest');
+const dbPool = require('../src/config/database');
+const redisClient = require('../src/config/redis');
+const loginGuard = require('../src/utils/loginGuard');
+const userRoutes = require('../src/routes/users');
+const adminRoutes = require('../src/routes/admin');
+
+const app = express();
+app.set('trust proxy', true);
+app.use(express.json());
+app.use('/api/users', userRoutes);
+// server.js mounts the router behind auth and requireRole('admin')
+app.use('/api/admin', (req, res, next) => {
+  req.user = { id: 1, email: 'admin@example.com', roles: ['admin'] };
+  next();
+}, adminRoutes);
+
+const EMAIL = 'ada@example.com';
+const IP = '203.0.113.7';
+
+// The two Lua scripts in loginGuard.js, run against the fake store on a clock
+// the tests move by hand
+let clock;
+const expiries = new Map();
+
+const live = (key) => {
+  if (expiries.has(key) && expiries.get(key) <= clock) {
+    redisClient.store.delete(key);
+    expiries.delete(key);
+  }
+  return redisClient.store.has(key);
+};
+
+const setPx = (key, value, ms) => {
+  redisClient.store.set(key, String(value));
+  expiries.set(key, clock + ms);
+};
+
+const pttl = (key) => (live(key) ? expiries.get(key) - clock : 0);
+
+const runScript = (script, [failures, lock, delay], args) => {
+  const count = () => (live(failures) ? Number(redisClient.store.get(failures)) : 0);
+
+  if (!script.includes('INCR')) {
+    return [count(), pttl(lock), pttl(delay)];
+  }
+
+  const [windowMs, maxAttempts, lockoutMs, delayAfter, baseMs, maxMs] = args.map(Number);
+  const failed = count() + 1;
+  if (failed === 1) {
+    setPx(failures, failed, windowMs);
+  } else {
+    redisClient.store.set(failures, String(failed));
+  }
+
+  if (failed >= maxAttempts) {
+    setPx(lock, failed, lockoutMs);
+    [failures, delay].forEach(key => redisClient.store.delete(key));
+    return [failed, lockoutMs, 0];
+  }
+  let wait = 0;
+  if (failed >= delayAfter) {
+    wait = Math.floor(Math.min(baseMs * 2 ** (failed - delayAfter), maxMs));
+    setPx(delay, 1, wait);
+  }
+  return [failed, 0, wait];
+};
+
+const login = (password, email = EMAIL) => request(app)
+  .post('/api/users/login')
+  .set('X-Forwarded-For', IP)
+  .send({ email, password });
+
+const fail = async (times, email = EMAIL) => {
+  for (let i = 0; i < times; i++) {
+    // Past any cooldown, so each failure counts
+    clock += 60000;
+    await loginGuard.recordFailure(email, IP, 7);
+  }
+};
+
+const auditRows = () => dbPool.calls(/INSERT INTO audit_log/).map(call => call.params);
+
+describe('login guard', () => {
+  beforeEach(() => {
+    clock = 0;
+    expiries.clear();
+    dbPool.reset();
+    redisClient.reset();
+    jest.restoreAllMocks();
+    jest.spyOn(redisClient, 'evalScript').mockImplementation(async (script, keys, args) => runScript(script, keys, args));
+
+    const user = { id: 7, email: EMAIL, name: 'Ada', password: bcrypt.hashSync('correct horse', 4), roles: ['customer'], tier: 'free', two_factor_enabled_at: null };
+    dbPool
+      .on(/FROM users WHERE email = \$1/, ([email]) => (email === EMAIL ? [user] : []))
+      .on(/INSERT INTO refresh_tokens/, () => [{ id: 1 }]);
+  });
+
+  describe('cooldown', () => {
+    it('refuses attempts with a Retry-After from the third failure, doubling each time', async () => {
+      await loginGuard.recordFailure(EMAIL, IP);
+      await loginGuard.recordFailure(EMAIL, IP);
+      await expect(loginGuard.check(EMAIL, IP)).resolves.toBeNull();
+
+      await loginGuard.recordFailure(EMAIL, IP);
+      await expect(loginGuard.check(EMAIL, IP)).resolves.toEqual({ reason: 'delayed', retryAfterMs: 1000 });
+      clock += 1000;
+      await loginGuard.recordFailure(EMAIL, IP);
+      await expect(loginGuard.check(EMAIL, IP)).resolves.toEqual({ reason: 'delayed', retryAfterMs: 2000 });
+    });
+
+    it('answers at once with 429 instead of holding the request', async () => {
+      await fail(2);
+      expect((await login('wrong')).status).toBe(401);
+
+      const res = await login('correct horse');
+
+      expect(res.status).toBe(429);
+      expect(res.headers['retry-after']).toBe('1');
+      expect(res.body).toEqual({ error: 'Too many failed login attempts, wait before retrying', retryAfter: 1 });
+
+      clock += 1000;
+      expect((await login('correct horse')).status).toBe(200);
+    });
+  });
+
+  describe('lockout', () => {
+    it('locks the account at the fifth failure and records it', async () => {
+      await fail(5);
+
+      const res = await login('correct horse');
+
+      expect(res.status).toBe(429);
+      expect(res.headers['retry-after']).toBe('900');
+      expect(res.body.error).toBe('Too many failed login attempts, try again later');
+      expect(auditRows()).toEqual([
+        ['login.lockout', 7, null, EMAIL, IP, { subject: 'account', failures: 5, lockedMs: 900000 }]
+      ]);
+    });
+
+    it('locks unknown emails the same way, so lockouts reveal nothing', async () => {
+      await fail(5, 'nobody@example.com');
+
+      expect((await login('whatever', 'nobody@example.com')).status).toBe(429);
+    });
+
+    it('locks an IP after LOGIN_IP_MAX_ATTEMPTS failures across accounts', async () => {
+      for (let i = 0; i < 50; i++) {
+        await loginGuard.recordFailure(`user${i}@example.com`, IP);
+      }
+
+      const res = await login('correct horse');
+
+      expect(res.status).toBe(429);
+      expect(auditRows().filter(row => row[5].subject === 'ip')).toEqual([
+        ['login.lockout', null, null, 'user49@example.com', IP, { subject: 'ip', failures: 50, lockedMs: 900000 }]
+      ]);
+    });
+
+    it('lifts by itself once LOGIN_LOCKOUT_MS has passed', async () => {
+      await fail(5);
+
+      clock += 900000;
+
+      expect((await login('correct horse')).status).toBe(200);
+    });
+  });
+
+  describe('successful login', () => {
+    it("clears the account's failures and the IP's count", async () => {
+      await fail(2);
+      await loginGuard.recordFailure('other@example.com', IP);
+
+      expect((await login('correct horse')).status).toBe(200);
+
+      await expect(loginGuard.status('account', EMAIL)).resolves.toMatchObject({ failures: 0, delayMs: 0 });
+      await expect(loginGuard.status('ip', IP)).resolves.toMatchObject({ failures: 0 });
+      // Other accounts keep theirs
+      await expect(loginGuard.status('account', 'other@example.com')).resolves.toMatchObject({ failures: 1 });
+    });
+
+    it('leaves an IP lock to run out', async () => {
+      const [, lock] = loginGuard.keys('ip', IP);
+      setPx(lock, 50, 900000);
+
+      await loginGuard.recordSuccess(EMAIL, IP);
+
+      await expect(loginGuard.check(EMAIL, IP)).resolves.toEqual({ reason: 'locked', retryAfterMs: 900000 });
+    });
+  });
+
+  describe('unlock', () => {
+    it('lets an admin lift a lockout, recorded with who did it', async () => {
+      await fail(5);
+
+      const res = await request(app).post('/api/admin/login-locks/unlock').send({ email: EMAIL });
+
+      expect(res.status).toBe(200);
+      await expect(loginGuard.check(EMAIL, null)).resolves.toBeNull();
+      expect(auditRows().pop()).toEqual(['login.unlock', 7, 1, EMAIL, null, {}]);
+      expect((await login('correct horse')).status).toBe(200);
+    });
+
+    it('shows the counters of an account and an IP to admins', async () => {
+      await fail(3);
+
+      const res = await request(app).get('/api/admin/login-locks').query({ email: EMAIL, ip: IP });
+
+      expect(res.body.subjects).toEqual([
+        { type: 'account', value: EMAIL, failures: 3, lockedMs: 0, delayMs: 1000 },
+        { type: 'ip', value: IP, failures: 3, lockedMs: 0, delayMs: 0 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const dbPool = require('../src/config/database');
+const logger = require('../src/utils/logger');
+const mailer = require('../src/utils/mailer');
+const accountTokens = require('../src/utils/accountTokens');
+const userRoutes = require('../src/routes/users');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+
+describe('mail transport', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('defaults to the outbox outside production', () => {
+    delete process.env.MAIL_TRANSPORT;
+    expect(mailer.transportName()).toBe('outbox');
+  });
+
+  it('must be chosen explicitly in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.MAIL_TRANSPORT;
+    expect(() => mailer.transportName()).toThrow(/MAIL_TRANSPORT must be set in production/);
+
+    process.env.MAIL_TRANSPORT = 'smtp';
+    expect(mailer.transportName()).toBe('smtp');
+  });
+});
+
+describe('password reset request', () => {
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    dbPool.reset();
+    jest.restoreAllMocks();
+    logger.error.mockClear();
+  });
+
+  it('answers 202 before the account is looked up', async () => {
+    let finishLookup;
+    dbPool.on(/FROM users WHERE email/, () => new Promise(resolve => { finishLookup = resolve; }));
+    const send = jest.spyOn(accountTokens, 'sendPasswordReset').mockResolvedValue();
+
+    const res = await request(app).post('/api/users/password-reset/request').send({ email: 'ada@example.com' });
+
+    expect(res.status).toBe(202);
+    expect(send).not.toHaveBeenCalled();
+
+    finishLookup([{ id: 7, email: 'ada@example.com', name: 'Ada' }]);
+    await flush();
+    expect(send).toHaveBeenCalledWith({ id: 7, email: 'ada@example.com', name: 'Ada' });
+  });
+
+  it('answers the same for an unknown email and sends nothing', async () => {
+    const send = jest.spyOn(accountTokens, 'sendPasswordReset').mockResolvedValue();
+
+    const res = await request(app).post('/api/users/password-reset/request').send({ email: 'nobody@example.com' });
+    await flush();
+
+    expect(res.status).toBe(202);
+    expect(res.body).toEqual({ message: 'If the account exists, a reset email has been sent' });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('logs a failed send instead of failing the request', async () => {
+    dbPool.on(/FROM users WHERE email/, () => [{ id: 7, email: 'ada@example.com', name: 'Ada' }]);
+    jest.spyOn(accountTokens, 'sendPasswordReset').mockRejectedValue(new Error('SMTP unreachable'));
+
+    const res = await request(app).post('/api/users/password-reset/request').send({ email: 'ada@example.com' });
+    await flush();
+
+    expect(res.status).toBe(202);
+    expect(logger.error).toHaveBeenCalledWith('Failed to send password reset email to ada@example.com: SMTP unreachable');
+  });
+
+  it('still rejects an invalid email', async () => {
+    const res = await request(app).post('/api/users/password-reset/request').send({ email: 'not-an-email' });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,177 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dbPool = require('../src/config/database');
+const Migrator = require('../src/utils/migrator');
+
+const FILES = {
+  '0001_users.up.sql': 'CREATE TABLE users (id SERIAL PRIMARY KEY);',
+  '0001_users.down.sql': 'DROP TABLE users;',
+  '0002_users_email.up.sql': 'ALTER TABLE users ADD COLUMN email TEXT;',
+  '0002_users_email.down.sql': 'ALTER TABLE users DROP COLUMN email;',
+  '0010_users_email_index.up.sql': '-- migrate:no-transaction\nCREATE INDEX CONCURRENTLY users_email_idx ON users (email);',
+  '0010_users_email_index.down.sql': '-- migrate:no-transaction\nDROP INDEX CONCURRENTLY users_email_idx;',
+  'README.md': 'not a migration'
+};
+
+const LOCK = /pg_advisory_(un)?lock/;
+
+// schema_migrations as the migrator reads and writes it
+let table;
+
+const statements = () => dbPool.queries.map(query => query.text.trim());
+
+const record = (migrator, version) => {
+  const migration = migrator.loadMigrations().find(candidate => candidate.version === version);
+  table.push({ version, name: migration.name, checksum: migration.checksum, applied_at: new Date(Date.UTC(2026, 0, table.length + 1)) });
+};
+
+describe('migrator', () => {
+  let directory, migrator;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    Object.entries(FILES).forEach(([file, sql]) => fs.writeFileSync(path.join(directory, file), sql));
+    migrator = new Migrator(directory);
+
+    table = null;
+    dbPool.reset();
+    dbPool
+      .on(/to_regclass/, () => [{ name: table ? 'schema_migrations' : null }])
+      .on(/CREATE TABLE IF NOT EXISTS schema_migrations/, () => {
+        table = table || [];
+      })
+      .on(/^\s*SELECT version, name, checksum, applied_at FROM schema_migrations/, () => table.map(row => ({ ...row, checksum: row.checksum.padEnd(64) })))
+      .on(/INSERT INTO schema_migrations/, ([version, name, checksum]) => {
+        table.push({ version, name, checksum, applied_at: new Date() });
+      })
+      .on(/DELETE FROM schema_migrations/, ([version]) => {
+        table = table.filter(row => row.version !== version);
+      })
+      .on(/^BROKEN/, () => {
+        throw new Error('syntax error at or near "BROKEN"');
+      });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('up', () => {
+    it('applies pending migrations in version order, recording each with its checksum', async () => {
+      await expect(migrator.up()).resolves.toEqual(['0001', '0002', '0010']);
+
+      expect(table.map(row => [row.version, row.name, row.checksum])).toEqual([
+        ['0001', 'users', migrator.checksum(FILES['0001_users.up.sql'])],
+        ['0002', 'users_email', migrator.checksum(FILES['0002_users_email.up.sql'])],
+        ['0010', 'users_email_index', migrator.checksum(FILES['0010_users_email_index.up.sql'])]
+      ]);
+      await expect(migrator.up()).resolves.toEqual([]);
+    });
+
+    it('runs each file in a transaction of its own, unless it opts out, under the advisory lock', async () => {
+      await migrator.up();
+
+      expect(statements().filter(text => !/schema_migrations/.test(text))).toEqual([
+        'SET statement_timeout = 0',
+        'SELECT pg_advisory_lock($1)',
+        'BEGIN', FILES['0001_users.up.sql'], 'COMMIT',
+        'BEGIN', FILES['0002_users_email.up.sql'], 'COMMIT',
+        FILES['0010_users_email_index.up.sql'],
+        'SELECT pg_advisory_unlock($1)',
+        'RESET statement_timeout'
+      ]);
+    });
+
+    it('stops at --to', async () => {
+      await expect(migrator.up({ to: '2' })).resolves.toEqual(['0001', '0002']);
+    });
+
+    it('rolls back a failing migration, leaves it unrecorded and releases the lock', async () => {
+      fs.writeFileSync(path.join(directory, '0002_users_email.up.sql'), 'BROKEN');
+
+      await expect(migrator.up()).rejects.toThrow('syntax error');
+
+      expect(table.map(row => row.version)).toEqual(['0001']);
+      expect(statements().slice(-5)).toEqual(['BEGIN', 'BROKEN', 'ROLLBACK', 'SELECT pg_advisory_unlock($1)', 'RESET statement_timeout']);
+    });
+
+    it('refuses to run when an applied migration was edited', async () => {
+      await migrator.up({ to: '0001' });
+      fs.writeFileSync(path.join(directory, '0001_users.up.sql'), 'CREATE TABLE users (id BIGSERIAL PRIMARY KEY);');
+
+      await expect(migrator.up()).rejects.toThrow('Checksum mismatch for applied migration 0001_users');
+      expect(table.map(row => row.version)).toEqual(['0001']);
+    });
+
+    it('refuses a migration without an up file', async () => {
+      fs.writeFileSync(path.join(directory, '0003_orders.down.sql'), 'DROP TABLE orders;');
+
+      await expect(migrator.up()).rejects.toThrow('Migration 0003_orders has no .up.sql file');
+      expect(dbPool.queries).toEqual([]);
+    });
+  });
+
+  describe('down', () => {
+    beforeEach(async () => {
+      await migrator.up();
+      dbPool.queries = [];
+    });
+
+    it('rolls back the latest migrations, newest first', async () => {
+      await expect(migrator.down({ steps: 2 })).resolves.toEqual(['0010', '0002']);
+
+      expect(table.map(row => row.version)).toEqual(['0001']);
+      expect(statements().filter(text => !/schema_migrations|statement_timeout|pg_advisory/.test(text))).toEqual([
+        FILES['0010_users_email_index.down.sql'],
+        'BEGIN', FILES['0002_users_email.down.sql'], 'COMMIT'
+      ]);
+    });
+
+    it('refuses to roll back when an applied migration was edited', async () => {
+      fs.writeFileSync(path.join(directory, '0010_users_email_index.up.sql'), '-- migrate:no-transaction\nCREATE UNIQUE INDEX CONCURRENTLY users_email_idx ON users (email);');
+
+      await expect(migrator.down()).rejects.toThrow('Checksum mismatch for applied migration 0010_users_email_index');
+
+      expect(table.map(row => row.version)).toEqual(['0001', '0002', '0010']);
+      expect(statements()).not.toContain(FILES['0010_users_email_index.down.sql']);
+      expect(statements().slice(-2)).toEqual(['SELECT pg_advisory_unlock($1)', 'RESET statement_timeout']);
+    });
+
+    it('refuses a migration without a down file', async () => {
+      fs.unlinkSync(path.join(directory, '0010_users_email_index.down.sql'));
+
+      await expect(migrator.down()).rejects.toThrow('Migration 0010_users_email_index has no .down.sql file');
+      expect(table).toHaveLength(3);
+    });
+  });
+
+  describe('status', () => {
+    it('reports applied, modified, pending and missing migrations without taking the lock', async () => {
+      table = [];
+      record(migrator, '0001');
+      record(migrator, '0002');
+      table.push({ version: '0009', name: 'dropped', checksum: 'f'.repeat(64), applied_at: new Date(Date.UTC(2026, 0, 3)) });
+      fs.writeFileSync(path.join(directory, '0002_users_email.up.sql'), 'ALTER TABLE users ADD COLUMN email CITEXT;');
+
+      await expect(migrator.status()).resolves.toEqual([
+        { version: '0001', name: 'users', state: 'applied', appliedAt: new Date(Date.UTC(2026, 0, 1)) },
+        { version: '0002', name: 'users_email', state: 'modified', appliedAt: new Date(Date.UTC(2026, 0, 2)) },
+        { version: '0010', name: 'users_email_index', state: 'pending', appliedAt: null },
+        { version: '0009', name: 'dropped', state: 'missing', appliedAt: new Date(Date.UTC(2026, 0, 3)) }
+      ]);
+      expect(dbPool.calls(LOCK)).toEqual([]);
+    });
+
+    it('lists everything as pending before the first migration, creating nothing', async () => {
+      const rows = await migrator.status();
+
+      expect(rows.map(row => row.state)).toEqual(['pending', 'pending', 'pending']);
+      expect(statements()).toEqual(["SELECT to_regclass('schema_migrations') AS name"]);
+      expect(table).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,298 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const dbPool = require('../src/config/database');
+const redisClient = require('../src/config/redis');
+const cache = require('../src/middleware/cache');
+const auth = require('../src/middleware/auth');
+const pagination = require('../src/utils/pagination');
+const tokens = require('../src/utils/tokens');
+const productRoutes = require('../src/routes/products');
+const userRoutes = require('../src/routes/users');
+const orderRoutes = require('../src/routes/orders');
+
+const app = express();
+app.use('/api/products', productRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/orders', auth, orderRoutes);
+
+// Newest first: 2, then 6, 5 and 4 created in the same microsecond, then 7,
+// one microsecond earlier (the same millisecond, so a JS Date can't tell them apart)
+const ROWS = [
+  { id: 2, cursor_created_at: '2026-01-15T12:00:00.123457Z' },
+  { id: 4, cursor_created_at: '2026-01-15T12:00:00.123456Z' },
+  { id: 5, cursor_created_at: '2026-01-15T12:00:00.123456Z' },
+  { id: 6, cursor_created_at: '2026-01-15T12:00:00.123456Z' },
+  { id: 7, cursor_created_at: '2026-01-15T12:00:00.123455Z' }
+];
+
+// Runs the WHERE / ORDER BY / LIMIT that pagination.keyset() generated
+// against rows in memory. Cursor timestamps are fixed-width UTC strings, so
+// they compare as strings the way timestamptz values compare in Postgres.
+const runKeyset = (rows, sql, params) => {
+  const param = (index) => params[Number(index) - 1];
+  const compare = (a, b) => a.cursor_created_at.localeCompare(b.cursor_created_at) || a.id - b.id;
+
+  let result = rows.slice();
+  const condition = sql.match(/\([\w.]+, [\w.]+\) ([<>]) \(\$(\d+)::timestamptz, \$(\d+)::bigint\)/);
+  if (condition) {
+    const cursor = { cursor_created_at: param(condition[2]), id: param(condition[3]) };
+    result = result.filter(row => (condition[1] === '<' ? compare(row, cursor) < 0 : compare(row, cursor) > 0));
+  }
+
+  result.sort(compare);
+  if (/ORDER BY [\w.]+ DESC/.test(sql)) {
+    result.reverse();
+  }
+
+  const offset = sql.match(/OFFSET \$(\d+)/);
+  const start = offset ? param(offset[1]) : 0;
+  return result.slice(start, start + param(sql.match(/LIMIT \$(\d+)/)[1]));
+};
+
+const ids = (res, key) => res.body[key].map(row => row.id);
+
+describe('pagination', () => {
+  describe('cursors', () => {
+    it('round-trip created_at to the microsecond', () => {
+      const cursor = pagination.encode({ id: 5, cursor_created_at: '2026-01-15T12:00:00.123456Z' });
+      expect(pagination.decode(cursor)).toEqual({ createdAt: '2026-01-15T12:00:00.123456Z', id: 5 });
+    });
+
+    it('are opaque base64url', () => {
+      expect(pagination.encode(ROWS[0])).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    it('reject anything encode() could not have made', () => {
+      const forge = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+      expect(pagination.decode('not a cursor')).toBeNull();
+      expect(pagination.decode(forge({ createdAt: '2026-01-15T12:00:00.123456Z', id: 5 }))).toBeNull();
+      expect(pagination.decode(forge(['2026-01-15T12:00:00.123Z', 5]))).toBeNull();
+      expect(pagination.decode(forge(['2026-01-15T12:00:00.123456Z', 0]))).toBeNull();
+      expect(pagination.decode(forge(['2026-01-15T12:00:00.123456Z', '5']))).toBeNull();
+      expect(pagination.decode(forge(["2026-01-15T12:00:00.123456Z' OR 1=1 --", 5]))).toBeNull();
+    });
+  });
+
+  describe('keyset', () => {
+    const parse = (query) => pagination.parse({ query }, { defaultLimit: 2 });
+
+    it('pages by number with OFFSET unless asked for cursors', () => {
+      const params = [];
+      expect(pagination.keyset(parse({ page: '3' }), params, { createdAt: 'p.created_at', id: 'p.id' })).toEqual({
+        condition: null,
+        orderBy: 'p.created_at DESC, p.id DESC',
+        limit: 'LIMIT $1 OFFSET $2'
+      });
+      expect(params).toEqual([2, 4]);
+      expect(parse({})).toEqual({ mode: 'offset', limit: 2, page: 1, offset: 0, includeTotal: true });
+    });
+
+    it('fetches one row past the limit, newest first', () => {
+      const params = [];
+      expect(pagination.keyset(parse({ mode: 'cursor' }), params, { createdAt: 'p.created_at', id: 'p.id' })).toEqual({
+        condition: null,
+        orderBy: 'p.created_at DESC, p.id DESC',
+        limit: 'LIMIT $1'
+      });
+      expect(params).toEqual([3]);
+    });
+
+    it('breaks created_at ties on id, after the existing parameters', () => {
+      const params = ['filter'];
+      const keyset = pagination.keyset(parse({ after: pagination.encode(ROWS[2]) }), params, { createdAt: 'p.created_at', id: 'p.id' });
+
+      expect(keyset.condition).toBe('(p.created_at, p.id) < ($2::timestamptz, $3::bigint)');
+      expect(params).toEqual(['filter', '2026-01-15T12:00:00.123456Z', 5, 3]);
+    });
+
+    it('reads backwards in ascending order', () => {
+      const keyset = pagination.keyset(parse({ before: pagination.encode(ROWS[2]) }), [], { createdAt: 'created_at', id: 'id' });
+
+      expect(keyset.condition).toBe('(created_at, id) > ($1::timestamptz, $2::bigint)');
+      expect(keyset.orderBy).toBe('created_at ASC, id ASC');
+    });
+  });
+
+  describe('product list', () => {
+    let counts;
+
+    beforeEach(() => {
+      dbPool.reset();
+      redisClient.reset();
+      cache.memoryCache.flushAll();
+      counts = 0;
+      dbPool
+        .on(/SELECT COUNT\(\*\) FROM products/, () => {
+          counts++;
+          return [{ count: String(ROWS.length) }];
+        })
+        .on(/FROM products p/, (params, sql) => runKeyset(ROWS, sql, params));
+    });
+
+    it('answers the first page by number with a total by default', async () => {
+      const res = await request(app).get('/api/products').query({ limit: 2 });
+
+      expect(res.status).toBe(200);
+      expect(ids(res, 'products')).toEqual([2, 6]);
+      expect(res.body.pagination).toEqual({ page: 1, limit: 2, total: 5, pages: 3 });
+      expect(counts).toBe(1);
+    });
+
+    it('answers in cursor mode with mode=cursor, without a total', async () => {
+      const res = await request(app).get('/api/products').query({ limit: 2, mode: 'cursor' });
+
+      expect(res.status).toBe(200);
+      expect(ids(res, 'products')).toEqual([2, 6]);
+      expect(res.body.pagination).toEqual({
+        limit: 2,
+        nextCursor: pagination.encode(ROWS[3]),
+        prevCursor: null,
+        next: `/api/products?limit=2&mode=cursor&after=${pagination.encode(ROWS[3])}`,
+        prev: null
+      });
+      expect(res.body.products[0]).not.toHaveProperty('cursor_created_at');
+      expect(counts).toBe(0);
+    });
+
+    it('walks every row exactly once through next links, across created_at ties', async () => {
+      const pages = [];
+      let next = '/api/products?limit=2&mode=cursor';
+      while (next) {
+        const res = await request(app).get(next);
+        pages.push(ids(res, 'products'));
+        next = res.body.pagination.next;
+      }
+
+      expect(pages).toEqual([[2, 6], [5, 4], [7]]);
+    });
+
+    it('switches to cursor mode for a request carrying a cursor', async () => {
+      const res = await request(app).get(`/api/products?limit=2&after=${pagination.encode(ROWS[3])}`);
+
+      expect(ids(res, 'products')).toEqual([5, 4]);
+      expect(res.body.pagination.prev).toBe(`/api/products?limit=2&before=${pagination.encode(ROWS[2])}`);
+      expect(counts).toBe(0);
+    });
+
+    it('walks back through prev links to the first page', async () => {
+      const last = await request(app).get(`/api/products?limit=2&after=${pagination.encode(ROWS[1])}`);
+      expect(ids(last, 'products')).toEqual([7]);
+      expect(last.body.pagination.next).toBeNull();
+
+      const middle = await request(app).get(last.body.pagination.prev);
+      expect(ids(middle, 'products')).toEqual([5, 4]);
+
+      const first = await request(app).get(middle.body.pagination.prev);
+      expect(ids(first, 'products')).toEqual([2, 6]);
+      expect(first.body.pagination.prev).toBeNull();
+      expect(first.body.pagination.next).toBe(`/api/products?limit=2&after=${pagination.encode(ROWS[3])}`);
+    });
+
+    it('keeps the other query parameters in its links', async () => {
+      const res = await request(app).get('/api/products?category=3&limit=2&mode=cursor&include_total=true');
+
+      const next = new URL(res.body.pagination.next, 'http://localhost');
+      expect(next.pathname).toBe('/api/products');
+      expect(Object.fromEntries(next.searchParams)).toEqual({
+        category: '3', limit: '2', mode: 'cursor', include_total: 'true', after: pagination.encode(ROWS[3])
+      });
+    });
+
+    it('counts in cursor mode only with include_total', async () => {
+      const res = await request(app).get('/api/products').query({ limit: 2, mode: 'cursor', include_total: 'true' });
+
+      expect(res.body.pagination.total).toBe(5);
+      expect(counts).toBe(1);
+    });
+
+    it('pages by number with page, including the total', async () => {
+      const res = await request(app).get('/api/products').query({ page: 2, limit: 2 });
+
+      expect(ids(res, 'products')).toEqual([5, 4]);
+      expect(res.body.pagination).toEqual({ page: 2, limit: 2, total: 5, pages: 3 });
+    });
+
+    it.each([
+      ['a malformed cursor', { after: 'not-a-cursor' }],
+      ['a forged cursor', { before: Buffer.from('["2026-01-15", 1]').toString('base64url') }],
+      ['both directions', { after: pagination.encode(ROWS[0]), before: pagination.encode(ROWS[4]) }],
+      ['page with a cursor', { page: 2, after: pagination.encode(ROWS[0]) }],
+      ['page with mode=cursor', { page: 2, mode: 'cursor' }],
+      ['mode=offset with a cursor', { mode: 'offset', after: pagination.encode(ROWS[0]) }],
+      ['an unknown mode', { mode: 'keyset' }],
+      ['a limit above the maximum', { limit: 101 }]
+    ])('refuses %s with a 400', async (description, query) => {
+      const res = await request(app).get('/api/products').query(query);
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.length).toBeGreaterThan(0);
+      expect(dbPool.queries).toHaveLength(0);
+    });
+  });
+
+  describe('user and order lists', () => {
+    const bearer = (roles) => `Bearer ${tokens.signAccessToken({ id: 7, email: 'ada@example.com' }, 'session-1', roles)}`;
+
+    beforeEach(() => {
+      dbPool.reset();
+      redisClient.reset();
+      cache.memoryCache.flushAll();
+      dbPool
+        .on(/SELECT COUNT\(\*\) FROM (users|orders)/, () => [{ count: String(ROWS.length) }])
+        .on(/FROM users\s+WHERE deleted_at IS NULL/, (params, sql) => runKeyset(ROWS.map(row => ({ ...row, name: `User ${row.id}` })), sql, params))
+        .on(/FROM orders o/, (params, sql) => runKeyset(ROWS.map(row => ({ ...row, user_id: 7, status: 'pending' })), sql, params));
+    });
+
+    it('answer users by page number with a total by default', async () => {
+      const res = await request(app).get('/api/users').set('Authorization', bearer(['staff']));
+
+      expect(res.status).toBe(200);
+      expect(ids(res, 'users')).toEqual([2, 6, 5, 4, 7]);
+      expect(res.body.pagination).toEqual({ page: 1, limit: 10, total: 5, pages: 1 });
+    });
+
+    it('answer users in cursor mode with mode=cursor', async () => {
+      const res = await request(app).get('/api/users?mode=cursor').set('Authorization', bearer(['staff']));
+
+      expect(ids(res, 'users')).toEqual([2, 6, 5, 4, 7]);
+      expect(res.body.pagination).toEqual({ limit: 10, nextCursor: null, prevCursor: null, next: null, prev: null });
+    });
+
+    it('answer orders by page number with a total by default', async () => {
+      const res = await request(app).get('/api/orders').query({ page: 2, limit: 3 }).set('Authorization', bearer(['customer']));
+
+      expect(res.status).toBe(200);
+      expect(ids(res, 'orders')).toEqual([4, 7]);
+      expect(res.body.pagination).toEqual({ page: 2, limit: 3, total: 5, pages: 2 });
+    });
+
+    it('answer orders in cursor mode with mode=cursor', async () => {
+      const res = await request(app).get('/api/orders').query({ limit: 3, mode: 'cursor' }).set('Authorization', bearer(['customer']));
+
+      expect(res.status).toBe(200);
+      expect(ids(res, 'orders')).toEqual([2, 6, 5]);
+      expect(res.body.pagination).toEqual({
+        limit: 3,
+        nextCursor: pagination.encode(ROWS[2]),
+        prevCursor: null,
+        next: `/api/orders?limit=3&mode=cursor&after=${pagination.encode(ROWS[2])}`,
+        prev: null
+      });
+      // The user's own orders: the first parameter is their id
+      expect(dbPool.calls(/FROM orders o/)[0].params[0]).toBe(7);
+    });
+
+    it('refuse a bad cursor on either list', async () => {
+      const users = await request(app).get('/api/users?after=bogus').set('Authorization', bearer(['staff']));
+      const orders = await request(app).get('/api/orders?before=bogus').set('Authorization', bearer(['customer']));
+
+      expect(users.status).toBe(400);
+      expect(orders.status).toBe(400);
+    });
+  });
+});
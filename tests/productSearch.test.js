@@ -0,0 +1,152 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const dbPool = require('../src/config/database');
+const productSearch = require('../src/utils/productSearch');
+const tokens = require('../src/utils/tokens');
+const productRoutes = require('../src/routes/products');
+
+const app = express();
+app.use(express.json());
+app.use('/api/products', productRoutes);
+
+// Text as ts_headline returns it, with [match] written for the markers it adds
+const marked = (text) => text.replace(/\[/g, '\uE000').replace(/\]/g, '\uE001');
+
+describe('productSearch', () => {
+  beforeEach(() => {
+    dbPool.reset();
+  });
+
+  describe('tsquery', () => {
+    it('ands the words and matches the last one as a prefix', () => {
+      expect(productSearch.tsquery('Wireless Head')).toBe('wireless & head:*');
+    });
+
+    it('drops tsquery operators from user input', () => {
+      expect(productSearch.tsquery("a|b & !c:* <-> 'd'")).toBe('a & b & c & d:*');
+    });
+  });
+
+  describe('highlight', () => {
+    it('turns the markers into <mark> tags', () => {
+      expect(productSearch.highlight(marked('[Wireless] headphones'))).toBe('<mark>Wireless</mark> headphones');
+    });
+
+    it('escapes the product text around them', () => {
+      expect(productSearch.highlight(marked('<img src=x onerror="alert(1)"> [cable] & \'plug\'')))
+        .toBe('&lt;img src=x onerror=&quot;alert(1)&quot;&gt; <mark>cable</mark> &amp; &#39;plug&#39;');
+    });
+
+    it('keeps literal <mark> tags in the text escaped', () => {
+      expect(productSearch.highlight('<mark>fake</mark>')).toBe('&lt;mark&gt;fake&lt;/mark&gt;');
+    });
+
+    it('leaves a missing snippet alone', () => {
+      expect(productSearch.highlight(null)).toBeNull();
+    });
+  });
+
+  describe('hits', () => {
+    it('returns escaped snippets built from text without markers of its own', async () => {
+      dbPool.on(/ts_headline/, () => [{
+        id: 1,
+        name: 'Cable <b>',
+        name_highlight: marked('[Cable] <b>'),
+        description_snippet: marked('A [cable] & adapter')
+      }]);
+
+      const [hit] = await productSearch.hits('cable', {}, { limit: 20, offset: 0 });
+
+      expect(hit.name).toBe('Cable <b>');
+      expect(hit.name_highlight).toBe('<mark>Cable</mark> &lt;b&gt;');
+      expect(hit.description_snippet).toBe('A <mark>cable</mark> &amp; adapter');
+
+      const [{ text, params }] = dbPool.calls(/ts_headline/);
+      expect(text).toMatch(/translate\(hits\.name, \$\d+, ''\)/);
+      expect(params).toContain('\uE000\uE001');
+    });
+  });
+
+  describe('language', () => {
+    const configurations = () => dbPool.queries.map(query => query.params[2]);
+
+    beforeEach(() => {
+      dbPool.on(/COUNT\(\*\) FROM/, () => [{ count: '0' }]);
+    });
+
+    it('stems the query as English unless told otherwise', async () => {
+      await productSearch.search('cable');
+
+      expect(configurations()).toEqual(['english', 'english', 'english', 'english']);
+      dbPool.queries.forEach(({ text }) => {
+        expect(text).toMatch(/to_tsquery\(\$3::regconfig, \$1\)/);
+        expect(text).not.toMatch(/'english'/);
+      });
+    });
+
+    it('binds the requested configuration in every query, snippets included', async () => {
+      await productSearch.search('câble', {}, { language: 'french' });
+
+      expect(configurations()).toEqual(['french', 'french', 'french', 'french']);
+      expect(dbPool.calls(/ts_headline/)[0].text).toMatch(/ts_headline\(\$3::regconfig,/);
+    });
+
+    it('refuses a configuration outside the allowlist before querying', async () => {
+      await expect(productSearch.search('cable', {}, { language: 'pg_catalog.english' }))
+        .rejects.toThrow('Unsupported search language');
+      expect(dbPool.queries).toHaveLength(0);
+    });
+
+    it('takes lang from the search request and echoes it', async () => {
+      const res = await request(app).get('/api/products/search').query({ q: 'kabel', lang: 'german' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.language).toBe('german');
+      expect(configurations()).toEqual(['german', 'german', 'german', 'german']);
+    });
+
+    it('answers an unknown lang with a 400', async () => {
+      const res = await request(app).get('/api/products/search').query({ q: 'cable', lang: 'klingon' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].path).toBe('lang');
+      expect(dbPool.queries).toHaveLength(0);
+    });
+  });
+
+  describe('product language', () => {
+    const staff = `Bearer ${tokens.signAccessToken({ id: 7, email: 'ada@example.com' }, 'session-1', ['staff'])}`;
+    const product = { name: 'Câble USB', price: 9.5, category_id: 1, stock_quantity: 3 };
+
+    beforeEach(() => {
+      dbPool.on(/INSERT INTO products|UPDATE products/, (params) => [{ id: 1, search_language: params[5] || params[6] }]);
+    });
+
+    it('is stored when a product is created, English by default', async () => {
+      await request(app).post('/api/products').set('Authorization', staff).send({ ...product, search_language: 'french' });
+      await request(app).post('/api/products').set('Authorization', staff).send(product);
+
+      expect(dbPool.calls(/INSERT INTO products/).map(call => call.params[5])).toEqual(['french', 'english']);
+    });
+
+    it('is kept on update when the body leaves it out', async () => {
+      const res = await request(app).put('/api/products/1').set('Authorization', staff).send(product);
+
+      expect(res.status).toBe(200);
+      const [{ text, params }] = dbPool.calls(/UPDATE products/);
+      expect(text).toMatch(/search_language = COALESCE\(\$7::regconfig, search_language\)/);
+      expect(params[6]).toBeNull();
+    });
+
+    it('must be one of the allowed configurations', async () => {
+      const res = await request(app).post('/api/products').set('Authorization', staff).send({ ...product, search_language: 'klingon' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].path).toBe('search_language');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+
+const express = require('express');
+const request = require('supertest');
+const redisClient = require('../src/config/redis');
+const tokens = require('../src/utils/tokens');
+const createRateLimiters = require('../src/middleware/rateLimiter');
+const { identifyClient, RedisSlidingWindowStore } = require('../src/middleware/rateLimiter');
+
+const bearer = (user) => `Bearer ${tokens.signAccessToken(user, 'session-1', ['customer'])}`;
+
+describe('plan tiers', () => {
+  it('issues the tier from the user record as a token claim', () => {
+    const token = tokens.signAccessToken({ id: 7, email: 'ada@example.com', tier: 'pro' }, 'session-1', ['customer']);
+    expect(tokens.verify(token).tier).toBe('pro');
+  });
+
+  it('defaults the claim to authenticated for users without a tier', () => {
+    const token = tokens.signAccessToken({ id: 7, email: 'ada@example.com' }, 'session-1', ['customer']);
+    expect(tokens.verify(token).tier).toBe('authenticated');
+  });
+
+  describe('identifyClient', () => {
+    const req = (headers = {}, extra = {}) => ({
+      ip: '203.0.113.9',
+      header: (name) => headers[name],
+      ...extra
+    });
+
+    it('counts a token holder as the user, in the tier of the token', () => {
+      const client = identifyClient(req({ Authorization: bearer({ id: 7, email: 'ada@example.com', tier: 'enterprise' }) }));
+      expect(client).toEqual({ key: 'user:7', tier: 'enterprise' });
+    });
+
+    it('counts requests without a valid token as the IP', () => {
+      expect(identifyClient(req())).toEqual({ key: 'ip:203.0.113.9', tier: 'anonymous' });
+      expect(identifyClient(req({ Authorization: 'Bearer nonsense' }))).toEqual({ key: 'ip:203.0.113.9', tier: 'anonymous' });
+    });
+
+    it('uses the tier and limit of an API key principal', () => {
+      const client = identifyClient(req({}, { principal: { type: 'apikey', id: 3, tier: 'pro', rateLimit: 50 } }));
+      expect(client).toEqual({ key: 'apikey:3', tier: 'pro', limit: 50 });
+    });
+  });
+
+  describe('limits', () => {
+    const app = express();
+    app.use(createRateLimiters());
+    app.get('/api/products', (req, res) => res.json({ ok: true }));
+
+    const limitFor = async (authorization) => {
+      const call = request(app).get('/api/products');
+      const res = await (authorization ? call.set('Authorization', authorization) : call);
+      return Number(res.headers['ratelimit-limit']);
+    };
+
+    it('scales the global limit by the tier multiplier', async () => {
+      await expect(limitFor()).resolves.toBe(1000);
+      await expect(limitFor(bearer({ id: 7, email: 'ada@example.com' }))).resolves.toBe(2000);
+      await expect(limitFor(bearer({ id: 8, email: 'bob@example.com', tier: 'pro' }))).resolves.toBe(5000);
+      await expect(limitFor(bearer({ id: 9, email: 'cy@example.com', tier: 'enterprise' }))).resolves.toBe(20000);
+    });
+
+    it('falls back to the authenticated multiplier for an unknown tier', async () => {
+      await expect(limitFor(bearer({ id: 10, email: 'di@example.com', tier: 'legacy' }))).resolves.toBe(2000);
+    });
+  });
+});
+
+describe('sliding window store', () => {
+  const WINDOW_MS = 60000;
+  const NOW = 10 * WINDOW_MS + 15000;
+  let store;
+
+  // The store's two scripts against the fake store; ttls holds the
+  // expiry in ms, and a key without one would never expire
+  const runScript = (script, [current, previous], args) => {
+    const count = (key) => Number(redisClient.store.get(key) || 0);
+
+    if (script.includes('INCR')) {
+      const [windowMs, elapsed] = args.map(Number);
+      redisClient.store.set(current, String(count(current) + 1));
+      if (count(current) === 1) redisClient.ttls.set(current, windowMs * 2);
+      return count(current) + Math.floor(count(previous) * (windowMs - elapsed) / windowMs);
+    }
+
+    if (count(current) > 0) {
+      redisClient.store.set(current, String(count(current) - 1));
+      return count(current);
+    }
+    return 0;
+  };
+
+  beforeEach(() => {
+    redisClient.reset();
+    jest.restoreAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    jest.spyOn(redisClient, 'evalScript').mockImplementation(async (script, keys, args) => runScript(script, keys, args));
+    store = new RedisSlidingWindowStore('global');
+    store.init({ windowMs: WINDOW_MS });
+  });
+
+  it('takes a hit back from the current window, keeping its expiry', async () => {
+    await store.increment('ip:203.0.113.9');
+    await store.increment('ip:203.0.113.9');
+
+    await store.decrement('ip:203.0.113.9');
+
+    const key = store.windowKey('ip:203.0.113.9', 10);
+    expect(redisClient.store.get(key)).toBe('1');
+    expect(redisClient.ttls.get(key)).toBe(2 * WINDOW_MS);
+  });
+
+  it('leaves no key behind when the window has already expired', async () => {
+    await store.decrement('ip:203.0.113.9');
+
+    expect([...redisClient.store.keys()]).toEqual([]);
+  });
+
+  it('counts hits in the previous window by how much of it still overlaps', async () => {
+    redisClient.store.set(store.windowKey('ip:203.0.113.9', 9), '40');
+
+    await expect(store.increment('ip:203.0.113.9')).resolves.toMatchObject({ totalHits: 1 + 30 });
+  });
+
+  it('only counts locally while Redis is degraded', async () => {
+    jest.spyOn(redisClient, 'isDegraded').mockReturnValue(true);
+
+    await store.increment('ip:203.0.113.9');
+    await store.increment('ip:203.0.113.9');
+    await store.decrement('ip:203.0.113.9');
+
+    await expect(store.increment('ip:203.0.113.9')).resolves.toMatchObject({ totalHits: 2 });
+    expect(redisClient.evalScript).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,253 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('redis', () => require('./helpers/fakeNodeRedis').createFakeNodeRedis());
+
+const CHANNEL = 'cache:invalidate';
+
+// A fresh redis manager and cache on a fresh fake server for each test; env
+// applies while they load, which is when the topology is read
+const load = ({ down = false, unreachable = [], env = {} } = {}) => {
+  const saved = Object.keys(env).map(name => [name, process.env[name]]);
+  Object.assign(process.env, env);
+
+  let loaded;
+  try {
+    jest.isolateModules(() => {
+      const server = require('redis');
+      server.down = down;
+      unreachable.forEach(host => server.unreachable.add(host));
+      loaded = {
+        server,
+        redisClient: require('../src/config/redis'),
+        cache: require('../src/middleware/cache')
+      };
+    });
+  } finally {
+    saved.forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+  return loaded;
+};
+
+const commandsOf = (client, name) => client.commands.filter(([command]) => command === name);
+
+// What another instance publishes after invalidating `keys`
+const evict = (server, keys) => server.broadcast(CHANNEL, JSON.stringify({ origin: 'other-instance', keys }));
+
+describe('redis', () => {
+  let server, redisClient, cache;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterEach(async () => {
+    await redisClient.disconnect();
+    jest.useRealTimers();
+  });
+
+  describe('invalidation subscriber', () => {
+    it('evicts memory entries when another instance invalidates them', async () => {
+      ({ server, redisClient, cache } = load());
+      await jest.advanceTimersByTimeAsync(0);
+      cache.memoryCache.set('products:1', { id: 1 });
+      cache.memoryCache.set('products:2', { id: 2 });
+
+      evict(server, ['products:1']);
+
+      expect(cache.memoryCache.keys()).toEqual(['products:2']);
+      expect(cache.invalidationStats.received).toBe(1);
+    });
+
+    it('keeps retrying when Redis is down at startup, then flushes the memory tier', async () => {
+      ({ server, redisClient, cache } = load({ down: true }));
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(server.channels.get(CHANNEL)).toBeUndefined();
+      // Filled from the database while no invalidation could reach us
+      cache.memoryCache.set('products:1', { id: 1 });
+
+      server.down = false;
+      await jest.advanceTimersByTimeAsync(10000);
+
+      expect(server.channels.get(CHANNEL).size).toBe(1);
+      expect(redisClient.subscriberRetry).toBeNull();
+      expect(cache.memoryCache.keys()).toEqual([]);
+
+      cache.memoryCache.set('products:2', { id: 2 });
+      evict(server, ['products:2']);
+      expect(cache.memoryCache.keys()).toEqual([]);
+    });
+
+    it('flushes the memory tier when the subscriber reconnects', async () => {
+      ({ server, redisClient, cache } = load());
+      await jest.advanceTimersByTimeAsync(0);
+      cache.memoryCache.set('products:1', { id: 1 });
+
+      redisClient.subscriber.drop();
+      expect(cache.memoryCache.keys()).toEqual(['products:1']);
+      redisClient.subscriber.restore();
+
+      expect(cache.memoryCache.keys()).toEqual([]);
+    });
+
+    it('stops retrying on disconnect', async () => {
+      ({ server, redisClient, cache } = load({ down: true }));
+      await jest.advanceTimersByTimeAsync(0);
+      await redisClient.disconnect();
+      const created = server.clients.length;
+
+      await jest.advanceTimersByTimeAsync(60000);
+
+      expect(server.clients).toHaveLength(created);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const failUntilOpen = async () => {
+      redisClient.client.drop();
+      for (let i = 0; i < 5; i++) {
+        await redisClient.get('products:1');
+      }
+    };
+
+    beforeEach(async () => {
+      ({ server, redisClient, cache } = load());
+      await jest.advanceTimersByTimeAsync(0);
+    });
+
+    it('opens after repeated failures and answers with fallbacks without touching the connection', async () => {
+      await failUntilOpen();
+      const sent = redisClient.client.commands.length;
+
+      expect(await redisClient.get('products:1')).toBeNull();
+      expect(await redisClient.set('products:1', { id: 1 })).toBe(false);
+      expect(await redisClient.acquireLock('cache:lock:products:1')).toEqual(expect.any(String));
+
+      expect(redisClient.client.commands).toHaveLength(sent);
+      expect(redisClient.isDegraded()).toBe(true);
+      expect((await redisClient.getHealth()).status).toBe('DEGRADED');
+    });
+
+    it('probes as soon as the connection is ready again and replays deferred invalidations', async () => {
+      await redisClient.sAddMany(['cache:tag:{products}'], 'api:GET:/api/products');
+      await failUntilOpen();
+      await cache.invalidateTags(['products']);
+      expect(cache.getStats().pendingInvalidations).toBe(1);
+
+      redisClient.client.restore();
+      expect(redisClient.isDegraded()).toBe(true);
+      await redisClient.get('products:1');
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(redisClient.breaker.isClosed()).toBe(true);
+      expect(cache.getStats().pendingInvalidations).toBe(0);
+      expect(server.sets.has('cache:tag:{products}')).toBe(false);
+    });
+
+    it('probes again after the reset timeout while the connection stays down', async () => {
+      await failUntilOpen();
+      const sent = redisClient.client.commands.length;
+
+      await jest.advanceTimersByTimeAsync(10000);
+      await redisClient.get('products:1');
+      await redisClient.get('products:1');
+
+      // One trial command, which failed and opened the circuit again
+      expect(redisClient.client.commands).toHaveLength(sent + 1);
+      expect(redisClient.breaker.getStats().state).toBe('OPEN');
+    });
+  });
+
+  describe('sentinel', () => {
+    const SENTINEL_ENV = {
+      REDIS_MODE: 'sentinel',
+      REDIS_SENTINELS: 'sentinel-1:26379,sentinel-2:26379',
+      REDIS_SENTINEL_MASTER: 'mymaster'
+    };
+
+    it('connects to the master the first reachable sentinel names', async () => {
+      ({ server, redisClient, cache } = load({ env: SENTINEL_ENV, unreachable: ['sentinel-1'] }));
+      await jest.advanceTimersByTimeAsync(0);
+
+      const [asked] = server.find(options => options.socket.host === 'sentinel-2')
+        .filter(client => commandsOf(client, 'SENTINEL').length > 0);
+      expect(commandsOf(asked, 'SENTINEL')).toEqual([['SENTINEL', 'get-master-addr-by-name', 'mymaster']]);
+      expect(redisClient.client.options.socket).toMatchObject({ host: '10.0.0.1', port: 6379 });
+      expect(redisClient.getTopology()).toMatchObject({ mode: 'sentinel', master: '10.0.0.1:6379', failovers: 0 });
+    });
+
+    it('follows +switch-master to the new master, subscriber included', async () => {
+      ({ server, redisClient, cache } = load({ env: SENTINEL_ENV }));
+      await jest.advanceTimersByTimeAsync(200);
+      const previous = redisClient.client;
+      cache.memoryCache.set('products:1', { id: 1 });
+
+      server.sentinelMaster = { host: '10.0.0.2', port: 6379 };
+      server.broadcast('+switch-master', 'mymaster 10.0.0.1 6379 10.0.0.2 6379');
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(redisClient.client.options.socket.host).toBe('10.0.0.2');
+      expect(previous.isOpen).toBe(false);
+      expect(redisClient.subscriber.options.socket.host).toBe('10.0.0.2');
+      expect([...server.channels.get(CHANNEL).keys()]).toEqual([redisClient.subscriber]);
+      // Invalidations published during the switch are lost
+      expect(cache.memoryCache.keys()).toEqual([]);
+      expect(redisClient.getTopology()).toMatchObject({ master: '10.0.0.2:6379', failovers: 1 });
+    });
+
+    it('ignores failovers of other masters', async () => {
+      ({ server, redisClient, cache } = load({ env: SENTINEL_ENV }));
+      await jest.advanceTimersByTimeAsync(200);
+
+      server.broadcast('+switch-master', 'othermaster 10.0.0.5 6379 10.0.0.6 6379');
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(redisClient.getTopology()).toMatchObject({ master: '10.0.0.1:6379', failovers: 0 });
+    });
+  });
+
+  describe('cluster', () => {
+    const CLUSTER_ENV = {
+      REDIS_MODE: 'cluster',
+      REDIS_CLUSTER_NODES: 'redis://node-1:6379,redis://node-2:6379'
+    };
+
+    beforeEach(async () => {
+      ({ server, redisClient, cache } = load({ env: CLUSTER_ENV }));
+      await jest.advanceTimersByTimeAsync(0);
+    });
+
+    it('seeds the cluster client with every configured node', () => {
+      expect(redisClient.client.options.rootNodes).toEqual([
+        { url: 'redis://node-1:6379' },
+        { url: 'redis://node-2:6379' }
+      ]);
+      expect(redisClient.getTopology()).toEqual({ mode: 'cluster', masters: ['node-1:6379', 'node-2:6379'], replicas: 0 });
+    });
+
+    it('unlinks keys one at a time, since they may live on different slots', async () => {
+      await redisClient.set('api:GET:/api/products', []);
+      await redisClient.set('api:GET:/api/orders', []);
+
+      expect(await redisClient.unlink(['api:GET:/api/products', 'api:GET:/api/orders', 'missing'])).toBe(2);
+      expect(commandsOf(redisClient.client, 'UNLINK')).toEqual([
+        ['UNLINK', 'api:GET:/api/products'],
+        ['UNLINK', 'api:GET:/api/orders'],
+        ['UNLINK', 'missing']
+      ]);
+    });
+
+    it('adds to each tag set in a transaction of its own', async () => {
+      await redisClient.sAddMany(['cache:tag:{products}', 'cache:tag:{product:1}'], 'api:GET:/api/products/1');
+
+      expect(commandsOf(redisClient.client, 'EXEC')).toEqual([['EXEC', 3], ['EXEC', 3]]);
+      expect([...server.sets.get('cache:tag:{product:1}')]).toEqual(['api:GET:/api/products/1']);
+    });
+
+    it('pings every master for the health check', async () => {
+      expect((await redisClient.getHealth()).status).toBe('OK');
+      expect(commandsOf(redisClient.client, 'PING')).toHaveLength(2);
+    });
+  });
+});
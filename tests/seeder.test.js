@@ -0,0 +1,160 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+jest.mock('pg-copy-streams', () => {
+  const { Writable } = require('stream');
+  // A COPY ... FROM STDIN that keeps what is written to it; every one made is
+  // listed in from.streams
+  const from = (text) => {
+    const chunks = [];
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk.toString());
+        callback();
+      }
+    });
+    from.streams.push(stream);
+    return Object.assign(stream, {
+      text,
+      table: text.match(/^COPY (\w+)/)[1],
+      // Rows as arrays of column values, NULL as null
+      rows: () => chunks.join('').split('\n').filter(Boolean)
+        .map(line => line.split('\t').map(value => (value === '\\N' ? null : value))),
+      submit() {}
+    });
+  };
+  from.streams = [];
+  return { from };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+process.env.SEED_MANIFEST = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'seed-')), 'manifest.json');
+
+const { from: copyFrom } = require('pg-copy-streams');
+const dbPool = require('../src/config/database');
+const Seeder = require('../src/utils/seeder');
+
+const OPTIONS = { users: 20, categories: 3, products: 15, orders: 40, batchSize: 8, seed: 7 };
+
+// Every COPY the seeder issued, as { table, rows }
+const copies = () => copyFrom.streams.map(stream => ({ table: stream.table, rows: stream.rows() }));
+
+const rowsOf = (table) => copies()
+  .filter(copy => copy.table === table)
+  .flatMap(copy => copy.rows);
+
+const seed = (options = OPTIONS, run = {}) => {
+  dbPool.reset();
+  copyFrom.streams = [];
+  dbPool.on(/SELECT \(SELECT COUNT/, () => [{ count: '0' }]);
+  return new Seeder(options).run(run);
+};
+
+describe('seeder', () => {
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.SEED_MANIFEST), { recursive: true, force: true });
+  });
+
+  it('copies the same rows for the same seed, and different rows for another', async () => {
+    await seed();
+    const first = JSON.stringify(copies());
+    await seed();
+    const again = JSON.stringify(copies());
+    await seed({ ...OPTIONS, seed: 8 });
+
+    expect(again).toBe(first);
+    expect(JSON.stringify(copies())).not.toBe(first);
+  });
+
+  it('loads everything in one transaction, in batches of batchSize', async () => {
+    await seed();
+
+    const statements = dbPool.queries.map(query => query.text);
+    expect(statements.slice(0, 2)).toEqual(['BEGIN', 'SET LOCAL statement_timeout = 0']);
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+    expect(copies().filter(copy => copy.table === 'users').map(copy => copy.rows.length)).toEqual([8, 8, 4]);
+  });
+
+  it('makes user 1 an admin and every user a verified seeded login', async () => {
+    await seed();
+    const users = rowsOf('users');
+
+    expect(users).toHaveLength(20);
+    expect(users[0].slice(0, 2)).toEqual(['1', 'user1@seed.example.com']);
+    expect(users.map(user => user[4])).toEqual(['{customer,staff,admin}', ...new Array(19).fill('{customer}')]);
+    expect(users.every(user => user[5] !== null)).toBe(true);
+    expect(bcrypt.compareSync('LoadTest123!', users[3][2])).toBe(true);
+  });
+
+  it('writes orders whose items exist and add up to their totals', async () => {
+    await seed();
+    const items = rowsOf('order_items');
+    const orders = rowsOf('orders');
+
+    expect(orders.length).toBeGreaterThan(0);
+    orders.forEach(([id, , , total]) => {
+      const own = items.filter(item => item[0] === id);
+      expect(own.length).toBeGreaterThan(0);
+      const sum = own.reduce((cents, item) => cents + Math.round(parseFloat(item[4]) * 100), 0);
+      expect(Math.round(parseFloat(total) * 100)).toBe(sum);
+    });
+    expect(new Set(items.map(item => item[0]))).toEqual(new Set(orders.map(order => order[0])));
+  });
+
+  it('never sells more than the stock, and gives cancelled orders their stock back', async () => {
+    await seed();
+    const status = new Map(rowsOf('orders').map(([id, , orderStatus]) => [id, orderStatus]));
+    const expected = new Map(rowsOf('products').map(product => [product[0], parseInt(product[5])]));
+    rowsOf('order_items').forEach(([orderId, productId, quantity]) => {
+      if (status.get(orderId) !== 'cancelled') {
+        expected.set(productId, expected.get(productId) - parseInt(quantity));
+      }
+    });
+
+    const stock = new Map(rowsOf('seed_stock').map(([id, left]) => [id, parseInt(left)]));
+    expect(stock).toEqual(expected);
+    expect([...stock.values()].every(left => left >= 0)).toBe(true);
+  });
+
+  it('moves every id sequence past the copied rows', async () => {
+    await seed();
+
+    expect(dbPool.calls(/setval/).map(call => call.text.match(/FROM (\w+)/)[1]))
+      .toEqual(['users', 'categories', 'products', 'orders', 'order_items']);
+  });
+
+  it('writes a manifest of the active products and the seeded logins', async () => {
+    const manifest = await seed();
+    const active = rowsOf('products').filter(product => product[6] === 't').map(product => parseInt(product[0]));
+
+    expect(manifest.activeProductIds).toEqual(active);
+    expect(manifest.counts).toMatchObject({ users: 20, categories: 3, products: 15, orders: rowsOf('orders').length });
+    expect(manifest.users).toEqual({ emailTemplate: 'user{id}@seed.example.com', password: 'LoadTest123!', adminId: 1 });
+    expect(JSON.parse(fs.readFileSync(process.env.SEED_MANIFEST, 'utf8'))).toEqual(manifest);
+  });
+
+  it('refuses a database that already has users or products, unless told to reset', async () => {
+    dbPool.reset();
+    copyFrom.streams = [];
+    dbPool.on(/SELECT \(SELECT COUNT/, () => [{ count: '3' }]);
+
+    await expect(new Seeder(OPTIONS).run()).rejects.toThrow('run with --reset');
+    expect(dbPool.queries.map(query => query.text).pop()).toBe('ROLLBACK');
+    expect(copies()).toEqual([]);
+
+    await seed(OPTIONS, { reset: true });
+    expect(dbPool.calls(/^TRUNCATE order_items, orders, products, categories, users RESTART IDENTITY CASCADE$/)).toHaveLength(1);
+  });
+
+  it('rejects counts that are not positive integers before touching the database', async () => {
+    dbPool.reset();
+
+    await expect(new Seeder({ ...OPTIONS, users: 0 }).run()).rejects.toThrow('positive integers');
+    await expect(new Seeder({ ...OPTIONS, orders: 1.5 }).run()).rejects.toThrow('positive integers');
+    expect(dbPool.queries).toEqual([]);
+  });
+});
@@ -0,0 +1,172 @@
+const express = require('express');
+const request = require('supertest');
+const { validationResult } = require('express-validator');
+const serializer = require('../src/utils/serializer');
+
+const USER = {
+  id: 7,
+  name: 'Ada',
+  email: 'ada@example.com',
+  roles: ['customer'],
+  tier: 'pro',
+  created_at: '2026-01-15T12:00:00.000Z',
+  last_login: '2026-01-16T08:00:00.000Z',
+  password: '$2a$10$hash'
+};
+
+const ORDER = { id: 31, user_id: 7, status: 'pending', total_amount: '25.00', items: [] };
+
+// As auth and apiKey leave them
+const asUser = (id, roles = ['customer'], query = {}) => {
+  const user = { id, roles };
+  return { user, principal: { type: 'user', id, roles, user }, query };
+};
+const asApiKey = (ownerId, query = {}) => {
+  const user = { id: ownerId, email: 'owner@example.com', roles: [], apiKeyId: 3 };
+  return { user, principal: { type: 'apikey', id: 3, scopes: ['users:read', 'orders:read'], user }, query };
+};
+const anonymous = (query = {}) => ({ query });
+
+describe('serializer', () => {
+  describe('visibility', () => {
+    it('shows only public fields to anonymous callers', () => {
+      expect(serializer.serialize(anonymous(), 'user', USER)).toEqual({
+        id: 7, name: 'Ada', created_at: USER.created_at
+      });
+    });
+
+    it('shows owner fields to the owner', () => {
+      expect(serializer.serialize(asUser(7), 'user', USER)).toEqual({
+        id: 7,
+        name: 'Ada',
+        email: 'ada@example.com',
+        roles: ['customer'],
+        tier: 'pro',
+        created_at: USER.created_at,
+        last_login: USER.last_login
+      });
+    });
+
+    it('hides owner fields from other customers', () => {
+      expect(serializer.serialize(asUser(8), 'user', USER)).toEqual({
+        id: 7, name: 'Ada', created_at: USER.created_at
+      });
+      expect(serializer.serialize(asUser(8), 'order', ORDER)).toEqual({});
+    });
+
+    it('shows owner and staff fields to staff and admins', () => {
+      expect(serializer.serialize(asUser(1, ['staff']), 'user', USER)).toHaveProperty('email', 'ada@example.com');
+      expect(serializer.serialize(asUser(1, ['admin']), 'order', ORDER)).toEqual(ORDER);
+    });
+
+    it('never serializes columns without a rule', () => {
+      expect(serializer.serialize(asUser(1, ['admin']), 'user', USER)).not.toHaveProperty('password');
+    });
+
+    it('matches owners whether ids are numbers or strings', () => {
+      expect(serializer.serialize(asUser('7'), 'order', ORDER)).toEqual(ORDER);
+    });
+
+    it('serializes arrays record by record', () => {
+      const other = { ...USER, id: 8, email: 'bob@example.com' };
+      const [own, theirs] = serializer.serialize(asUser(7), 'user', [USER, other]);
+
+      expect(own.email).toBe('ada@example.com');
+      expect(theirs).not.toHaveProperty('email');
+    });
+  });
+
+  describe('staff fields', () => {
+    // No shipped resource has one yet, so this uses its own rules
+    let staffSerializer;
+    const NOTE = { id: 5, author_id: 7, body: 'Call back', internal_notes: 'Flagged for review' };
+
+    beforeAll(() => {
+      jest.isolateModules(() => {
+        jest.doMock('../src/config/resources', () => ({
+          VISIBILITY: ['public', 'owner', 'staff'],
+          RESOURCES: {
+            note: {
+              owner: (note) => note.author_id,
+              fields: { id: 'public', author_id: 'owner', body: 'owner', internal_notes: 'staff' }
+            }
+          }
+        }));
+        staffSerializer = require('../src/utils/serializer');
+      });
+    });
+
+    it('are shown to staff only, not to the owner', () => {
+      expect(staffSerializer.serialize(asUser(1, ['staff']), 'note', NOTE)).toEqual(NOTE);
+      expect(staffSerializer.serialize(asUser(7), 'note', NOTE)).toEqual({ id: 5, author_id: 7, body: 'Call back' });
+      expect(staffSerializer.serialize(anonymous(), 'note', NOTE)).toEqual({ id: 5 });
+    });
+
+    it('are hidden from an API key of a staff member', () => {
+      const req = asApiKey(7);
+      req.user.roles = ['staff'];
+      expect(staffSerializer.serialize(req, 'note', NOTE)).toEqual({ id: 5, author_id: 7, body: 'Call back' });
+    });
+  });
+
+  describe('API keys', () => {
+    it('see what their owner owns', () => {
+      expect(serializer.serialize(asApiKey(7), 'order', ORDER)).toEqual(ORDER);
+      expect(serializer.serialize(asApiKey(7), 'user', USER)).toHaveProperty('email');
+    });
+
+    it('are never staff, even when the owner is', () => {
+      const req = asApiKey(1);
+      req.user.roles = ['admin'];
+
+      expect(serializer.viewer(req)).toEqual({ id: 1, staff: false });
+      expect(serializer.serialize(req, 'user', USER)).toEqual({ id: 7, name: 'Ada', created_at: USER.created_at });
+      expect(serializer.serialize(req, 'order', ORDER)).toEqual({});
+    });
+  });
+
+  describe('fields=', () => {
+    it('narrows the response to the requested fields, keeping the id', () => {
+      expect(serializer.serialize(asUser(7, ['customer'], { fields: 'name, email' }), 'user', USER)).toEqual({
+        id: 7, name: 'Ada', email: 'ada@example.com'
+      });
+    });
+
+    it('silently leaves out requested fields the caller may not see', () => {
+      expect(serializer.serialize(anonymous({ fields: 'name,email' }), 'user', USER)).toEqual({ id: 7, name: 'Ada' });
+    });
+
+    it('is ignored when empty', () => {
+      expect(serializer.serialize(anonymous({ fields: ' ' }), 'user', USER)).toEqual({
+        id: 7, name: 'Ada', created_at: USER.created_at
+      });
+    });
+
+    describe('validation', () => {
+      const app = express();
+      app.get('/users', serializer.fieldsQuery('user'), (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+        res.json({ ok: true });
+      });
+
+      it('accepts known fields, including ones the caller may not see', async () => {
+        const res = await request(app).get('/users').query({ fields: 'name,email,last_login' });
+        expect(res.status).toBe(200);
+      });
+
+      it('refuses unknown fields with a 400 listing them', async () => {
+        const res = await request(app).get('/users').query({ fields: 'name,password,ssn' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0].msg).toMatch(/^Unknown fields: password, ssn \(available: id, name/);
+      });
+    });
+  });
+
+  it('rejects unknown resources', () => {
+    expect(() => serializer.serialize(anonymous(), 'invoice', {})).toThrow('Unknown resource "invoice"');
+  });
+});
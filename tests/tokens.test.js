@@ -0,0 +1,172 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+
+const dbPool = require('../src/config/database');
+const redisClient = require('../src/config/redis');
+const tokens = require('../src/utils/tokens');
+
+// refresh_tokens and users as the queries in tokens.js see them
+const createTables = () => {
+  const users = new Map([[7, { id: 7, email: 'ada@example.com', roles: ['customer'], tier: 'authenticated', two_factor_enabled_at: null }]]);
+  const refreshTokens = [];
+
+  dbPool
+    .on(/INSERT INTO refresh_tokens/, ([userId, familyId, tokenHash]) => {
+      const row = { id: refreshTokens.length + 1, user_id: userId, family_id: familyId, token_hash: tokenHash, expires_at: new Date(Date.now() + 86400000), revoked_at: null, replaced_by: null };
+      refreshTokens.push(row);
+      return [{ id: row.id }];
+    })
+    .on(/FROM refresh_tokens rt/, ([tokenHash]) => refreshTokens
+      .filter(row => row.token_hash === tokenHash)
+      .map(row => ({ ...users.get(row.user_id), ...row })))
+    .on(/SET revoked_at = NOW\(\), replaced_by/, ([id, replacedBy]) => {
+      Object.assign(refreshTokens.find(row => row.id === id), { revoked_at: new Date(), replaced_by: replacedBy });
+    })
+    .on(/WHERE family_id = \$1 AND revoked_at IS NULL/, ([familyId]) => {
+      refreshTokens
+        .filter(row => row.family_id === familyId && !row.revoked_at)
+        .forEach(row => { row.revoked_at = new Date(); });
+    })
+    .on(/WHERE user_id = \$1 AND revoked_at IS NULL/, ([userId, except]) => {
+      const revoked = refreshTokens.filter(row => row.user_id === userId && !row.revoked_at && row.family_id !== except);
+      revoked.forEach(row => { row.revoked_at = new Date(); });
+      return revoked.map(row => ({ family_id: row.family_id }));
+    });
+
+  return { users, refreshTokens };
+};
+
+describe('tokens', () => {
+  let tables;
+  const user = () => tables.users.get(7);
+
+  beforeEach(() => {
+    dbPool.reset();
+    redisClient.reset();
+    tables = createTables();
+  });
+
+  describe('rotate', () => {
+    it('exchanges a refresh token for a new pair in the same session', async () => {
+      const first = await tokens.issue(user());
+      const second = await tokens.rotate(first.refreshToken);
+
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+      expect(tokens.verify(second.token).sid).toBe(tokens.verify(first.token).sid);
+
+      const [old, next] = tables.refreshTokens;
+      expect(old.revoked_at).toBeInstanceOf(Date);
+      expect(old.replaced_by).toBe(next.id);
+      expect(next.revoked_at).toBeNull();
+    });
+
+    it('re-reads the user, so role changes apply from the next refresh', async () => {
+      const session = await tokens.issue(user());
+      user().roles = ['staff'];
+
+      const rotated = await tokens.rotate(session.refreshToken);
+      expect(tokens.verify(rotated.token).roles).toEqual(['staff']);
+    });
+
+    it('carries the plan tier of the user record, changes included', async () => {
+      const session = await tokens.issue(user());
+      expect(tokens.verify(session.token).tier).toBe('authenticated');
+
+      user().tier = 'pro';
+      const rotated = await tokens.rotate(session.refreshToken);
+      expect(tokens.verify(rotated.token).tier).toBe('pro');
+    });
+
+    it('returns null for an unknown refresh token', async () => {
+      await expect(tokens.rotate('not-a-token')).resolves.toBeNull();
+    });
+
+    it('returns null for an expired refresh token without rotating it', async () => {
+      const session = await tokens.issue(user());
+      tables.refreshTokens[0].expires_at = new Date(Date.now() - 1000);
+
+      await expect(tokens.rotate(session.refreshToken)).resolves.toBeNull();
+      expect(tables.refreshTokens).toHaveLength(1);
+    });
+  });
+
+  describe('refresh token reuse', () => {
+    it('revokes the whole family when a rotated token is presented again', async () => {
+      const first = await tokens.issue(user());
+      const second = await tokens.rotate(first.refreshToken);
+
+      await expect(tokens.rotate(first.refreshToken)).resolves.toBeNull();
+
+      expect(tables.refreshTokens.every(row => row.revoked_at)).toBe(true);
+      // The newest token, held by whoever stole the old one or by the user, is dead too
+      await expect(tokens.rotate(second.refreshToken)).resolves.toBeNull();
+    });
+
+    it('denies the access tokens of the revoked session', async () => {
+      const first = await tokens.issue(user());
+      const second = await tokens.rotate(first.refreshToken);
+      await tokens.rotate(first.refreshToken);
+
+      await expect(tokens.isRevoked(tokens.verify(second.token))).resolves.toBe(true);
+    });
+
+    it('leaves other sessions of the user alone', async () => {
+      const stolen = await tokens.issue(user());
+      const other = await tokens.issue(user());
+      await tokens.rotate(stolen.refreshToken);
+      await tokens.rotate(stolen.refreshToken);
+
+      await expect(tokens.isRevoked(tokens.verify(other.token))).resolves.toBe(false);
+      await expect(tokens.rotate(other.refreshToken)).resolves.not.toBeNull();
+    });
+  });
+
+  describe('logout', () => {
+    it('ends only the current session by default', async () => {
+      const current = await tokens.issue(user());
+      const other = await tokens.issue(user());
+
+      await expect(tokens.logout(tokens.verify(current.token))).resolves.toBe(1);
+
+      await expect(tokens.isRevoked(tokens.verify(current.token))).resolves.toBe(true);
+      await expect(tokens.rotate(current.refreshToken)).resolves.toBeNull();
+      await expect(tokens.isRevoked(tokens.verify(other.token))).resolves.toBe(false);
+    });
+
+    it('ends every session of the user with all', async () => {
+      const current = await tokens.issue(user());
+      const others = [await tokens.issue(user()), await tokens.issue(user())];
+
+      await expect(tokens.logout(tokens.verify(current.token), { all: true })).resolves.toBe(3);
+
+      for (const session of [current, ...others]) {
+        await expect(tokens.isRevoked(tokens.verify(session.token))).resolves.toBe(true);
+        await expect(tokens.rotate(session.refreshToken)).resolves.toBeNull();
+      }
+    });
+
+    it('denylists the access token itself until it would have expired', async () => {
+      const session = await tokens.issue(user());
+      const decoded = tokens.verify(session.token);
+      await tokens.logout(decoded);
+
+      const key = `auth:denylist:jti:${decoded.jti}`;
+      expect(redisClient.store.has(key)).toBe(true);
+      expect(redisClient.ttls.get(key)).toBeLessThanOrEqual(decoded.exp - decoded.iat);
+    });
+  });
+
+  describe('revokeAllSessions', () => {
+    it('keeps the session passed as except', async () => {
+      const kept = await tokens.issue(user());
+      const ended = await tokens.issue(user());
+      const keptSid = tokens.verify(kept.token).sid;
+
+      const sessions = await tokens.revokeAllSessions(7, { except: keptSid });
+
+      expect([...sessions]).toEqual([tokens.verify(ended.token).sid]);
+      await expect(tokens.isRevoked(tokens.verify(kept.token))).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,259 @@
+jest.mock('../src/utils/logger', () => require('./helpers/logger'));
+jest.mock('../src/config/redis', () => require('./helpers/fakeRedis').createFakeRedis());
+jest.mock('../src/config/database', () => require('./helpers/fakeDb').createFakeDb());
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const request = require('supertest');
+const dbPool = require('../src/config/database');
+const redisClient = require('../src/config/redis');
+const twoFactor = require('../src/utils/twoFactor');
+const loginGuard = require('../src/utils/loginGuard');
+const tokens = require('../src/utils/tokens');
+const userRoutes = require('../src/routes/users');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+
+// RFC 6238 written out independently of twoFactor.js
+const totp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', secret).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+};
+
+const NOW = Date.UTC(2026, 0, 15, 12, 0, 10);
+const STEP = Math.floor(NOW / 30000);
+const SECRET = Buffer.from('12345678901234567890');
+
+// users, two_factor_policies and two_factor_recovery_codes as twoFactor.js and
+// the login routes query them
+const createTables = () => {
+  const tables = {
+    user: {
+      id: 7,
+      email: 'ada@example.com',
+      name: 'Ada',
+      password: bcrypt.hashSync('correct horse', 4),
+      roles: ['customer', 'staff'],
+      tier: 'authenticated',
+      two_factor_secret: twoFactor.encrypt(SECRET),
+      two_factor_enabled_at: new Date(),
+      two_factor_last_step: null
+    },
+    policies: [],
+    recoveryCodes: []
+  };
+
+  dbPool
+    .on(/SELECT two_factor_secret, two_factor_enabled_at FROM users/, () => [tables.user])
+    .on(/UPDATE users SET two_factor_last_step/, ([, step]) => {
+      const { user } = tables;
+      if (user.two_factor_last_step !== null && user.two_factor_last_step >= step) {
+        return [];
+      }
+      user.two_factor_last_step = step;
+      return [{ id: user.id }];
+    })
+    .on(/SELECT role FROM two_factor_policies/, () => tables.policies.map(role => ({ role })))
+    .on(/UPDATE two_factor_recovery_codes SET used_at/, ([, codeHash]) => {
+      const code = tables.recoveryCodes.find(row => row.code_hash === codeHash && !row.used_at);
+      if (!code) return [];
+      code.used_at = new Date();
+      return [{ id: code.id }];
+    })
+    .on(/INSERT INTO two_factor_recovery_codes/, ([, hashes]) => {
+      tables.recoveryCodes = hashes.map((codeHash, index) => ({ id: index + 1, code_hash: codeHash, used_at: null }));
+    })
+    .on(/FROM users WHERE email = \$1/, () => [tables.user])
+    .on(/FROM users WHERE id = \$1 AND deleted_at IS NULL/, () => [tables.user])
+    .on(/INSERT INTO refresh_tokens/, () => [{ id: 1 }]);
+
+  return tables;
+};
+
+describe('two-factor authentication', () => {
+  let tables;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    dbPool.reset();
+    redisClient.reset();
+    twoFactor.policy = null;
+    tables = createTables();
+  });
+
+  describe('TOTP codes', () => {
+    it('match the RFC 6238 reference values', () => {
+      // RFC 6238 appendix B, SHA-1 at T = 59s, truncated to 6 digits
+      Date.now.mockReturnValue(59000);
+      expect(twoFactor.matchStep(SECRET, '287082')).toBe(1);
+    });
+
+    it('are accepted from one step either side of the current one, for clock skew', () => {
+      expect(twoFactor.matchStep(SECRET, totp(SECRET, STEP - 1))).toBe(STEP - 1);
+      expect(twoFactor.matchStep(SECRET, totp(SECRET, STEP))).toBe(STEP);
+      expect(twoFactor.matchStep(SECRET, totp(SECRET, STEP + 1))).toBe(STEP + 1);
+    });
+
+    it('are refused from further away', () => {
+      expect(twoFactor.matchStep(SECRET, totp(SECRET, STEP - 2))).toBeNull();
+      expect(twoFactor.matchStep(SECRET, totp(SECRET, STEP + 2))).toBeNull();
+    });
+
+    it('are accepted only once', async () => {
+      const code = totp(SECRET, STEP);
+      await expect(twoFactor.verifyCode(7, code)).resolves.toBe(true);
+      await expect(twoFactor.verifyCode(7, code)).resolves.toBe(false);
+      expect(tables.user.two_factor_last_step).toBe(STEP);
+    });
+
+    it('are refused when older than the last one used, even inside the window', async () => {
+      await expect(twoFactor.verifyCode(7, totp(SECRET, STEP))).resolves.toBe(true);
+      await expect(twoFactor.verifyCode(7, totp(SECRET, STEP - 1))).resolves.toBe(false);
+      await expect(twoFactor.verifyCode(7, totp(SECRET, STEP + 1))).resolves.toBe(true);
+    });
+
+    it('only check the pending secret during enrollment', async () => {
+      tables.user.two_factor_enabled_at = null;
+      await expect(twoFactor.verifyCode(7, totp(SECRET, STEP))).resolves.toBe(false);
+      await expect(twoFactor.verifyCode(7, totp(SECRET, STEP), { pending: true })).resolves.toBe(true);
+    });
+  });
+
+  describe('encryption key', () => {
+    const key = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+
+    afterEach(() => {
+      process.env.TWO_FACTOR_ENCRYPTION_KEY = key;
+    });
+
+    it('must be 32 bytes of base64', () => {
+      process.env.TWO_FACTOR_ENCRYPTION_KEY = '';
+      expect(() => twoFactor.encryptionKey()).toThrow(/openssl rand -base64 32/);
+
+      process.env.TWO_FACTOR_ENCRYPTION_KEY = crypto.randomBytes(16).toString('base64');
+      expect(() => twoFactor.encryptionKey()).toThrow(/must be 32 bytes/);
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('work once each, however they are typed', async () => {
+      const [first, second] = await twoFactor.replaceRecoveryCodes(dbPool, 7);
+      const user = tables.user;
+
+      await expect(twoFactor.verify(user, { recoveryCode: first.toUpperCase().replace('-', ' ') })).resolves.toBe(true);
+      await expect(twoFactor.verify(user, { recoveryCode: first })).resolves.toBe(false);
+      await expect(twoFactor.verify(user, { recoveryCode: second })).resolves.toBe(true);
+    });
+
+    it('are stored hashed', async () => {
+      const codes = await twoFactor.replaceRecoveryCodes(dbPool, 7);
+      expect(codes).toHaveLength(10);
+      expect(tables.recoveryCodes.map(row => row.code_hash)).toEqual(codes.map(code => twoFactor.hashRecoveryCode(code)));
+    });
+
+    it('stop working when replaced', async () => {
+      const [old] = await twoFactor.replaceRecoveryCodes(dbPool, 7);
+      await twoFactor.replaceRecoveryCodes(dbPool, 7);
+      await expect(twoFactor.verify(tables.user, { recoveryCode: old })).resolves.toBe(false);
+    });
+  });
+
+  describe('per-role policy at login', () => {
+    const login = () => request(app).post('/api/users/login').send({ email: 'ada@example.com', password: 'correct horse' });
+
+    beforeEach(() => {
+      tables.user.two_factor_enabled_at = null;
+      tables.policies = ['staff'];
+    });
+
+    it('withholds required roles, and those above them, until the user enrolls', async () => {
+      tables.user.roles = ['admin'];
+      const res = await login();
+
+      expect(res.status).toBe(200);
+      expect(res.body.twoFactorSetupRequired).toEqual({ withheldRoles: ['admin'] });
+      expect(tokens.verify(res.body.token).roles).toEqual([]);
+    });
+
+    it('returns the roles in the token, not the stored ones', async () => {
+      const res = await login();
+
+      expect(res.body.user.roles).toEqual(['customer']);
+      expect(tokens.verify(res.body.token).roles).toEqual(['customer']);
+      expect(res.body.twoFactorSetupRequired).toEqual({ withheldRoles: ['staff'] });
+    });
+
+    it('leaves roles below the policy alone', async () => {
+      tables.policies = ['admin'];
+      const res = await login();
+
+      expect(res.body.user.roles).toEqual(['customer', 'staff']);
+      expect(res.body.twoFactorSetupRequired).toBeUndefined();
+    });
+
+    it('grants every role once the second step passes', async () => {
+      tables.user.two_factor_enabled_at = new Date();
+
+      const first = await login();
+      expect(first.body.twoFactorRequired).toBe(true);
+      expect(first.body.token).toBeUndefined();
+
+      const res = await request(app).post('/api/users/login/verify')
+        .send({ challengeToken: first.body.challengeToken, code: totp(SECRET, STEP) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.roles).toEqual(['customer', 'staff']);
+      expect(tokens.verify(res.body.token).roles).toEqual(['customer', 'staff']);
+    });
+
+    it('counts a wrong second-step code as a failed login', async () => {
+      tables.user.two_factor_enabled_at = new Date();
+      const recordFailure = jest.spyOn(loginGuard, 'recordFailure');
+
+      const first = await login();
+      const res = await request(app).post('/api/users/login/verify')
+        .send({ challengeToken: first.body.challengeToken, code: totp(SECRET, STEP + 3) });
+
+      expect(res.status).toBe(401);
+      expect(recordFailure).toHaveBeenCalledWith('ada@example.com', expect.anything(), 7);
+    });
+  });
+
+  describe('enrollment confirmation', () => {
+    const confirm = (code) => {
+      const token = tokens.signAccessToken(tables.user, 'session-1', ['customer']);
+      return request(app).post('/api/users/me/2fa/confirm').set('Authorization', `Bearer ${token}`).send({ code });
+    };
+
+    beforeEach(() => {
+      tables.user.two_factor_enabled_at = null;
+    });
+
+    it('counts a wrong code towards the login lockout', async () => {
+      const recordFailure = jest.spyOn(loginGuard, 'recordFailure');
+
+      const res = await confirm(totp(SECRET, STEP + 3));
+
+      expect(res.status).toBe(400);
+      expect(recordFailure).toHaveBeenCalledWith('ada@example.com', expect.anything(), 7);
+    });
+
+    it('refuses to check codes while the account is locked', async () => {
+      jest.spyOn(loginGuard, 'check').mockResolvedValue({ reason: 'locked', retryAfterMs: 60000 });
+      const confirmCode = jest.spyOn(twoFactor, 'confirm');
+
+      const res = await confirm(totp(SECRET, STEP));
+
+      expect(res.status).toBe(429);
+      expect(res.headers['retry-after']).toBe('60');
+      expect(confirmCode).not.toHaveBeenCalled();
+    });
+  });
+});